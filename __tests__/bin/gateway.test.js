@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const { main } = require('../../bin/gateway');
+const upstreamHealthChecker = require('../../lib/upstreamHealth');
+const logger = require('../../lib/logger');
+
+describe('Gateway CLI', () => {
+    const configPath = path.join(__dirname, '../fixtures/cli-gateway.yaml');
+    let stdout;
+    let stderr;
+    let io;
+
+    const run = (...argv) => main(argv, io);
+
+    beforeEach(() => {
+        stdout = '';
+        stderr = '';
+        io = {
+            stdout: { write: (chunk) => (stdout += chunk) },
+            stderr: { write: (chunk) => (stderr += chunk) }
+        };
+        jest.spyOn(upstreamHealthChecker, 'startMonitoring');
+        jest.spyOn(logger, 'error').mockImplementation();
+        jest.spyOn(logger, 'warn').mockImplementation();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        if (fs.existsSync(configPath)) {
+            fs.unlinkSync(configPath);
+        }
+    });
+
+    const writeConfig = (lines) => fs.writeFileSync(configPath, lines.join('\n'));
+
+    const validConfig = [
+        'version: 2.2.0',
+        'routes:',
+        '    - path: /api/users',
+        '      upstream: http://users-1:8080,http://users-2:8080',
+        '      loadBalanceStrategy: least_connections',
+        '      timeout: 5000',
+        '      methods: [GET]',
+        '      plugins:',
+        '          - name: central-auth',
+        '            enabled: true',
+        '            authServiceUrl: http://auth:9000'
+    ];
+
+    test('validate should succeed for a valid config without monitoring upstreams', () => {
+        writeConfig(validConfig);
+
+        expect(run('validate', configPath)).toBe(0);
+        expect(stdout).toBe(`${configPath}: OK (1 route(s))\n`);
+        expect(stderr).toBe('');
+        expect(upstreamHealthChecker.startMonitoring).not.toHaveBeenCalled();
+    });
+
+    test('validate should report schema errors with file, line and column', () => {
+        writeConfig([
+            'routes:',
+            '    - path: /api',
+            '      upstream: http://api:8080',
+            '      loadBalancing: round_robin'
+        ]);
+
+        expect(run('validate', configPath)).toBe(1);
+        expect(stderr).toBe(
+            `${configPath}:4:7 /routes/0/loadBalancing unknown key "loadBalancing" ` +
+                '(did you mean "loadBalanceStrategy"?)\n'
+        );
+        expect(stdout).toBe('');
+    });
+
+    test('validate should fail for a missing file', () => {
+        expect(run('validate', './does-not-exist.yaml')).toBe(1);
+        expect(stderr).toContain('./does-not-exist.yaml: ENOENT');
+    });
+
+    test('routes should print the resolved routing table', () => {
+        writeConfig(validConfig);
+
+        expect(run('routes', configPath)).toBe(0);
+
+        const [header, row] = stdout.trim().split('\n');
+        expect(header.split(/\s{2,}/)).toEqual([
+            'PATH',
+            'UPSTREAMS',
+            'STRATEGY',
+            'TIMEOUT',
+            'METHODS',
+            'PLUGINS'
+        ]);
+        expect(row.split(/\s{2,}/)).toEqual([
+            '/api/users',
+            'http://users-1:8080, http://users-2:8080',
+            'least_connections',
+            '5000ms',
+            'GET,HEAD',
+            'central-auth'
+        ]);
+    });
+
+    test('should fail when an enabled plugin does not load', () => {
+        writeConfig([...validConfig, '            onAuthUnavailable: maybe']);
+
+        expect(run('routes', configPath)).toBe(1);
+        expect(stderr).toContain('plugin(s) failed to load: /api/users: central-auth');
+        expect(stdout).toBe('');
+    });
+
+    test('should read enabled nested under options and fail when it is not set', () => {
+        const nested = validConfig.map((line) =>
+            line.includes('enabled: true') ? '            options: { enabled: true }' : line
+        );
+        writeConfig(nested);
+        expect(run('routes', configPath)).toBe(0);
+        expect(stdout).toContain('central-auth');
+
+        writeConfig(validConfig.filter((line) => !line.includes('enabled: true')));
+        expect(run('routes', configPath)).toBe(1);
+        expect(stderr).toContain('plugin(s) skipped, set enabled: true or false: /api/users');
+    });
+
+    test('routes --json should print the routing table as JSON', () => {
+        writeConfig(validConfig);
+
+        expect(run('routes', configPath, '--json')).toBe(0);
+        expect(JSON.parse(stdout)[0]).toMatchObject({
+            path: '/api/users',
+            upstreams: [
+                { url: 'http://users-1:8080', weight: 1 },
+                { url: 'http://users-2:8080', weight: 1 }
+            ],
+            strategy: 'least_connections',
+            timeout: 5000
+        });
+    });
+
+    test('should exit with 2 and print usage for unknown commands or flags', () => {
+        expect(run('deploy')).toBe(2);
+        expect(run('validate', '--force')).toBe(2);
+        expect(stderr).toContain('Usage: gateway <command>');
+    });
+
+    test('--help should print usage', () => {
+        expect(run('--help')).toBe(0);
+        expect(stdout).toContain('validate [config]');
+    });
+});
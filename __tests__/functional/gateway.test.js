@@ -34,7 +34,6 @@ describe('Gateway Functional Tests', () => {
         jest.spyOn(upstreamHealthChecker, 'getAllHealthStatus').mockReturnValue({});
 
         app = express();
-        app.use(express.json());
         app.use(requestLogger);
 
         // Setup health check
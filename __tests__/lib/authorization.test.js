@@ -0,0 +1,107 @@
+const { createAuthorizer } = require('../../lib/authorization');
+
+const req = (method, originalUrl) => ({ method, originalUrl });
+
+describe('Authorization', () => {
+    describe('createAuthorizer', () => {
+        test('should allow everything without rules', () => {
+            const authorizer = createAuthorizer();
+
+            expect(authorizer.matches(req('DELETE', '/admin'))).toBe(false);
+            expect(authorizer.check(req('DELETE', '/admin'), [{}])).toBeNull();
+        });
+
+        test('should require any one of the listed roles', () => {
+            const authorizer = createAuthorizer([{ match: '/admin', roles: ['admin', 'ops'] }]);
+
+            expect(authorizer.check(req('GET', '/admin/users'), [{ roles: ['ops'] }])).toBeNull();
+            expect(authorizer.check(req('GET', '/admin/users'), [{ roles: ['viewer'] }])).toEqual({
+                rule: '/admin',
+                missing: { roles: ['admin', 'ops'] }
+            });
+        });
+
+        test('should require every listed scope and permission', () => {
+            const authorizer = createAuthorizer([
+                { match: '/reports/**', scopes: ['reports:read', 'reports:export'] },
+                { match: '/reports/**', permissions: ['report.view'] }
+            ]);
+            const request = req('GET', '/reports/2024');
+
+            expect(
+                authorizer.check(request, [
+                    { scope: 'reports:read reports:export', permissions: ['report.view'] }
+                ])
+            ).toBeNull();
+            expect(
+                authorizer.check(request, [{ scope: 'reports:read', permissions: ['report.view'] }])
+            ).toEqual({ rule: '/reports/**', missing: { scopes: ['reports:export'] } });
+        });
+
+        test('should only apply rules to matching methods and paths', () => {
+            const authorizer = createAuthorizer([
+                { match: 'POST,DELETE /limits/**', roles: ['admin'] }
+            ]);
+
+            expect(authorizer.check(req('GET', '/limits/1'), [{}])).toBeNull();
+            expect(authorizer.check(req('GET', '/other'), [{}])).toBeNull();
+            expect(authorizer.check(req('DELETE', '/limits/1'), [{}])).not.toBeNull();
+        });
+
+        test('should apply every rule to paths that cannot be matched safely', () => {
+            const authorizer = createAuthorizer([{ match: '/admin/**', roles: ['admin'] }]);
+
+            expect(authorizer.matches(req('GET', '/public/../admin/users'))).toBe(true);
+            expect(authorizer.check(req('GET', '/public/%E0%A4%A'), [{}])).not.toBeNull();
+        });
+
+        test('should not be skipped by empty segments or a different case', () => {
+            const authorizer = createAuthorizer([
+                { match: '/risk-admin/admin/**', roles: ['admin'] }
+            ]);
+
+            expect(authorizer.check(req('GET', '/risk-admin//admin/x'), [{}])).not.toBeNull();
+            expect(authorizer.check(req('GET', '/Risk-Admin/admin/x'), [{}])).not.toBeNull();
+            expect(authorizer.check(req('GET', '/RISK-ADMIN/ADMIN/x'), [{}])).not.toBeNull();
+            expect(authorizer.check(req('GET', '/risk-admin/other'), [{}])).toBeNull();
+        });
+
+        test('should read the verify response before JWT claims', () => {
+            const authorizer = createAuthorizer([{ match: '/', roles: ['admin'] }]);
+
+            expect(authorizer.check(req('GET', '/'), [null, { roles: ['admin'] }])).toBeNull();
+            expect(
+                authorizer.check(req('GET', '/'), [{ roles: ['viewer'] }, { roles: ['admin'] }])
+            ).not.toBeNull();
+        });
+
+        test('should read attributes from configured paths', () => {
+            const authorizer = createAuthorizer([{ match: '/', roles: ['admin'] }], {
+                roles: 'realm_access.roles'
+            });
+
+            expect(
+                authorizer.check(req('GET', '/'), [{ realm_access: { roles: ['admin'] } }])
+            ).toBeNull();
+        });
+
+        test('should reject malformed rules', () => {
+            expect(() => createAuthorizer('admin')).toThrow('authorize must be a list');
+            expect(() => createAuthorizer([{ roles: ['admin'] }])).toThrow(
+                'authorize[0]: "match" is required'
+            );
+            expect(() => createAuthorizer([{ match: '/admin' }])).toThrow(
+                'must require roles, scopes or permissions'
+            );
+            expect(() => createAuthorizer([{ match: '/admin', roles: 'admin' }])).toThrow(
+                '"roles" must be a non-empty list of strings'
+            );
+            expect(() => createAuthorizer([{ match: 'admin', roles: ['admin'] }])).toThrow(
+                'must start with "/"'
+            );
+            expect(() => createAuthorizer([], { groups: 'groups' })).toThrow(
+                'Unknown authorization attribute "groups"'
+            );
+        });
+    });
+});
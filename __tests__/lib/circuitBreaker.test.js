@@ -105,6 +105,28 @@ describe('Circuit Breaker Manager', () => {
         });
     });
 
+    describe('groups', () => {
+        test('should report breakers only in their own group', () => {
+            circuitBreakerManager.getBreaker('http://upstream.com');
+            circuitBreakerManager.getBreaker('http://auth.com/verify', { group: 'auth' });
+
+            expect(circuitBreakerManager.getStats()).not.toHaveProperty('http://auth.com/verify');
+            expect(circuitBreakerManager.getStats('auth')).toEqual({
+                'http://auth.com/verify': expect.objectContaining({ state: 'closed' })
+            });
+        });
+
+        test('should report an open breaker and fail fast with EOPENBREAKER', async () => {
+            const url = 'http://open-group.com';
+            circuitBreakerManager.getBreaker(url, { group: 'auth' }).open();
+
+            expect(circuitBreakerManager.getStats('auth')[url].state).toBe('open');
+            await expect(circuitBreakerManager.execute(url, () => 'ok')).rejects.toMatchObject({
+                code: 'EOPENBREAKER'
+            });
+        });
+    });
+
     describe('resetAll', () => {
         test('should reset all circuit breakers', () => {
             circuitBreakerManager.getBreaker('http://test1.com');
@@ -129,100 +151,163 @@ describe('Circuit Breaker Manager', () => {
         });
     });
 
-    describe('recordSuccess', () => {
-        test('should emit success event on breaker', () => {
-            const breaker = circuitBreakerManager.getBreaker('http://success.com');
-            const emitSpy = jest.spyOn(breaker, 'emit');
+    describe('configure', () => {
+        const settings = {
+            enabled: true,
+            errorThresholdPercentage: 50,
+            volumeThreshold: 4,
+            resetTimeout: 1000,
+            rollingCountTimeout: 10000
+        };
+
+        test('should create a breaker with the route settings', () => {
+            const breaker = circuitBreakerManager.configure('http://configured.com', settings);
+
+            expect(breaker.options.timeout).toBe(false);
+            expect(breaker.volumeThreshold).toBe(4);
+            expect(breaker.options.rollingCountTimeout).toBe(10000);
+            expect(circuitBreakerManager.getBreaker('http://configured.com')).toBe(breaker);
+        });
 
-            circuitBreakerManager.recordSuccess('http://success.com');
+        test('should keep the breaker and its state while the settings are unchanged', () => {
+            const breaker = circuitBreakerManager.configure('http://unchanged.com', settings);
+            breaker.open();
 
-            expect(emitSpy).toHaveBeenCalledWith('success');
-            emitSpy.mockRestore();
+            expect(circuitBreakerManager.configure('http://unchanged.com', { ...settings })).toBe(
+                breaker
+            );
+            expect(circuitBreakerManager.isOpen('http://unchanged.com')).toBe(true);
         });
 
-        test('should handle non-existent breaker gracefully', () => {
-            // Should not throw
-            expect(() => {
-                circuitBreakerManager.recordSuccess('http://nonexistent.com');
-            }).not.toThrow();
+        test('should replace the breaker when the settings change', () => {
+            const breaker = circuitBreakerManager.configure('http://changed.com', settings);
+            breaker.open();
+
+            const replaced = circuitBreakerManager.configure('http://changed.com', {
+                ...settings,
+                errorThresholdPercentage: 80
+            });
+
+            expect(replaced).not.toBe(breaker);
+            expect(replaced.options.errorThresholdPercentage).toBe(80);
+            expect(circuitBreakerManager.isOpen('http://changed.com')).toBe(false);
+            expect(breaker.isShutdown).toBe(true);
         });
     });
 
-    describe('recordFailure', () => {
-        test('should emit failure for network errors', () => {
-            const breaker = circuitBreakerManager.getBreaker('http://failure.com');
-            const emitSpy = jest.spyOn(breaker, 'emit');
-
-            circuitBreakerManager.recordFailure('http://failure.com', { code: 'ECONNRESET' });
+    describe('isAvailable', () => {
+        test('should let requests through closed and unknown breakers only', () => {
+            circuitBreakerManager.getBreaker('http://available.com');
+            circuitBreakerManager.getBreaker('http://unavailable.com').open();
 
-            expect(emitSpy).toHaveBeenCalledWith('failure');
-            emitSpy.mockRestore();
+            expect(circuitBreakerManager.isAvailable('http://available.com')).toBe(true);
+            expect(circuitBreakerManager.isAvailable('http://unknown.com')).toBe(true);
+            expect(circuitBreakerManager.isAvailable('http://unavailable.com')).toBe(false);
         });
+    });
 
-        test('should emit failure for ETIMEDOUT', () => {
-            const breaker = circuitBreakerManager.getBreaker('http://timeout.com');
-            const emitSpy = jest.spyOn(breaker, 'emit');
+    describe('admit', () => {
+        const options = { errorThresholdPercentage: 50, volumeThreshold: 4, resetTimeout: 50 };
 
-            circuitBreakerManager.recordFailure('http://timeout.com', { code: 'ETIMEDOUT' });
+        // Outcomes reach the breaker asynchronously
+        const flush = () => new Promise((resolve) => setImmediate(resolve));
+        const fail = async (url, count) => {
+            for (let i = 0; i < count; i++) {
+                circuitBreakerManager.admit(url).failure({ code: 'ECONNREFUSED' });
+            }
+            await flush();
+        };
+        const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+        test('should count network errors and 5xx responses as failures, not 4xx', async () => {
+            const url = 'http://outcomes.com';
+            for (const error of [
+                { code: 'ECONNRESET' },
+                { code: 'ETIMEDOUT' },
+                { status: 503 },
+                { statusCode: 502 },
+                { status: 404 },
+                {}
+            ]) {
+                circuitBreakerManager.admit(url).failure(error);
+            }
+            circuitBreakerManager.admit(url).success();
+            await flush();
 
-            expect(emitSpy).toHaveBeenCalledWith('failure');
-            emitSpy.mockRestore();
+            expect(circuitBreakerManager.getStats()[url]).toMatchObject({ fires: 7, failures: 4 });
         });
 
-        test('should emit failure for ECONNREFUSED', () => {
-            const breaker = circuitBreakerManager.getBreaker('http://refused.com');
-            const emitSpy = jest.spyOn(breaker, 'emit');
-
-            circuitBreakerManager.recordFailure('http://refused.com', { code: 'ECONNREFUSED' });
+        test('should not count slow requests as failures', async () => {
+            const url = 'http://slow.com';
+            const { timeout } = circuitBreakerManager.defaultOptions;
+            circuitBreakerManager.defaultOptions.timeout = 20;
+            try {
+                const call = circuitBreakerManager.admit(url);
+                await sleep(50);
+                call.success();
+                await flush();
+            } finally {
+                circuitBreakerManager.defaultOptions.timeout = timeout;
+            }
 
-            expect(emitSpy).toHaveBeenCalledWith('failure');
-            emitSpy.mockRestore();
+            expect(circuitBreakerManager.getStats()[url]).toMatchObject({ fires: 1, failures: 0 });
         });
 
-        test('should emit failure for 5xx server errors', () => {
-            const breaker = circuitBreakerManager.getBreaker('http://server-error.com');
-            const emitSpy = jest.spyOn(breaker, 'emit');
+        test('should not open before the volume threshold is reached', async () => {
+            const url = 'http://volume.com';
+            circuitBreakerManager.getBreaker(url, options);
 
-            circuitBreakerManager.recordFailure('http://server-error.com', { status: 500 });
+            await fail(url, 3);
+            expect(circuitBreakerManager.isOpen(url)).toBe(false);
 
-            expect(emitSpy).toHaveBeenCalledWith('failure');
-            emitSpy.mockRestore();
+            await fail(url, 1);
+            expect(circuitBreakerManager.isOpen(url)).toBe(true);
+            expect(circuitBreakerManager.admit(url)).toBeNull();
         });
 
-        test('should emit failure for statusCode 5xx', () => {
-            const breaker = circuitBreakerManager.getBreaker('http://server-error2.com');
-            const emitSpy = jest.spyOn(breaker, 'emit');
+        test('should stay closed while the error rate is below the threshold', async () => {
+            const url = 'http://error-rate.com';
+            circuitBreakerManager.getBreaker(url, options);
 
-            circuitBreakerManager.recordFailure('http://server-error2.com', { statusCode: 502 });
+            for (let i = 0; i < 6; i++) {
+                circuitBreakerManager.admit(url).success();
+            }
+            await fail(url, 5);
 
-            expect(emitSpy).toHaveBeenCalledWith('failure');
-            emitSpy.mockRestore();
+            expect(circuitBreakerManager.getStats()[url].state).toBe('closed');
+            await fail(url, 2);
+            expect(circuitBreakerManager.getStats()[url].state).toBe('open');
         });
 
-        test('should NOT emit failure for 4xx client errors', () => {
-            const breaker = circuitBreakerManager.getBreaker('http://client-error.com');
-            const emitSpy = jest.spyOn(breaker, 'emit');
+        test('should let one trial request through when half-open and close on success', async () => {
+            const url = 'http://recovering.com';
+            circuitBreakerManager.getBreaker(url, options);
+            await fail(url, 4);
 
-            circuitBreakerManager.recordFailure('http://client-error.com', { status: 404 });
+            await sleep(70);
+            expect(circuitBreakerManager.isAvailable(url)).toBe(true);
 
-            expect(emitSpy).not.toHaveBeenCalledWith('failure');
-            emitSpy.mockRestore();
-        });
+            const trial = circuitBreakerManager.admit(url);
+            expect(trial).not.toBeNull();
+            expect(circuitBreakerManager.isAvailable(url)).toBe(false);
+            expect(circuitBreakerManager.admit(url)).toBeNull();
 
-        test('should handle non-existent breaker gracefully', () => {
-            expect(() => {
-                circuitBreakerManager.recordFailure('http://nonexistent.com', {
-                    code: 'ECONNRESET'
-                });
-            }).not.toThrow();
+            trial.success();
+            await flush();
+            expect(circuitBreakerManager.getStats()[url].state).toBe('closed');
+            expect(circuitBreakerManager.isAvailable(url)).toBe(true);
         });
 
-        test('should handle empty error object', () => {
-            const _breaker = circuitBreakerManager.getBreaker('http://empty-error.com');
+        test('should reopen when the half-open trial fails', async () => {
+            const url = 'http://still-down.com';
+            circuitBreakerManager.getBreaker(url, options);
+            await fail(url, 4);
+
+            await sleep(70);
+            await fail(url, 1);
 
-            expect(() => {
-                circuitBreakerManager.recordFailure('http://empty-error.com', {});
-            }).not.toThrow();
+            expect(circuitBreakerManager.getStats()[url].state).toBe('open');
+            expect(circuitBreakerManager.admit(url)).toBeNull();
         });
     });
 });
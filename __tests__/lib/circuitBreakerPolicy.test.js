@@ -0,0 +1,69 @@
+const config = require('../../lib/config');
+const {
+    resolveCircuitBreakerPolicy,
+    validateCircuitBreakerPolicy
+} = require('../../lib/circuitBreakerPolicy');
+
+describe('Circuit Breaker Policy', () => {
+    test('should resolve the CIRCUIT_BREAKER_* settings for routes without a block', () => {
+        expect(resolveCircuitBreakerPolicy({})).toEqual({
+            enabled: true,
+            errorThresholdPercentage: config.circuitBreaker.errorThresholdPercentage,
+            volumeThreshold: config.circuitBreaker.volumeThreshold,
+            resetTimeout: config.circuitBreaker.resetTimeout,
+            rollingCountTimeout: config.circuitBreaker.rollingCountTimeout
+        });
+    });
+
+    test('should read a boolean as enabled', () => {
+        expect(resolveCircuitBreakerPolicy({ circuitBreaker: false })).toMatchObject({
+            enabled: false,
+            volumeThreshold: config.circuitBreaker.volumeThreshold
+        });
+        expect(resolveCircuitBreakerPolicy({ circuitBreaker: true }).enabled).toBe(true);
+    });
+
+    test('should let a route override single settings', () => {
+        expect(
+            resolveCircuitBreakerPolicy({
+                circuitBreaker: { enabled: false, errorThresholdPercentage: 90, resetTimeout: 5000 }
+            })
+        ).toMatchObject({
+            enabled: false,
+            errorThresholdPercentage: 90,
+            volumeThreshold: config.circuitBreaker.volumeThreshold,
+            resetTimeout: 5000
+        });
+    });
+
+    test('should validate circuitBreaker settings', () => {
+        expect(() =>
+            validateCircuitBreakerPolicy({
+                enabled: true,
+                errorThresholdPercentage: 25,
+                volumeThreshold: 0,
+                resetTimeout: 10000,
+                rollingCountTimeout: 30000
+            })
+        ).not.toThrow();
+        expect(() => validateCircuitBreakerPolicy(true)).not.toThrow();
+        expect(() => validateCircuitBreakerPolicy('on')).toThrow(
+            'circuitBreaker must be a boolean or an object'
+        );
+        expect(() => validateCircuitBreakerPolicy({ threshold: 50 })).toThrow(
+            'Unknown circuitBreaker setting "threshold"'
+        );
+        expect(() => validateCircuitBreakerPolicy({ enabled: 'no' })).toThrow(
+            'circuitBreaker.enabled must be a boolean'
+        );
+        expect(() => validateCircuitBreakerPolicy({ errorThresholdPercentage: 101 })).toThrow(
+            'circuitBreaker.errorThresholdPercentage must be an integer from 1 to 100'
+        );
+        expect(() => validateCircuitBreakerPolicy({ rollingCountTimeout: 500 })).toThrow(
+            'circuitBreaker.rollingCountTimeout must be an integer >= 1000'
+        );
+        expect(() => validateCircuitBreakerPolicy({ volumeThreshold: 1.5 })).toThrow(
+            'circuitBreaker.volumeThreshold must be an integer >= 0'
+        );
+    });
+});
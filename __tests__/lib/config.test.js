@@ -16,7 +16,6 @@ describe('Config Module', () => {
 
             expect(config.server.port).toBe(3000);
             expect(config.server.trustProxy).toBe(false);
-            expect(config.server.requestBodyLimit).toBe('10mb');
         });
 
         test('should have default rate limit config', () => {
@@ -43,6 +42,7 @@ describe('Config Module', () => {
             expect(config.retry.maxDelay).toBe(10000);
             expect(config.retry.factor).toBe(2);
             expect(config.retry.retryableCodes).toContain('ECONNRESET');
+            expect(config.retry.budget).toEqual({ percent: 20, windowMs: 10000, minRetries: 10 });
         });
 
         test('should have default circuit breaker config', () => {
@@ -51,6 +51,7 @@ describe('Config Module', () => {
             expect(config.circuitBreaker.timeout).toBe(30000);
             expect(config.circuitBreaker.errorThresholdPercentage).toBe(50);
             expect(config.circuitBreaker.resetTimeout).toBe(30000);
+            expect(config.circuitBreaker.volumeThreshold).toBe(10);
         });
 
         test('should have default health check config', () => {
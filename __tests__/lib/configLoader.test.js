@@ -1,7 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const yaml = require('js-yaml');
-const { loadConfig, loadConfigFile } = require('../../lib/configLoader');
+const { loadConfig, loadConfigFile, getLastLoadError } = require('../../lib/configLoader');
 const { buildRouter } = require('../../lib/routeBuilder');
 
 // Mock routeBuilder
@@ -108,6 +108,157 @@ describe('Config Loader', () => {
 
             loggerErrorSpy.mockRestore();
         });
+
+        test('should apply defaults to every route with route values taking precedence', () => {
+            fs.writeFileSync(
+                testConfigPath,
+                yaml.dump({
+                    defaults: {
+                        timeout: 30000,
+                        maxRetries: 2,
+                        rateLimit: { windowMs: 60000, max: 100 }
+                    },
+                    routes: [
+                        { path: '/a', upstream: 'http://a' },
+                        {
+                            path: '/b',
+                            upstream: 'http://b',
+                            timeout: 60000,
+                            rateLimit: { windowMs: 1000, max: 5 }
+                        }
+                    ]
+                })
+            );
+
+            const result = loadConfigFile(testConfigPath);
+
+            expect(result.routes).toEqual([
+                {
+                    path: '/a',
+                    upstream: 'http://a',
+                    timeout: 30000,
+                    maxRetries: 2,
+                    rateLimit: { windowMs: 60000, max: 100 }
+                },
+                {
+                    path: '/b',
+                    upstream: 'http://b',
+                    timeout: 60000,
+                    maxRetries: 2,
+                    rateLimit: { windowMs: 1000, max: 5 }
+                }
+            ]);
+        });
+
+        test('should accept the retries alias and a boolean circuitBreaker in defaults', () => {
+            fs.writeFileSync(
+                testConfigPath,
+                yaml.dump({
+                    defaults: { timeout: 30000, retries: 3, circuitBreaker: true },
+                    routes: [
+                        { path: '/a', upstream: 'http://a' },
+                        { path: '/b', upstream: 'http://b', maxRetries: 1 }
+                    ]
+                })
+            );
+
+            const [a, b] = loadConfigFile(testConfigPath).routes;
+
+            expect(a).toMatchObject({ retries: 3, circuitBreaker: true });
+            // The route's own setting replaces the default under either name
+            expect(b.maxRetries).toBe(1);
+            expect(b.retries).toBeUndefined();
+        });
+
+        test('should merge default plugins by name so routes can disable them', () => {
+            fs.writeFileSync(
+                testConfigPath,
+                yaml.dump({
+                    defaults: {
+                        plugins: [
+                            { name: 'central-auth', enabled: true, authServiceUrl: 'http://auth' }
+                        ]
+                    },
+                    routes: [
+                        { path: '/private', upstream: 'http://a' },
+                        {
+                            path: '/public',
+                            upstream: 'http://b',
+                            plugins: [
+                                { name: 'central-auth', enabled: false },
+                                { name: 'custom', enabled: true }
+                            ]
+                        }
+                    ]
+                })
+            );
+
+            const [privateRoute, publicRoute] = loadConfigFile(testConfigPath).routes;
+
+            expect(privateRoute.plugins).toEqual([
+                { name: 'central-auth', enabled: true, authServiceUrl: 'http://auth' }
+            ]);
+            expect(publicRoute.plugins).toEqual([
+                { name: 'central-auth', enabled: false, authServiceUrl: 'http://auth' },
+                { name: 'custom', enabled: true }
+            ]);
+        });
+
+        test('should reject unknown keys with line, column and JSON pointer', () => {
+            fs.writeFileSync(
+                testConfigPath,
+                [
+                    'version: 2.2.0',
+                    'routes:',
+                    '    - path: /test',
+                    '      upstream: http://localhost:8080',
+                    '      loadBalancing: round_robin'
+                ].join('\n')
+            );
+
+            const logger = require('../../lib/logger');
+            const loggerErrorSpy = jest.spyOn(logger, 'error').mockImplementation();
+            const result = loadConfigFile(testConfigPath);
+
+            expect(result).toBeNull();
+            expect(loggerErrorSpy).toHaveBeenCalledWith('Config file failed schema validation', {
+                configPath: testConfigPath,
+                errors: [
+                    {
+                        path: '/routes/0/loadBalancing',
+                        line: 5,
+                        column: 7,
+                        message: 'unknown key "loadBalancing" (did you mean "loadBalanceStrategy"?)'
+                    }
+                ]
+            });
+
+            loggerErrorSpy.mockRestore();
+        });
+
+        test('should report missing keys at the enclosing node', () => {
+            fs.writeFileSync(
+                testConfigPath,
+                ['routes:', '    - path: /test', '      upstream: http://a', '    - path: /b'].join(
+                    '\n'
+                )
+            );
+
+            const logger = require('../../lib/logger');
+            const loggerErrorSpy = jest.spyOn(logger, 'error').mockImplementation();
+            loadConfigFile(testConfigPath);
+
+            expect(getLastLoadError().errors).toEqual([
+                {
+                    path: '/routes/1',
+                    line: 4,
+                    column: 7,
+                    message: 'must have "upstream" or "upstreams"'
+                }
+            ]);
+
+            loggerErrorSpy.mockRestore();
+        });
     });
 
     describe('loadConfig', () => {
@@ -179,8 +330,52 @@ describe('Config Loader', () => {
 
             expect(result).toBeNull();
             expect(loggerErrorSpy).toHaveBeenCalled();
+            expect(getLastLoadError()).toMatchObject({
+                configPath: testConfigPath,
+                message: 'Build failed'
+            });
 
             loggerErrorSpy.mockRestore();
         });
+
+        test('should not build a router from an invalid config', () => {
+            fs.writeFileSync(testConfigPath, 'routes:\n    - path: /test\n      upstream: 42\n');
+
+            const logger = require('../../lib/logger');
+            const loggerInfoSpy = jest.spyOn(logger, 'info').mockImplementation();
+            const loggerErrorSpy = jest.spyOn(logger, 'error').mockImplementation();
+            const result = loadConfig(testConfigPath);
+
+            expect(result).toBeNull();
+            expect(buildRouter).not.toHaveBeenCalled();
+            expect(getLastLoadError().errors[0]).toMatchObject({
+                path: '/routes/0/upstream',
+                line: 3
+            });
+
+            loggerInfoSpy.mockRestore();
+            loggerErrorSpy.mockRestore();
+        });
+
+        test('should clear the last load error after a successful load', () => {
+            const logger = require('../../lib/logger');
+            const loggerInfoSpy = jest.spyOn(logger, 'info').mockImplementation();
+            const loggerErrorSpy = jest.spyOn(logger, 'error').mockImplementation();
+
+            loadConfig('./nonexistent.yaml');
+            expect(getLastLoadError()).not.toBeNull();
+
+            fs.writeFileSync(
+                testConfigPath,
+                'routes:\n    - path: /test\n      upstream: http://a\n'
+            );
+            buildRouter.mockImplementation(() => require('express').Router());
+            loadConfig(testConfigPath);
+
+            expect(getLastLoadError()).toBeNull();
+
+            loggerInfoSpy.mockRestore();
+            loggerErrorSpy.mockRestore();
+        });
     });
 });
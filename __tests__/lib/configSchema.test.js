@@ -0,0 +1,173 @@
+const { validateGatewayConfig } = require('../../lib/configSchema');
+
+describe('Config Schema', () => {
+    const route = (overrides = {}) => ({
+        path: '/api',
+        upstream: 'http://localhost:8080',
+        ...overrides
+    });
+
+    test('should accept a fully specified route', () => {
+        const errors = validateGatewayConfig({
+            version: '2.2.0',
+            routes: [
+                route({
+                    upstream: [{ url: 'http://a:8080', weight: 95 }, 'http://b:8080'],
+                    healthPath: '/health',
+                    methods: ['get', 'POST'],
+                    timeout: 60000,
+                    timeouts: { connect: 2000, firstByte: 30000, idle: 10000 },
+                    retry: {
+                        maxRetries: 2,
+                        statuses: [502, 503],
+                        maxRetryTime: 5000,
+                        budget: { percent: 10, minRetries: 5 }
+                    },
+                    maxRetries: 3,
+                    hedge: { delay: 'p95' },
+                    circuitBreaker: { errorThresholdPercentage: 25, volumeThreshold: 20 },
+                    loadBalanceStrategy: 'consistent_hash',
+                    hashOn: 'header:X-Tenant',
+                    affinityCookie: { name: 'gw_affinity', maxAge: 3600000 },
+                    rateLimit: { windowMs: 60000, max: 100, keyBy: ['ip', 'route'] },
+                    bodyParser: ['json', 'urlencoded'],
+                    maxBodySize: '64kb',
+                    plugins: [{ name: 'central-auth', enabled: true, authServiceUrl: 'http://x' }]
+                })
+            ]
+        });
+
+        expect(errors).toEqual([]);
+    });
+
+    test('should require routes', () => {
+        expect(validateGatewayConfig({ version: '2.2.0' })).toEqual([
+            { pointer: '', message: 'missing required key "routes"' }
+        ]);
+    });
+
+    test('should reject unknown keys and suggest the closest known key', () => {
+        const errors = validateGatewayConfig({
+            routes: [route({ loadBalancing: 'round_robin', foo: 1 })]
+        });
+
+        expect(errors).toEqual([
+            {
+                pointer: '/routes/0/loadBalancing',
+                message: 'unknown key "loadBalancing" (did you mean "loadBalanceStrategy"?)'
+            },
+            { pointer: '/routes/0/foo', message: 'unknown key "foo"' }
+        ]);
+    });
+
+    test('should validate the defaults block with route settings only', () => {
+        const errors = validateGatewayConfig({
+            defaults: { timeout: 30000, retries: 3, circuitBreaker: true, upstream: 'http://a' },
+            routes: [route()]
+        });
+
+        expect(errors).toEqual([
+            { pointer: '/defaults/upstream', message: 'unknown key "upstream"' }
+        ]);
+    });
+
+    test('should allow plugin-specific parameters', () => {
+        const errors = validateGatewayConfig({
+            routes: [route({ plugins: [{ name: 'central-auth', options: { a: 1 } }] })]
+        });
+
+        expect(errors).toEqual([]);
+    });
+
+    test('should report type, enum and range errors', () => {
+        const errors = validateGatewayConfig({
+            routes: [
+                route({
+                    timeout: '60s',
+                    maxRetries: 20,
+                    retry: 'yes',
+                    loadBalanceStrategy: 'round-robin',
+                    methods: ['GET', 'FETCH']
+                })
+            ]
+        });
+
+        expect(errors.map((e) => e.pointer)).toEqual([
+            '/routes/0/timeout',
+            '/routes/0/maxRetries',
+            '/routes/0/retry',
+            '/routes/0/loadBalanceStrategy',
+            '/routes/0/methods/1'
+        ]);
+        expect(errors[0].message).toBe('must be integer, got string');
+        expect(errors[3].message).toMatch(/^must be one of: round_robin/);
+    });
+
+    test('should reject an affinity cookie maxAge the route builder would reject', () => {
+        const errors = validateGatewayConfig({
+            routes: [
+                route({
+                    loadBalanceStrategy: 'consistent_hash',
+                    affinityCookie: { name: 'gw_affinity', maxAge: 0 }
+                })
+            ]
+        });
+
+        expect(errors).toHaveLength(1);
+        expect(errors[0].pointer).toMatch(/^\/routes\/0\/affinityCookie/);
+    });
+
+    test('should validate upstream URLs and shapes', () => {
+        const errors = validateGatewayConfig({
+            routes: [
+                route({ upstream: 'ftp://files' }),
+                route({ upstream: [{ url: 'http://a', weight: -1 }] }),
+                route({ upstream: 42 })
+            ]
+        });
+
+        expect(errors).toEqual([
+            {
+                pointer: '/routes/0/upstream',
+                message: expect.stringContaining('protocol must be http or https')
+            },
+            { pointer: '/routes/1/upstream/0/weight', message: 'must be >= 0' },
+            { pointer: '/routes/2/upstream', message: 'must be string or array, got number' }
+        ]);
+    });
+
+    test('should require exactly one of upstream and upstreams', () => {
+        const errors = validateGatewayConfig({
+            routes: [{ path: '/a' }, route({ upstreams: ['http://b'] })]
+        });
+
+        expect(errors).toEqual([
+            { pointer: '/routes/0', message: 'must have "upstream" or "upstreams"' },
+            { pointer: '/routes/1', message: 'only one of "upstream" or "upstreams" may be set' }
+        ]);
+    });
+
+    test('should validate rate limit key strategies and hash keys', () => {
+        const errors = validateGatewayConfig({
+            routes: [
+                route({ rateLimit: { windowMs: 1000, max: 5, keyBy: 'nope' } }),
+                route({ hashOn: 'nope' }),
+                route({ bodyParser: 'xml' }),
+                route({ maxBodySize: '10tb' })
+            ]
+        });
+
+        expect(errors.map((e) => e.pointer)).toEqual([
+            '/routes/0/rateLimit',
+            '/routes/1/hashOn',
+            '/routes/2/bodyParser',
+            '/routes/3/maxBodySize'
+        ]);
+    });
+
+    test('should escape JSON pointer segments', () => {
+        const errors = validateGatewayConfig({ routes: [route({ 'a/b~c': 1 })] });
+
+        expect(errors[0].pointer).toBe('/routes/0/a~1b~0c');
+    });
+});
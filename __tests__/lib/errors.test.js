@@ -5,6 +5,7 @@ const {
     ForbiddenError,
     NotFoundError,
     RequestTimeoutError,
+    PayloadTooLargeError,
     RateLimitError,
     BadGatewayError,
     ServiceUnavailableError,
@@ -126,6 +127,16 @@ describe('Custom Error Classes', () => {
         });
     });
 
+    describe('PayloadTooLargeError (413)', () => {
+        test('should have correct defaults', () => {
+            const error = new PayloadTooLargeError();
+
+            expect(error.message).toBe('Payload Too Large');
+            expect(error.statusCode).toBe(413);
+            expect(error.code).toBe('PAYLOAD_TOO_LARGE');
+        });
+    });
+
     describe('RateLimitError (429)', () => {
         test('should have correct defaults', () => {
             const error = new RateLimitError();
@@ -0,0 +1,72 @@
+const {
+    LatencyWindow,
+    validateHedgePolicy,
+    resolveHedgePolicy,
+    getHedgeDelay,
+    isHedgeable
+} = require('../../lib/hedging');
+
+describe('Hedging', () => {
+    const recordAll = (window, count) => {
+        for (let i = 1; i <= count; i++) {
+            window.record(i);
+        }
+    };
+
+    test('should not report a percentile until enough response times are known', () => {
+        const window = new LatencyWindow();
+        recordAll(window, 19);
+
+        expect(window.percentile(95)).toBeNull();
+        window.record(20);
+        expect(window.percentile(95)).toBe(19);
+        expect(window.percentile(50)).toBe(10);
+    });
+
+    test('should keep only the most recent response times', () => {
+        const window = new LatencyWindow(20);
+        recordAll(window, 20);
+        for (let i = 0; i < 20; i++) {
+            window.record(1000);
+        }
+
+        expect(window.samples).toHaveLength(20);
+        expect(window.percentile(50)).toBe(1000);
+    });
+
+    test('should validate hedge settings', () => {
+        expect(() => validateHedgePolicy({ delay: 50 })).not.toThrow();
+        expect(() => validateHedgePolicy({ delay: 'p95' })).not.toThrow();
+        expect(() => validateHedgePolicy(true)).toThrow('hedge must be an object');
+        expect(() => validateHedgePolicy({ delay: 50, max: 2 })).toThrow(
+            'Unknown hedge setting "max"'
+        );
+        for (const delay of [0, 1.5, 'p0', 'p100', '50ms', undefined]) {
+            expect(() => validateHedgePolicy({ delay })).toThrow(
+                'hedge.delay must be a positive integer (milliseconds) or a percentile like p95'
+            );
+        }
+    });
+
+    test('should resolve fixed and percentile delays', () => {
+        expect(resolveHedgePolicy(undefined)).toBeNull();
+        expect(resolveHedgePolicy({ delay: 50 })).toEqual({ delay: 50, percentile: null });
+        expect(resolveHedgePolicy({ delay: 'p99' })).toEqual({ delay: null, percentile: 99 });
+    });
+
+    test('should get the hedge delay from the policy or the response times', () => {
+        const window = new LatencyWindow();
+
+        expect(getHedgeDelay({ delay: 50, percentile: null }, window)).toBe(50);
+        expect(getHedgeDelay({ delay: null, percentile: 95 }, window)).toBeNull();
+        recordAll(window, 100);
+        expect(getHedgeDelay({ delay: null, percentile: 95 }, window)).toBe(95);
+    });
+
+    test('should only hedge safe methods', () => {
+        expect(isHedgeable({ method: 'GET' })).toBe(true);
+        expect(isHedgeable({ method: 'HEAD' })).toBe(true);
+        expect(isHedgeable({ method: 'PUT' })).toBe(false);
+        expect(isHedgeable({ method: 'POST' })).toBe(false);
+    });
+});
@@ -6,13 +6,24 @@ describe('Lib Barrel Exports', () => {
         expect(lib.errors).toBeDefined();
         expect(lib.circuitBreaker).toBeDefined();
         expect(lib.configLoader).toBeDefined();
+        expect(lib.configSchema).toBeDefined();
         expect(lib.loadBalancer).toBeDefined();
+        expect(lib.pathMatcher).toBeDefined();
+        expect(lib.jwt).toBeDefined();
+        expect(lib.authorization).toBeDefined();
+        expect(lib.TtlCache).toBeDefined();
+        expect(lib.rawBody).toBeDefined();
         expect(lib.logger).toBeDefined();
         expect(lib.pluginLoader).toBeDefined();
         expect(lib.retry).toBeDefined();
         expect(lib.routeBuilder).toBeDefined();
         expect(lib.shutdown).toBeDefined();
         expect(lib.upstreamHealth).toBeDefined();
+        expect(lib.upstreamTimeouts).toBeDefined();
+        expect(lib.circuitBreakerPolicy).toBeDefined();
+        expect(lib.retryPolicy).toBeDefined();
+        expect(lib.retryBudget).toBeDefined();
+        expect(lib.hedging).toBeDefined();
         expect(lib.watcher).toBeDefined();
     });
 
@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const logger = require('../../lib/logger');
+const { createJwtVerifier, decodeJwt, JwksKeyStore } = require('../../lib/jwt');
+const { UnauthorizedError, ServiceUnavailableError } = require('../../lib/errors');
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+/** Signs a compact JWT with Node's crypto (no JWT library needed) */
+const sign = (payload, { alg = 'RS256', kid, key }) => {
+    const header = { alg, typ: 'JWT', ...(kid ? { kid } : {}) };
+    const signingInput = `${base64url(header)}.${base64url(payload)}`;
+    let signature;
+    if (alg === 'HS256') {
+        signature = crypto.createHmac('sha256', key).update(signingInput).digest();
+    } else if (alg === 'ES256') {
+        signature = crypto.sign('sha256', Buffer.from(signingInput), {
+            key,
+            dsaEncoding: 'ieee-p1363'
+        });
+    } else {
+        signature = crypto.sign('sha256', Buffer.from(signingInput), key);
+    }
+    return `${signingInput}.${signature.toString('base64url')}`;
+};
+
+const toJwk = (publicKey, kid, alg) => ({ ...publicKey.export({ format: 'jwk' }), kid, alg });
+
+describe('JWT', () => {
+    const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const ec = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const now = () => Math.floor(Date.now() / 1000);
+    let tmpDir;
+    let jwksFile;
+
+    const writeJwks = (keys) => fs.writeFileSync(jwksFile, JSON.stringify({ keys }));
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-test-'));
+        jwksFile = path.join(tmpDir, 'jwks.json');
+        writeJwks([toJwk(rsa.publicKey, 'rsa-1', 'RS256'), toJwk(ec.publicKey, 'ec-1', 'ES256')]);
+        jest.spyOn(logger, 'warn').mockImplementation();
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    describe('decodeJwt', () => {
+        test('should reject tokens that are not three base64url JSON segments', () => {
+            expect(() => decodeJwt('opaque-token')).toThrow(UnauthorizedError);
+            expect(() => decodeJwt('a.b.c')).toThrow('Malformed token');
+        });
+    });
+
+    describe('createJwtVerifier', () => {
+        test('should verify RS256 and ES256 tokens from a JWKS file', async () => {
+            const verifier = createJwtVerifier({ jwksFile });
+
+            const rsToken = sign(
+                { sub: 'u1', exp: now() + 60 },
+                { kid: 'rsa-1', key: rsa.privateKey }
+            );
+            const esToken = sign(
+                { sub: 'u2', exp: now() + 60 },
+                { alg: 'ES256', kid: 'ec-1', key: ec.privateKey }
+            );
+
+            await expect(verifier.verify(rsToken)).resolves.toMatchObject({ sub: 'u1' });
+            await expect(verifier.verify(esToken)).resolves.toMatchObject({ sub: 'u2' });
+        });
+
+        test('should verify HS256 tokens with a secret from the environment', async () => {
+            process.env.TEST_JWT_SECRET = 'shared-secret';
+            try {
+                const verifier = createJwtVerifier({
+                    secretEnv: 'TEST_JWT_SECRET',
+                    algorithms: ['HS256']
+                });
+
+                const good = sign(
+                    { sub: 'u1', exp: now() + 60 },
+                    { alg: 'HS256', key: 'shared-secret' }
+                );
+                const bad = sign({ sub: 'u1', exp: now() + 60 }, { alg: 'HS256', key: 'other' });
+
+                await expect(verifier.verify(good)).resolves.toMatchObject({ sub: 'u1' });
+                await expect(verifier.verify(bad)).rejects.toThrow('Invalid token signature');
+            } finally {
+                delete process.env.TEST_JWT_SECRET;
+            }
+        });
+
+        test('should reject algorithms outside the allow-list', async () => {
+            const verifier = createJwtVerifier({ jwksFile, algorithms: ['ES256'] });
+            const token = sign({ exp: now() + 60 }, { kid: 'rsa-1', key: rsa.privateKey });
+
+            await expect(verifier.verify(token)).rejects.toMatchObject({
+                details: { reason: 'algorithm' }
+            });
+        });
+
+        test('should reject a tampered payload', async () => {
+            const verifier = createJwtVerifier({ jwksFile });
+            const [header, , signature] = sign(
+                { sub: 'u1', exp: now() + 60 },
+                { kid: 'rsa-1', key: rsa.privateKey }
+            ).split('.');
+            const forged = `${header}.${base64url({ sub: 'admin', exp: now() + 60 })}.${signature}`;
+
+            await expect(verifier.verify(forged)).rejects.toMatchObject({
+                details: { reason: 'signature' }
+            });
+        });
+
+        test.each([
+            ['missing exp', {}, 'exp'],
+            ['non-numeric exp', { exp: String(now() + 60) }, 'exp'],
+            ['non-numeric nbf', { exp: now() + 60, nbf: 'later' }, 'nbf'],
+            ['non-numeric past nbf', { exp: now() + 60, nbf: [now()] }, 'nbf'],
+            ['expired', { exp: now() - 120 }, 'exp'],
+            ['not yet valid', { exp: now() + 600, nbf: now() + 300 }, 'nbf'],
+            ['wrong issuer', { exp: now() + 60, iss: 'other' }, 'iss'],
+            ['wrong audience', { exp: now() + 60, iss: 'idp', aud: ['other'] }, 'aud']
+        ])('should reject a token with %s', async (_name, claims, reason) => {
+            const verifier = createJwtVerifier({ jwksFile, issuer: 'idp', audience: 'gateway' });
+            const token = sign(claims, { kid: 'rsa-1', key: rsa.privateKey });
+
+            await expect(verifier.verify(token)).rejects.toMatchObject({ details: { reason } });
+        });
+
+        test('should allow clock skew within the tolerance', async () => {
+            const verifier = createJwtVerifier({ jwksFile, clockToleranceSec: 30 });
+            const token = sign({ exp: now() - 10 }, { kid: 'rsa-1', key: rsa.privateKey });
+
+            await expect(verifier.verify(token)).resolves.toBeDefined();
+        });
+
+        test('should accept any configured audience', async () => {
+            const verifier = createJwtVerifier({ jwksFile, audience: ['a', 'gateway'] });
+            const token = sign(
+                { exp: now() + 60, aud: ['gateway', 'x'] },
+                { kid: 'rsa-1', key: rsa.privateKey }
+            );
+
+            await expect(verifier.verify(token)).resolves.toBeDefined();
+        });
+
+        test('should validate its options', () => {
+            expect(() => createJwtVerifier({})).toThrow('jwksUri, jwksFile or secretEnv');
+            expect(() => createJwtVerifier({ jwksFile, algorithms: ['none'] })).toThrow(
+                'Unsupported JWT algorithm'
+            );
+            expect(() => createJwtVerifier({ jwksUri: 'ftp://idp/jwks' })).toThrow('jwksUri');
+            expect(() => createJwtVerifier({ secretEnv: 'TEST_JWT_UNSET' })).toThrow(
+                'TEST_JWT_UNSET is not set'
+            );
+        });
+    });
+
+    describe('JwksKeyStore', () => {
+        test('should pick up a rotated key on an unknown kid', async () => {
+            const rotated = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+            const verifier = createJwtVerifier({ jwksFile });
+            const oldToken = sign({ exp: now() + 60 }, { kid: 'rsa-1', key: rsa.privateKey });
+            await verifier.verify(oldToken);
+
+            writeJwks([toJwk(rotated.publicKey, 'rsa-2', 'RS256')]);
+            const clock = Date.now() + 60000;
+            jest.spyOn(Date, 'now').mockImplementation(() => clock);
+
+            const newToken = sign({ exp: now() + 60 }, { kid: 'rsa-2', key: rotated.privateKey });
+            await expect(verifier.verify(newToken)).resolves.toBeDefined();
+        });
+
+        test('should not refetch for unknown kids more often than the minimum interval', async () => {
+            const getSpy = jest
+                .spyOn(axios, 'get')
+                .mockResolvedValue({ data: { keys: [toJwk(rsa.publicKey, 'rsa-1', 'RS256')] } });
+            const store = new JwksKeyStore({ jwksUri: 'http://idp/jwks' });
+
+            await store.getKeys('rsa-1', 'RS256');
+            await expect(store.getKeys('forged', 'RS256')).rejects.toThrow('Unknown signing key');
+
+            expect(getSpy).toHaveBeenCalledTimes(1);
+        });
+
+        test('should keep the previous keys when a refresh fails', async () => {
+            const getSpy = jest
+                .spyOn(axios, 'get')
+                .mockResolvedValueOnce({ data: { keys: [toJwk(rsa.publicKey, 'rsa-1', 'RS256')] } })
+                .mockRejectedValue(new Error('timeout'));
+            const store = new JwksKeyStore({ jwksUri: 'http://idp/jwks', cacheTtlMs: 0 });
+
+            await store.getKeys('rsa-1', 'RS256');
+            await expect(store.getKeys('rsa-1', 'RS256')).resolves.toHaveLength(1);
+
+            expect(getSpy).toHaveBeenCalledTimes(2);
+            expect(logger.warn).toHaveBeenCalledWith(
+                'Failed to load JWKS',
+                expect.objectContaining({ error: 'timeout' })
+            );
+        });
+
+        test('should report unavailable keys when nothing was ever loaded', async () => {
+            jest.spyOn(axios, 'get').mockRejectedValue(new Error('ECONNREFUSED'));
+            const store = new JwksKeyStore({ jwksUri: 'http://idp/jwks' });
+
+            await expect(store.getKeys('rsa-1', 'RS256')).rejects.toThrow(ServiceUnavailableError);
+        });
+
+        test('should not refetch on every request while no keys have loaded', async () => {
+            const getSpy = jest
+                .spyOn(axios, 'get')
+                .mockRejectedValueOnce(new Error('ECONNREFUSED'))
+                .mockResolvedValue({ data: { keys: [toJwk(rsa.publicKey, 'rsa-1', 'RS256')] } });
+            const store = new JwksKeyStore({ jwksUri: 'http://idp/jwks' });
+
+            await expect(store.getKeys('rsa-1', 'RS256')).rejects.toThrow(ServiceUnavailableError);
+            await expect(store.getKeys('rsa-1', 'RS256')).rejects.toThrow(ServiceUnavailableError);
+            expect(getSpy).toHaveBeenCalledTimes(1);
+
+            const clock = Date.now() + 30000;
+            jest.spyOn(Date, 'now').mockImplementation(() => clock);
+            await expect(store.getKeys('rsa-1', 'RS256')).resolves.toHaveLength(1);
+            expect(getSpy).toHaveBeenCalledTimes(2);
+        });
+
+        test('should ignore keys not meant for signatures', async () => {
+            writeJwks([{ ...toJwk(rsa.publicKey, 'rsa-1', 'RS256'), use: 'enc' }]);
+            const store = new JwksKeyStore({ jwksFile });
+
+            await expect(store.getKeys('rsa-1', 'RS256')).rejects.toThrow('Unknown signing key');
+        });
+    });
+});
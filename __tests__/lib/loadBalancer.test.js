@@ -25,19 +25,87 @@ describe('Load Balancer', () => {
             expect(result).toEqual(['http://test1.com', 'http://test2.com']);
         });
 
-        test('should filter invalid entries', () => {
+        test('should reject invalid entries', () => {
+            expect(() =>
+                loadBalancer.parseUpstreams(['http://test1.com', null, 'http://test2.com'])
+            ).toThrow('Invalid upstream entry');
+            expect(() => loadBalancer.parseUpstreams(['http://test1.com', 123])).toThrow(
+                'Invalid upstream entry'
+            );
+        });
+
+        test('should parse comma-separated upstream strings', () => {
+            const result = loadBalancer.parseUpstreams('http://test1.com, http://test2.com:8080');
+            expect(result).toEqual(['http://test1.com', 'http://test2.com:8080']);
+        });
+
+        test('should split comma-separated strings inside arrays', () => {
             const result = loadBalancer.parseUpstreams([
-                'http://test1.com',
-                null,
-                'http://test2.com',
-                123
+                'http://a.com,http://b.com',
+                'http://c.com'
             ]);
-            expect(result).toEqual(['http://test1.com', 'http://test2.com']);
+            expect(result).toEqual(['http://a.com', 'http://b.com', 'http://c.com']);
+        });
+
+        test('should normalize URLs', () => {
+            const result = loadBalancer.parseUpstreams([
+                ' HTTP://Test1.COM:8080/ ',
+                'https://test2.com/api/'
+            ]);
+            expect(result).toEqual(['http://test1.com:8080', 'https://test2.com/api']);
         });
 
-        test('should return empty array for invalid input', () => {
+        test('should reject malformed URLs with a clear error', () => {
+            expect(() => loadBalancer.parseUpstreams('user-service:8080')).toThrow(
+                'protocol must be http or https'
+            );
+            expect(() => loadBalancer.parseUpstreams('not a url')).toThrow(
+                'Invalid upstream URL "not a url"'
+            );
+            expect(() => loadBalancer.parseUpstreams('http://a.com?x=1')).toThrow(
+                'query strings and fragments are not allowed'
+            );
+            expect(() => loadBalancer.parseUpstreams('http://a.com,,http://b.com')).toThrow(
+                'empty URL'
+            );
+        });
+
+        test('should reject duplicate upstreams', () => {
+            expect(() => loadBalancer.parseUpstreams('http://a.com,http://A.com/')).toThrow(
+                'Duplicate upstream "http://a.com"'
+            );
+        });
+
+        test('should parse { url, weight } entries', () => {
+            const result = loadBalancer.parseUpstreams([
+                { url: 'http://test1.com', weight: 95 },
+                { url: 'http://canary.com', weight: 5 },
+                'http://test2.com'
+            ]);
+            expect(result).toEqual(['http://test1.com', 'http://canary.com', 'http://test2.com']);
+        });
+
+        test('should reject entries with invalid weights', () => {
+            expect(() =>
+                loadBalancer.parseUpstreams([{ url: 'http://test1.com', weight: -1 }])
+            ).toThrow('Invalid weight for upstream "http://test1.com"');
+            expect(() =>
+                loadBalancer.parseUpstreams([{ url: 'http://test2.com', weight: 1.5 }])
+            ).toThrow('Invalid weight');
+            expect(loadBalancer.parseUpstreams([{ url: 'http://test3.com', weight: 0 }])).toEqual([
+                'http://test3.com'
+            ]);
+        });
+
+        test('should return empty array when no upstream is configured', () => {
             expect(loadBalancer.parseUpstreams(null)).toEqual([]);
-            expect(loadBalancer.parseUpstreams(123)).toEqual([]);
+            expect(loadBalancer.parseUpstreams(undefined)).toEqual([]);
+        });
+
+        test('should reject non-string, non-array config', () => {
+            expect(() => loadBalancer.parseUpstreams(123)).toThrow(
+                'must be a URL string or an array'
+            );
         });
     });
 
@@ -103,9 +171,227 @@ describe('Load Balancer', () => {
             expect(upstreams).toContain(result);
         });
 
+        test('should pick the upstream with fewest in-flight requests', () => {
+            const releases = [
+                loadBalancer.trackRequest('http://test1.com'),
+                loadBalancer.trackRequest('http://test1.com'),
+                loadBalancer.trackRequest('http://test3.com')
+            ];
+
+            const state = { index: 0 };
+            expect(loadBalancer.selectUpstream(upstreams, 'least_connections', state)).toBe(
+                'http://test2.com'
+            );
+
+            releases.forEach((release) => release());
+        });
+
+        test('should spread ties across upstreams for least_connections', () => {
+            const state = { index: 0 };
+            const selected = new Set();
+            for (let i = 0; i < upstreams.length; i++) {
+                selected.add(loadBalancer.selectUpstream(upstreams, 'least_connections', state));
+            }
+            expect(selected.size).toBe(upstreams.length);
+        });
+
         test('should default to first upstream for unknown strategy', () => {
             const result = loadBalancer.selectUpstream(upstreams, 'unknown_strategy');
             expect(result).toBe('http://test1.com');
         });
     });
+
+    describe('parseWeights', () => {
+        test('should return null when no weights are configured', () => {
+            expect(loadBalancer.parseWeights('http://test.com')).toBeNull();
+            expect(loadBalancer.parseWeights(['http://a.com', { url: 'http://b.com' }])).toBeNull();
+        });
+
+        test('should default missing weights to 1', () => {
+            const weights = loadBalancer.parseWeights([
+                { url: 'http://a.com', weight: 3 },
+                'http://b.com'
+            ]);
+            expect(weights).toEqual(
+                new Map([
+                    ['http://a.com', 3],
+                    ['http://b.com', 1]
+                ])
+            );
+        });
+    });
+
+    describe('weighted strategy', () => {
+        const upstreams = ['http://a.com', 'http://b.com', 'http://c.com'];
+        const pick = (state, count) =>
+            Array.from({ length: count }, () =>
+                loadBalancer.selectUpstream(upstreams, 'weighted', state)
+            );
+
+        test('should interleave picks smoothly by weight', () => {
+            const state = {
+                weights: new Map([
+                    ['http://a.com', 5],
+                    ['http://b.com', 1],
+                    ['http://c.com', 1]
+                ])
+            };
+
+            expect(pick(state, 7)).toEqual([
+                'http://a.com',
+                'http://a.com',
+                'http://b.com',
+                'http://a.com',
+                'http://c.com',
+                'http://a.com',
+                'http://a.com'
+            ]);
+        });
+
+        test('should send a canary its share of traffic', () => {
+            const state = {
+                weights: new Map([
+                    ['http://a.com', 95],
+                    ['http://b.com', 0],
+                    ['http://c.com', 5]
+                ])
+            };
+
+            const picks = pick(state, 100);
+            expect(picks.filter((u) => u === 'http://c.com')).toHaveLength(5);
+            expect(picks).not.toContain('http://b.com');
+        });
+
+        test('should skip unhealthy upstreams', () => {
+            upstreamHealthChecker.isHealthy.mockImplementation((url) => url !== 'http://a.com');
+            const state = {
+                weights: new Map([
+                    ['http://a.com', 10],
+                    ['http://b.com', 1],
+                    ['http://c.com', 1]
+                ])
+            };
+
+            expect(pick(state, 4)).not.toContain('http://a.com');
+        });
+
+        test('should drain weight-0 upstreams for other strategies too', () => {
+            const state = { index: 0, weights: new Map([['http://a.com', 0]]) };
+
+            for (let i = 0; i < 4; i++) {
+                expect(loadBalancer.selectUpstream(upstreams, 'round_robin', state)).not.toBe(
+                    'http://a.com'
+                );
+            }
+        });
+
+        test('should return null when every upstream is drained', () => {
+            const state = {
+                weights: new Map(upstreams.map((u) => [u, 0]))
+            };
+            expect(loadBalancer.selectUpstream(upstreams, 'weighted', state)).toBeNull();
+        });
+    });
+
+    describe('consistent_hash strategy', () => {
+        const upstreams = ['http://a.com', 'http://b.com', 'http://c.com', 'http://d.com'];
+        const keys = Array.from({ length: 200 }, (_, i) => `user-${i}`);
+        const route = (state, hashKey) =>
+            loadBalancer.selectUpstream(upstreams, 'consistent_hash', state, { hashKey });
+
+        test('should map the same key to the same upstream', () => {
+            const state = {};
+            const first = route(state, 'user-42');
+            for (let i = 0; i < 5; i++) {
+                expect(route(state, 'user-42')).toBe(first);
+            }
+        });
+
+        test('should spread keys across upstreams', () => {
+            const state = {};
+            const used = new Set(keys.map((key) => route(state, key)));
+            expect(used.size).toBe(upstreams.length);
+        });
+
+        test('should only remap keys of an unhealthy upstream', () => {
+            const state = {};
+            const before = new Map(keys.map((key) => [key, route(state, key)]));
+
+            upstreamHealthChecker.isHealthy.mockImplementation((url) => url !== 'http://b.com');
+            for (const key of keys) {
+                const after = route(state, key);
+                expect(after).not.toBe('http://b.com');
+                if (before.get(key) !== 'http://b.com') {
+                    expect(after).toBe(before.get(key));
+                }
+            }
+        });
+
+        test('should fall back to round robin without a hash key', () => {
+            const state = { index: 0 };
+            expect(route(state, undefined)).toBe('http://a.com');
+            expect(route(state, undefined)).toBe('http://b.com');
+        });
+
+        test('should give weighted upstreams more of the ring', () => {
+            const ring = loadBalancer.buildHashRing(
+                ['http://a.com', 'http://b.com'],
+                new Map([
+                    ['http://a.com', 3],
+                    ['http://b.com', 0]
+                ])
+            );
+            expect(ring.every((node) => node.upstream === 'http://a.com')).toBe(true);
+            expect(ring.length).toBeGreaterThan(0);
+        });
+    });
+
+    describe('createHashKeyResolver', () => {
+        const req = {
+            ip: '10.0.0.1',
+            headers: {
+                'x-session': 'abc',
+                'X-User-Id': '42',
+                cookie: 'theme=dark; SESSION=s%201'
+            }
+        };
+
+        test('should resolve each key source', () => {
+            expect(loadBalancer.createHashKeyResolver()(req)).toBe('10.0.0.1');
+            expect(loadBalancer.createHashKeyResolver('user')(req)).toBe('42');
+            expect(loadBalancer.createHashKeyResolver('header:X-Session')(req)).toBe('abc');
+            expect(loadBalancer.createHashKeyResolver('cookie:SESSION')(req)).toBe('s 1');
+        });
+
+        test('should fall back to client IP when the key is missing', () => {
+            const anonymous = { ip: '10.0.0.2', headers: {} };
+            expect(loadBalancer.createHashKeyResolver('cookie:SESSION')(anonymous)).toBe(
+                '10.0.0.2'
+            );
+            expect(loadBalancer.createHashKeyResolver('user')(anonymous)).toBe('10.0.0.2');
+        });
+
+        test('should reject unknown sources', () => {
+            expect(() => loadBalancer.createHashKeyResolver('query:id')).toThrow('Invalid hashOn');
+            expect(() => loadBalancer.createHashKeyResolver('cookie:')).toThrow('Invalid hashOn');
+        });
+    });
+
+    describe('trackRequest', () => {
+        test('should count in-flight requests and release once', () => {
+            const release = loadBalancer.trackRequest('http://tracked.com');
+            loadBalancer.trackRequest('http://tracked.com')();
+
+            expect(loadBalancer.getActiveConnections('http://tracked.com')).toBe(1);
+            expect(loadBalancer.getAllActiveConnections()['http://tracked.com']).toBe(1);
+
+            release();
+            release();
+            expect(loadBalancer.getActiveConnections('http://tracked.com')).toBe(0);
+        });
+
+        test('should return 0 for unknown upstreams', () => {
+            expect(loadBalancer.getActiveConnections('http://never.com')).toBe(0);
+        });
+    });
 });
@@ -0,0 +1,108 @@
+const {
+    compilePathPattern,
+    parsePathRule,
+    getRequestPath,
+    createRequestMatcher
+} = require('../../lib/pathMatcher');
+
+describe('Path Matcher', () => {
+    describe('compilePathPattern', () => {
+        test.each([
+            ['/api/public', '/api/public', true],
+            ['/api/public', '/api/public/a/b', true],
+            ['/api/public', '/api/publicity', false],
+            ['/api/public/**', '/api/public', true],
+            ['/api/public/**', '/api/public/a/b', true],
+            ['/api/*/docs', '/api/v1/docs', true],
+            ['/api/*/docs', '/api/v1/x/docs', false],
+            ['/api/**/docs', '/api/docs', true],
+            ['/api/**/docs', '/api/v1/x/docs', true],
+            ['/api/v?', '/api/v1', true],
+            ['/api/v?', '/api/v10', false],
+            ['/file.json', '/fileXjson', false]
+        ])('%s matching %s should be %s', (pattern, path, expected) => {
+            expect(compilePathPattern(pattern).test(path)).toBe(expected);
+        });
+
+        test('should reject patterns that are not paths', () => {
+            expect(() => compilePathPattern('api/**')).toThrow('must start with "/"');
+        });
+    });
+
+    describe('parsePathRule', () => {
+        test('should parse method prefixes and add HEAD for GET', () => {
+            const rule = parsePathRule('get,POST /api/docs');
+
+            expect(rule.path).toBe('/api/docs');
+            expect([...rule.methods]).toEqual(['GET', 'POST', 'HEAD']);
+        });
+
+        test('should parse the object form', () => {
+            const rule = parsePathRule({ path: '/api', methods: ['DELETE'] });
+
+            expect([...rule.methods]).toEqual(['DELETE']);
+        });
+
+        test('should reject unknown methods and malformed rules', () => {
+            expect(() => parsePathRule('FETCH /api')).toThrow('unknown HTTP method');
+            expect(() => parsePathRule({ path: '/api', methods: 'GET' })).toThrow(
+                'methods must be an array'
+            );
+            expect(() => parsePathRule(42)).toThrow('Invalid path rule');
+        });
+    });
+
+    describe('getRequestPath', () => {
+        test('should strip the query string and decode the path', () => {
+            expect(getRequestPath({ originalUrl: '/a%20b/c?x=1' })).toBe('/a b/c');
+        });
+
+        test('should return null for dot segments and undecodable paths', () => {
+            expect(getRequestPath({ originalUrl: '/public/../admin' })).toBeNull();
+            expect(getRequestPath({ originalUrl: '/public/%2E%2E/admin' })).toBeNull();
+            expect(getRequestPath({ originalUrl: '/public/%E0%A4%A' })).toBeNull();
+        });
+
+        test('should return null for segments servers may resolve as dot segments', () => {
+            expect(getRequestPath({ originalUrl: '/public/..;/admin' })).toBeNull();
+            expect(getRequestPath({ originalUrl: '/public/..%3B/admin' })).toBeNull();
+            expect(getRequestPath({ originalUrl: '/public/%2E%2E;x=1/admin' })).toBeNull();
+            expect(getRequestPath({ originalUrl: '/public/...' })).toBeNull();
+            expect(getRequestPath({ originalUrl: '/public;jsessionid=1/x' })).toBeNull();
+            expect(getRequestPath({ originalUrl: '/public/%252E%252E/admin' })).toBeNull();
+            expect(getRequestPath({ originalUrl: '/public/a..b/c' })).toBe('/public/a..b/c');
+        });
+
+        test('should return null for empty segments', () => {
+            expect(getRequestPath({ originalUrl: '/public//admin' })).toBeNull();
+            expect(getRequestPath({ originalUrl: '/public/%2F/admin' })).toBeNull();
+            expect(getRequestPath({ originalUrl: '/public/\\/admin' })).toBeNull();
+            expect(getRequestPath({ originalUrl: '/public/' })).toBe('/public/');
+        });
+    });
+
+    describe('createRequestMatcher', () => {
+        const matches = createRequestMatcher(['/api/public/**', 'GET /api/docs']);
+
+        test('should match method and path', () => {
+            expect(matches({ method: 'POST', originalUrl: '/api/public/x' })).toBe(true);
+            expect(matches({ method: 'GET', originalUrl: '/api/docs' })).toBe(true);
+            expect(matches({ method: 'DELETE', originalUrl: '/api/docs' })).toBe(false);
+            expect(matches({ method: 'GET', originalUrl: '/api/users' })).toBe(false);
+        });
+
+        test('should not match paths that traverse out of a rule with ..;', () => {
+            expect(matches({ method: 'GET', originalUrl: '/api/public/..;/admin' })).toBe(false);
+            expect(matches({ method: 'GET', originalUrl: '/api/public/..%3b/admin' })).toBe(false);
+        });
+
+        test('should not match empty segments or other cases by default', () => {
+            expect(matches({ method: 'GET', originalUrl: '/api//public/x' })).toBe(false);
+            expect(matches({ method: 'GET', originalUrl: '/API/public/x' })).toBe(false);
+        });
+
+        test('should never match without rules', () => {
+            expect(createRequestMatcher()({ method: 'GET', originalUrl: '/' })).toBe(false);
+        });
+    });
+});
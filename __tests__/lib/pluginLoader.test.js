@@ -1,6 +1,6 @@
 const fs = require('fs');
 const path = require('path');
-const { loadPlugin, clearPluginCache } = require('../../lib/pluginLoader');
+const { loadPlugin, resolvePluginEnabled, clearPluginCache } = require('../../lib/pluginLoader');
 const logger = require('../../lib/logger');
 
 describe('Plugin Loader', () => {
@@ -376,4 +376,16 @@ describe('Plugin Loader', () => {
             Object.assign(require.cache, savedCache);
         });
     });
+
+    describe('resolvePluginEnabled', () => {
+        test('should read enabled from the entry or, first, from options', () => {
+            expect(resolvePluginEnabled({ name: 'a', enabled: true })).toBe(true);
+            expect(resolvePluginEnabled({ name: 'a', options: { enabled: true } })).toBe(true);
+            expect(
+                resolvePluginEnabled({ name: 'a', enabled: true, options: { enabled: false } })
+            ).toBe(false);
+            expect(resolvePluginEnabled({ name: 'a', options: {} })).toBeUndefined();
+            expect(resolvePluginEnabled(null)).toBeUndefined();
+        });
+    });
 });
@@ -0,0 +1,50 @@
+const request = require('supertest');
+const express = require('express');
+const { captureRawBody, readRawBody } = require('../../lib/rawBody');
+
+describe('Raw Body', () => {
+    const buildApp = (parse, options) => {
+        const app = express();
+        if (parse) {
+            app.use(express.json({ verify: captureRawBody }));
+        }
+        app.post('/', async (req, res) => {
+            try {
+                const body = await readRawBody(req, options);
+                res.json({ raw: body.toString('utf8'), parsed: req.body });
+            } catch (error) {
+                res.status(error.statusCode).json(error.toJSON());
+            }
+        });
+        return app;
+    };
+
+    test('should keep the exact bytes consumed by the JSON parser', async () => {
+        const payload = '{ "a" :1 }';
+        const response = await request(buildApp(true))
+            .post('/')
+            .set('Content-Type', 'application/json')
+            .send(payload);
+
+        expect(response.body).toEqual({ raw: payload, parsed: { a: 1 } });
+    });
+
+    test('should read bodies no parser consumed', async () => {
+        const response = await request(buildApp(true))
+            .post('/')
+            .set('Content-Type', 'text/plain')
+            .send('plain text');
+
+        expect(response.body.raw).toBe('plain text');
+    });
+
+    test('should reject bodies above the limit', async () => {
+        const response = await request(buildApp(false, { limit: 4 }))
+            .post('/')
+            .set('Content-Type', 'text/plain')
+            .send('too long');
+
+        expect(response.status).toBe(413);
+        expect(response.body.code).toBe('PAYLOAD_TOO_LARGE');
+    });
+});
@@ -133,6 +133,53 @@ describe('Retry Manager', () => {
                 expect(delay).toBeLessThanOrEqual(600); // 500 + 20% jitter
             });
         });
+
+        test('should pass the attempt number to the function', async () => {
+            const fn = jest
+                .fn()
+                .mockRejectedValueOnce({ code: 'ECONNRESET' })
+                .mockResolvedValueOnce('success');
+
+            await retryManager.execute(fn, { maxRetries: 3 });
+
+            expect(fn.mock.calls).toEqual([[0], [1]]);
+        });
+
+        test('should use shouldRetry instead of the error codes', async () => {
+            const fn = jest
+                .fn()
+                .mockRejectedValueOnce({ status: 503 })
+                .mockRejectedValueOnce({ code: 'ECONNRESET' })
+                .mockResolvedValueOnce('success');
+            const shouldRetry = jest.fn((error) => error.status === 503);
+
+            await expect(retryManager.execute(fn, { maxRetries: 3, shouldRetry })).rejects.toEqual({
+                code: 'ECONNRESET'
+            });
+            expect(fn).toHaveBeenCalledTimes(2);
+            expect(shouldRetry).toHaveBeenCalledWith({ status: 503 }, 0);
+        });
+
+        test('should stop retrying once maxRetryTime would be exceeded', async () => {
+            const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(1000);
+            const fn = jest.fn().mockImplementation(() => {
+                nowSpy.mockReturnValue(nowSpy() + 400);
+                return Promise.reject({ code: 'ECONNRESET' });
+            });
+
+            await expect(
+                retryManager.execute(fn, {
+                    maxRetries: 5,
+                    initialDelay: 100,
+                    factor: 1,
+                    maxRetryTime: 1000
+                })
+            ).rejects.toEqual({ code: 'ECONNRESET' });
+
+            // 400ms + 100ms delay fits; 800ms + ~100ms fits; 1200ms does not
+            expect(fn).toHaveBeenCalledTimes(3);
+            nowSpy.mockRestore();
+        });
     });
 
     describe('sleep (real implementation)', () => {
@@ -0,0 +1,102 @@
+jest.mock('../../lib/logger', () => ({
+    warn: jest.fn(),
+    error: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn()
+}));
+
+const retryBudget = require('../../lib/retryBudget');
+
+describe('Retry Budget', () => {
+    const budget = { percent: 20, windowMs: 10000, minRetries: 2 };
+    let now;
+
+    const sendRequests = (count, route = '/api', upstream = 'http://a') => {
+        for (let i = 0; i < count; i++) {
+            retryBudget.recordRequest(route, upstream, budget);
+        }
+    };
+
+    beforeEach(() => {
+        now = 1000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        retryBudget.reset();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should allow the minimum number of retries without traffic', () => {
+        expect(retryBudget.tryAcquire('/api', 'http://a', budget)).toBe(true);
+        expect(retryBudget.tryAcquire('/api', 'http://a', budget)).toBe(true);
+        expect(retryBudget.tryAcquire('/api', 'http://a', budget)).toBe(false);
+    });
+
+    test('should allow retries up to the percentage of requests', () => {
+        sendRequests(50);
+
+        for (let i = 0; i < 10; i++) {
+            expect(retryBudget.tryAcquire('/api', 'http://a', budget)).toBe(true);
+        }
+        expect(retryBudget.tryAcquire('/api', 'http://a', budget)).toBe(false);
+        expect(retryBudget.getStats().routes['/api']).toEqual({
+            requests: 50,
+            retries: 10,
+            allowed: 10,
+            remaining: 0,
+            skipped: 1
+        });
+    });
+
+    test('should limit retries after failures of an upstream to its own budget', () => {
+        const noMinimum = { ...budget, minRetries: 0 };
+        sendRequests(50, '/api', 'http://a');
+        sendRequests(5, '/api', 'http://b');
+
+        expect(retryBudget.tryAcquire('/api', 'http://b', noMinimum)).toBe(true);
+        expect(retryBudget.tryAcquire('/api', 'http://b', noMinimum)).toBe(false);
+        expect(retryBudget.tryAcquire('/api', 'http://a', noMinimum)).toBe(true);
+        expect(retryBudget.getStats().upstreams['http://b']).toMatchObject({
+            allowed: 1,
+            remaining: 0,
+            skipped: 1
+        });
+    });
+
+    test('should tell whether a retry is left without taking it', () => {
+        const strict = { ...budget, minRetries: 1 };
+
+        expect(retryBudget.hasRetry('/api', 'http://a', strict)).toBe(true);
+        expect(retryBudget.getStats().routes['/api']).toMatchObject({ retries: 0 });
+        retryBudget.tryAcquire('/api', 'http://a', strict);
+        expect(retryBudget.hasRetry('/api', 'http://a', strict)).toBe(false);
+        expect(retryBudget.hasRetry('/other', 'http://a', strict)).toBe(false);
+        expect(retryBudget.getStats().upstreams['http://a']).toMatchObject({ skipped: 0 });
+    });
+
+    test('should not take a retry from one budget when the other is spent', () => {
+        const strict = { ...budget, minRetries: 1 };
+        retryBudget.tryAcquire('/api', 'http://a', strict);
+
+        expect(retryBudget.tryAcquire('/other', 'http://a', strict)).toBe(false);
+        expect(retryBudget.getStats().routes['/other']).toMatchObject({ retries: 0 });
+        expect(retryBudget.getStats().upstreams['http://a']).toMatchObject({ skipped: 1 });
+    });
+
+    test('should forget requests and retries outside the window', () => {
+        sendRequests(50);
+        for (let i = 0; i < 10; i++) {
+            retryBudget.tryAcquire('/api', 'http://a', budget);
+        }
+
+        now += 10000;
+
+        expect(retryBudget.getStats().routes['/api']).toMatchObject({
+            requests: 0,
+            retries: 0,
+            remaining: 2
+        });
+        expect(retryBudget.tryAcquire('/api', 'http://a', budget)).toBe(true);
+    });
+});
@@ -0,0 +1,106 @@
+const config = require('../../lib/config');
+const {
+    resolveRetryPolicy,
+    validateRetryPolicy,
+    isIdempotent,
+    isReplayable,
+    isRetryableFailure
+} = require('../../lib/retryPolicy');
+
+describe('Retry Policy', () => {
+    const createReq = (method, headers = {}, rawBody) => ({ method, headers, rawBody });
+    const policy = { statuses: [502, 503, 504] };
+
+    test('should resolve defaults, the legacy maxRetries and policy blocks', () => {
+        expect(resolveRetryPolicy({})).toEqual({
+            maxRetries: config.retry.maxRetries,
+            statuses: [502, 503, 504],
+            maxRetryTime: null,
+            initialDelay: config.retry.initialDelay,
+            maxDelay: config.retry.maxDelay,
+            factor: config.retry.factor,
+            budget: config.retry.budget
+        });
+        expect(resolveRetryPolicy({ retry: true, maxRetries: 5 }).maxRetries).toBe(5);
+        expect(resolveRetryPolicy({ retry: false, maxRetries: 5 }).maxRetries).toBe(0);
+        expect(resolveRetryPolicy({ retries: 4 }).maxRetries).toBe(4);
+        expect(resolveRetryPolicy({ retries: 4, maxRetries: 2 }).maxRetries).toBe(2);
+        expect(
+            resolveRetryPolicy({ retry: { maxRetries: 1, statuses: [503], maxRetryTime: 2000 } })
+        ).toMatchObject({ maxRetries: 1, statuses: [503], maxRetryTime: 2000 });
+        expect(resolveRetryPolicy({ retry: { budget: { percent: 5 } } }).budget).toEqual({
+            ...config.retry.budget,
+            percent: 5
+        });
+        expect(resolveRetryPolicy({ retry: { budget: false } }).budget).toBeNull();
+    });
+
+    test('should validate retry settings', () => {
+        expect(() => validateRetryPolicy(true)).not.toThrow();
+        expect(() => validateRetryPolicy({ maxRetries: 0, statuses: [503] })).not.toThrow();
+        expect(() => validateRetryPolicy('yes')).toThrow('retry must be a boolean or an object');
+        expect(() => validateRetryPolicy({ retries: 2 })).toThrow(
+            'Unknown retry setting "retries"'
+        );
+        expect(() => validateRetryPolicy({ statuses: [429] })).toThrow(
+            'retry.statuses must be a list of 5xx status codes'
+        );
+        expect(() => validateRetryPolicy({ maxRetryTime: 0 })).toThrow(
+            'retry.maxRetryTime must be a positive integer'
+        );
+        expect(() => validateRetryPolicy({ maxRetries: 11 })).toThrow('at most 10');
+        expect(() => validateRetryPolicy({ budget: false })).not.toThrow();
+        expect(() => validateRetryPolicy({ budget: { percent: 150 } })).toThrow(
+            'retry.budget.percent must be an integer from 0 to 100'
+        );
+        expect(() => validateRetryPolicy({ budget: { ratio: 0.2 } })).toThrow(
+            'Unknown retry budget setting "ratio"'
+        );
+    });
+
+    test('should treat idempotent methods and Idempotency-Key requests as idempotent', () => {
+        expect(isIdempotent(createReq('GET'))).toBe(true);
+        expect(isIdempotent(createReq('PUT'))).toBe(true);
+        expect(isIdempotent(createReq('POST'))).toBe(false);
+        expect(isIdempotent(createReq('PATCH', { 'idempotency-key': 'k1' }))).toBe(true);
+    });
+
+    test('should only replay bodiless requests and kept bodies', () => {
+        expect(isReplayable(createReq('GET'))).toBe(true);
+        expect(isReplayable(createReq('POST', { 'content-length': '0' }))).toBe(true);
+        expect(isReplayable(createReq('POST', { 'content-length': '12' }))).toBe(false);
+        expect(isReplayable(createReq('POST', { 'transfer-encoding': 'chunked' }))).toBe(false);
+        expect(
+            isReplayable(createReq('POST', { 'content-length': '12' }, Buffer.from('{"id":1}')))
+        ).toBe(true);
+    });
+
+    test('should retry configured statuses for idempotent requests only', () => {
+        expect(isRetryableFailure({ status: 503 }, createReq('GET'), policy)).toBe(true);
+        expect(isRetryableFailure({ status: 500 }, createReq('GET'), policy)).toBe(false);
+        expect(isRetryableFailure({ status: 503 }, createReq('POST'), policy)).toBe(false);
+    });
+
+    test('should retry unsent requests for any method', () => {
+        expect(isRetryableFailure({ code: 'ECONNREFUSED' }, createReq('POST'), policy)).toBe(true);
+        expect(
+            isRetryableFailure({ code: 'ETIMEDOUT', phase: 'connect' }, createReq('POST'), policy)
+        ).toBe(true);
+        expect(isRetryableFailure({ code: 'ECONNRESET' }, createReq('POST'), policy)).toBe(false);
+        expect(isRetryableFailure({ code: 'ECONNRESET' }, createReq('GET'), policy)).toBe(true);
+    });
+
+    test('should not retry timeouts after the request was sent', () => {
+        expect(
+            isRetryableFailure({ code: 'ETIMEDOUT', phase: 'firstByte' }, createReq('GET'), policy)
+        ).toBe(false);
+        expect(isRetryableFailure({ code: 'EPROTO' }, createReq('GET'), policy)).toBe(false);
+    });
+
+    test('should not retry streamed bodies', () => {
+        const req = createReq('PUT', { 'transfer-encoding': 'chunked' });
+
+        expect(isRetryableFailure({ code: 'ECONNREFUSED' }, req, policy)).toBe(false);
+        expect(isRetryableFailure({ status: 503 }, req, policy)).toBe(false);
+    });
+});
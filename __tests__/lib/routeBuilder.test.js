@@ -1,10 +1,14 @@
+const http = require('http');
+const request = require('supertest');
 const express = require('express');
-const { buildRouter } = require('../../lib/routeBuilder');
+const { buildRouter, getRouteTable } = require('../../lib/routeBuilder');
 const { loadPlugin } = require('../../lib/pluginLoader');
 const upstreamHealthChecker = require('../../lib/upstreamHealth');
+const loadBalancer = require('../../lib/loadBalancer');
 
 // Mock pluginLoader
 jest.mock('../../lib/pluginLoader', () => ({
+    ...jest.requireActual('../../lib/pluginLoader'),
     loadPlugin: jest.fn()
 }));
 
@@ -21,7 +25,6 @@ describe('Route Builder', () => {
 
     beforeEach(() => {
         app = express();
-        app.use(express.json());
         loadPlugin.mockClear();
     });
 
@@ -69,6 +72,65 @@ describe('Route Builder', () => {
         });
     });
 
+    test('should skip plugins that do not set enabled', () => {
+        loadPlugin.mockReturnValue((req, res, next) => next());
+
+        buildRouter([
+            {
+                path: '/test',
+                upstream: 'http://localhost:8080',
+                plugins: [{ name: 'central-auth', options: { authServiceUrl: 'http://auth' } }]
+            }
+        ]);
+
+        expect(loadPlugin).not.toHaveBeenCalled();
+        loadPlugin.mockReset();
+    });
+
+    test('should answer 503 when an enabled plugin fails to load', async () => {
+        loadPlugin.mockReturnValue(null);
+
+        const app = express();
+        app.use(
+            buildRouter([
+                {
+                    path: '/locked',
+                    upstream: 'http://localhost:8080',
+                    plugins: [{ name: 'api-key', enabled: true }]
+                }
+            ])
+        );
+
+        const response = await request(app).post('/locked/orders');
+        expect(response.status).toBe(503);
+        expect(response.body.message).toBe('Plugin api-key is unavailable');
+        expect(getRouteTable()[0].plugins).toEqual([]);
+        loadPlugin.mockReset();
+    });
+
+    test('should read enabled nested under options', () => {
+        loadPlugin.mockReturnValue((req, res, next) => next());
+
+        buildRouter([
+            {
+                path: '/test',
+                upstream: 'http://localhost:8080',
+                plugins: [
+                    {
+                        name: 'central-auth',
+                        options: { enabled: true, authServiceUrl: 'http://a' }
+                    },
+                    { name: 'api-key', enabled: true, options: { enabled: false } }
+                ]
+            }
+        ]);
+
+        expect(loadPlugin).toHaveBeenCalledTimes(1);
+        expect(loadPlugin).toHaveBeenCalledWith('central-auth', expect.any(Object));
+        expect(getRouteTable()[0].plugins).toEqual(['central-auth']);
+        loadPlugin.mockReset();
+    });
+
     test('should skip disabled plugins', () => {
         const routes = [
             {
@@ -133,6 +195,71 @@ describe('Route Builder', () => {
         expect(upstreamHealthChecker.startMonitoring.mock.calls.length).toBeGreaterThanOrEqual(2);
     });
 
+    test('should accept comma-separated upstreams and the upstreams alias', () => {
+        upstreamHealthChecker.startMonitoring.mockClear();
+
+        buildRouter([
+            { path: '/a', upstream: 'http://localhost:8080,http://localhost:8081' },
+            { path: '/b', upstreams: ['http://localhost:8082', 'http://localhost:8083'] }
+        ]);
+
+        const monitored = upstreamHealthChecker.startMonitoring.mock.calls.map(([url]) => url);
+        expect(monitored).toEqual([
+            'http://localhost:8080',
+            'http://localhost:8081',
+            'http://localhost:8082',
+            'http://localhost:8083'
+        ]);
+    });
+
+    test('should skip routes with an invalid upstream entry', async () => {
+        upstreamHealthChecker.startMonitoring.mockClear();
+        const logger = require('../../lib/logger');
+        const warnSpy = jest.spyOn(logger, 'warn').mockImplementation();
+
+        app.use(
+            buildRouter([
+                { path: '/bad', upstream: 'http://localhost:8080,localhost:8081' },
+                {
+                    path: '/both',
+                    upstream: 'http://localhost:8080',
+                    upstreams: ['http://localhost:8081']
+                }
+            ])
+        );
+
+        expect(upstreamHealthChecker.startMonitoring).not.toHaveBeenCalled();
+        expect(warnSpy).toHaveBeenCalledWith(
+            'Skipping invalid route: invalid upstream configuration',
+            expect.objectContaining({
+                routePath: '/bad',
+                error: expect.stringContaining('localhost:8081')
+            })
+        );
+        expect((await request(app).get('/bad')).status).toBe(404);
+        expect((await request(app).get('/both')).status).toBe(404);
+        warnSpy.mockRestore();
+    });
+
+    test('should accept weighted upstream entries', () => {
+        upstreamHealthChecker.startMonitoring.mockClear();
+
+        buildRouter([
+            {
+                path: '/test',
+                upstream: [
+                    { url: 'http://localhost:8080', weight: 95 },
+                    { url: 'http://localhost:8081', weight: 5 }
+                ]
+            }
+        ]);
+
+        expect(upstreamHealthChecker.startMonitoring).toHaveBeenCalledWith(
+            'http://localhost:8081',
+            expect.objectContaining({})
+        );
+    });
+
     test('should start health monitoring for upstreams', () => {
         const routes = [
             {
@@ -148,6 +275,78 @@ describe('Route Builder', () => {
         );
     });
 
+    test('should not start health monitoring when monitorUpstreams is false', () => {
+        upstreamHealthChecker.startMonitoring.mockClear();
+
+        buildRouter([{ path: '/test', upstream: 'http://localhost:8080' }], {
+            monitorUpstreams: false
+        });
+
+        expect(upstreamHealthChecker.startMonitoring).not.toHaveBeenCalled();
+    });
+
+    test('should expose the resolved routing table of the last build', () => {
+        loadPlugin.mockReturnValue((req, res, next) => next());
+        const warnSpy = jest.spyOn(require('../../lib/logger'), 'warn').mockImplementation();
+
+        buildRouter([
+            {
+                path: '/weighted',
+                upstream: [
+                    { url: 'http://localhost:8080', weight: 95 },
+                    { url: 'http://localhost:8081', weight: 5 }
+                ],
+                methods: ['get'],
+                timeout: 60000,
+                retry: { maxRetries: 2, statuses: [503], maxDelay: 1000 },
+                circuitBreaker: { volumeThreshold: 20 },
+                plugins: [
+                    { name: 'central-auth', enabled: true },
+                    { name: 'disabled', enabled: false }
+                ]
+            },
+            { path: '/skipped', upstream: 'ftp://nope' }
+        ]);
+
+        expect(getRouteTable()).toEqual([
+            {
+                path: '/weighted',
+                upstreams: [
+                    { url: 'http://localhost:8080', weight: 95 },
+                    { url: 'http://localhost:8081', weight: 5 }
+                ],
+                strategy: 'weighted',
+                timeout: 60000,
+                timeouts: { connect: null, firstByte: 60000, idle: 60000 },
+                methods: ['GET', 'HEAD'],
+                retry: {
+                    maxRetries: 2,
+                    statuses: [503],
+                    maxRetryTime: null,
+                    initialDelay: 100,
+                    maxDelay: 1000,
+                    factor: 2,
+                    budget: { percent: 20, windowMs: 10000, minRetries: 10 }
+                },
+                hedge: null,
+                circuitBreaker: {
+                    enabled: true,
+                    errorThresholdPercentage: 50,
+                    volumeThreshold: 20,
+                    resetTimeout: 30000,
+                    rollingCountTimeout: 60000
+                },
+                rateLimit: null,
+                bodyParser: null,
+                maxBodySize: null,
+                plugins: ['central-auth']
+            }
+        ]);
+
+        loadPlugin.mockReset();
+        warnSpy.mockRestore();
+    });
+
     test('should handle route with custom timeout', () => {
         const routes = [
             {
@@ -219,4 +418,1164 @@ describe('Route Builder', () => {
         const router = buildRouter(routes);
         expect(router).toBeDefined();
     });
+
+    describe('method allow-list', () => {
+        const buildApp = (methods) => {
+            // Terminal plugin so allowed requests never reach the proxy
+            loadPlugin.mockReturnValue((req, res) => res.status(200).json({ ok: true }));
+            const router = buildRouter([
+                {
+                    path: '/users',
+                    upstream: 'http://localhost:8080',
+                    methods,
+                    plugins: [{ name: 'terminal', enabled: true }]
+                }
+            ]);
+            app.use(router);
+            return app;
+        };
+
+        test('should pass allowed methods through', async () => {
+            const response = await request(buildApp(['GET', 'POST'])).post('/users/1');
+            expect(response.status).toBe(200);
+        });
+
+        test('should reject disallowed methods with 405 and Allow header', async () => {
+            const response = await request(buildApp(['GET', 'POST'])).delete('/users/1');
+
+            expect(response.status).toBe(405);
+            expect(response.body.error).toBe('Method Not Allowed');
+            expect(response.headers.allow).toBe('GET, POST, HEAD, OPTIONS');
+        });
+
+        test('should normalize method case and allow HEAD for GET', async () => {
+            const response = await request(buildApp(['get'])).head('/users');
+            expect(response.status).toBe(200);
+        });
+
+        test('should answer OPTIONS with Allow header when not listed', async () => {
+            const response = await request(buildApp(['GET'])).options('/users');
+
+            expect(response.status).toBe(204);
+            expect(response.headers.allow).toBe('GET, HEAD, OPTIONS');
+        });
+
+        test('should allow every method when methods is omitted', async () => {
+            const response = await request(buildApp(undefined)).delete('/users/1');
+            expect(response.status).toBe(200);
+        });
+
+        test('should skip routes with unknown methods', async () => {
+            const response = await request(buildApp(['GET', 'FETCH'])).get('/users');
+            expect(response.status).toBe(404);
+        });
+    });
+
+    describe('per-route rate limiting', () => {
+        beforeEach(() => {
+            // Drop limiters kept from previous builds
+            buildRouter([]);
+        });
+
+        const buildRoutes = (rateLimit) => {
+            loadPlugin.mockReturnValue((req, res) => res.status(200).json({ ok: true }));
+            return buildRouter([
+                {
+                    path: '/public',
+                    upstream: 'http://localhost:8080',
+                    rateLimit,
+                    plugins: [{ name: 'terminal', enabled: true }]
+                },
+                {
+                    path: '/admin',
+                    upstream: 'http://localhost:8081',
+                    plugins: [{ name: 'terminal', enabled: true }]
+                }
+            ]);
+        };
+
+        const appWith = (router) => {
+            const testApp = express();
+            testApp.use(router);
+            return testApp;
+        };
+
+        test('should limit only the configured route', async () => {
+            const testApp = appWith(buildRoutes({ windowMs: 60000, max: 1 }));
+
+            expect((await request(testApp).get('/public/a')).status).toBe(200);
+            const limited = await request(testApp).get('/public/a');
+            expect(limited.status).toBe(429);
+            expect(limited.body.error).toBe('Rate Limit Exceeded');
+
+            expect((await request(testApp).get('/admin/a')).status).toBe(200);
+            expect((await request(testApp).get('/admin/a')).status).toBe(200);
+        });
+
+        test('should not skip route-relative health paths', async () => {
+            const testApp = appWith(buildRoutes({ windowMs: 60000, max: 1 }));
+
+            await request(testApp).get('/public/health');
+            expect((await request(testApp).get('/public/health')).status).toBe(429);
+        });
+
+        test('should keep counters across reloads when config is unchanged', async () => {
+            const first = await request(appWith(buildRoutes({ windowMs: 60000, max: 1 }))).get(
+                '/public'
+            );
+            expect(first.status).toBe(200);
+
+            const reloaded = appWith(buildRoutes({ windowMs: 60000, max: 1 }));
+            expect((await request(reloaded).get('/public')).status).toBe(429);
+        });
+
+        test('should rebuild the limiter when config changes on reload', async () => {
+            await request(appWith(buildRoutes({ windowMs: 60000, max: 1 }))).get('/public');
+
+            const reloaded = appWith(buildRoutes({ windowMs: 60000, max: 2 }));
+            expect((await request(reloaded).get('/public')).status).toBe(200);
+        });
+
+        test('should apply user-keyed limits after auth plugins', async () => {
+            loadPlugin.mockReturnValue((req, res, next) => {
+                req.headers['X-User-Id'] = req.get('authorization');
+                next();
+            });
+            const router = buildRouter([
+                {
+                    path: '/orders',
+                    upstream: 'http://localhost:8080',
+                    rateLimit: { windowMs: 60000, max: 1, keyBy: 'user' },
+                    plugins: [{ name: 'auth', enabled: true }]
+                }
+            ]);
+            // Upstream is unreachable, so anything but 429 means the limiter let it through
+            const testApp = appWith(router);
+
+            await request(testApp).get('/orders').set('Authorization', 'alice');
+            const limited = await request(testApp).get('/orders').set('Authorization', 'alice');
+            const other = await request(testApp).get('/orders').set('Authorization', 'bob');
+
+            expect(limited.status).toBe(429);
+            expect(other.status).not.toBe(429);
+        });
+
+        test('should skip routes with an invalid keyBy', async () => {
+            const testApp = appWith(buildRoutes({ windowMs: 60000, max: 1, keyBy: 'cookie' }));
+            expect((await request(testApp).get('/public')).status).toBe(404);
+        });
+
+        test('should skip routes with an invalid rateLimit block', async () => {
+            const testApp = appWith(buildRoutes({ windowMs: 60000 }));
+            expect((await request(testApp).get('/public')).status).toBe(404);
+        });
+    });
+
+    describe('in-flight request tracking', () => {
+        let upstream;
+        let upstreamUrl;
+        let releaseResponse;
+
+        beforeEach((done) => {
+            releaseResponse = null;
+            upstream = http.createServer((req, res) => {
+                releaseResponse = () => res.end('ok');
+            });
+            upstream.listen(0, '127.0.0.1', () => {
+                upstreamUrl = `http://127.0.0.1:${upstream.address().port}`;
+                done();
+            });
+        });
+
+        afterEach((done) => {
+            upstream.close(done);
+        });
+
+        test('should count requests while proxied and release them on completion', async () => {
+            app.use(
+                buildRouter([
+                    {
+                        path: '/slow',
+                        upstream: upstreamUrl,
+                        loadBalanceStrategy: 'least_connections'
+                    }
+                ])
+            );
+
+            const response = request(app)
+                .get('/slow/report')
+                .then((res) => res);
+
+            await new Promise((resolve) => {
+                const poll = () => (releaseResponse ? resolve() : setTimeout(poll, 5));
+                poll();
+            });
+            expect(loadBalancer.getActiveConnections(upstreamUrl)).toBe(1);
+
+            releaseResponse();
+            expect((await response).status).toBe(200);
+            expect(loadBalancer.getActiveConnections(upstreamUrl)).toBe(0);
+        });
+    });
+
+    describe('request bodies', () => {
+        let upstream;
+        let upstreamUrl;
+        let onUpstreamData;
+
+        beforeEach((done) => {
+            onUpstreamData = null;
+            upstream = http.createServer((req, res) => {
+                const chunks = [];
+                req.on('data', (chunk) => {
+                    chunks.push(chunk);
+                    if (onUpstreamData) {
+                        onUpstreamData(chunk);
+                    }
+                });
+                req.on('end', () =>
+                    res.end(
+                        JSON.stringify({
+                            body: Buffer.concat(chunks).toString('utf8'),
+                            contentLength: req.headers['content-length'] || null
+                        })
+                    )
+                );
+            });
+            upstream.listen(0, '127.0.0.1', () => {
+                upstreamUrl = `http://127.0.0.1:${upstream.address().port}`;
+                done();
+            });
+        });
+
+        afterEach((done) => {
+            upstream.close(done);
+        });
+
+        const buildApp = (routeConfig, plugin) => {
+            loadPlugin.mockReturnValue(plugin || ((req, res, next) => next()));
+            app.use(
+                buildRouter([
+                    {
+                        path: '/orders',
+                        upstream: upstreamUrl,
+                        plugins: [{ name: 'inspect', enabled: true }],
+                        ...routeConfig
+                    }
+                ])
+            );
+            return app;
+        };
+
+        test('should stream bodies through unparsed by default', async () => {
+            let parsed;
+            const testApp = buildApp({}, (req, res, next) => {
+                parsed = req.body;
+                next();
+            });
+
+            const response = await request(testApp)
+                .post('/orders')
+                .set('Content-Type', 'application/json')
+                .send('{"id":1}');
+
+            expect(parsed).toBeUndefined();
+            expect(JSON.parse(response.text).body).toBe('{"id":1}');
+        });
+
+        test('should parse bodies for plugins on opt-in and re-send the original bytes', async () => {
+            let parsed;
+            const testApp = buildApp({ bodyParser: ['json', 'urlencoded'] }, (req, res, next) => {
+                parsed = req.body;
+                next();
+            });
+
+            const response = await request(testApp)
+                .post('/orders')
+                .set('Content-Type', 'application/json')
+                .send('{ "id": 1 }');
+
+            expect(parsed).toEqual({ id: 1 });
+            expect(JSON.parse(response.text)).toEqual({ body: '{ "id": 1 }', contentLength: '11' });
+        });
+
+        test('should re-send bodies a plugin read from the stream', async () => {
+            const { readRawBody } = require('../../lib/rawBody');
+            const testApp = buildApp({}, async (req, res, next) => {
+                await readRawBody(req);
+                next();
+            });
+
+            const response = await request(testApp)
+                .put('/orders')
+                .set('Content-Type', 'application/octet-stream')
+                .send(Buffer.from('raw-bytes'));
+
+            expect(JSON.parse(response.text).body).toBe('raw-bytes');
+        });
+
+        test('should forward upload chunks before the client finishes sending', async () => {
+            server = buildApp({}).listen(0, '127.0.0.1');
+            await new Promise((resolve) => server.once('listening', resolve));
+
+            const firstChunk = new Promise((resolve) => {
+                onUpstreamData = resolve;
+            });
+            const upload = http.request({
+                host: '127.0.0.1',
+                port: server.address().port,
+                method: 'POST',
+                path: '/orders/upload',
+                headers: { 'Content-Type': 'application/octet-stream' }
+            });
+            const response = new Promise((resolve) => upload.on('response', resolve));
+
+            upload.write('part-1;');
+            expect((await firstChunk).toString()).toBe('part-1;');
+            upload.end('part-2');
+
+            const res = await response;
+            const chunks = [];
+            for await (const chunk of res) {
+                chunks.push(chunk);
+            }
+            expect(JSON.parse(Buffer.concat(chunks).toString()).body).toBe('part-1;part-2');
+        });
+
+        describe('maxBodySize', () => {
+            const listen = async (routeConfig) => {
+                server = buildApp({ maxBodySize: '16b', ...routeConfig }).listen(0, '127.0.0.1');
+                server.on('checkContinue', app);
+                await new Promise((resolve) => server.once('listening', resolve));
+                return server.address().port;
+            };
+
+            const readResponse = async (res) => {
+                const chunks = [];
+                for await (const chunk of res) {
+                    chunks.push(chunk);
+                }
+                return { status: res.statusCode, body: JSON.parse(Buffer.concat(chunks)) };
+            };
+
+            test('should reject an announced oversized body with 413', async () => {
+                const response = await request(buildApp({ maxBodySize: '16b' }))
+                    .post('/orders')
+                    .set('Content-Type', 'text/plain')
+                    .send('x'.repeat(17));
+
+                expect(response.status).toBe(413);
+                expect(response.body).toMatchObject({
+                    code: 'PAYLOAD_TOO_LARGE',
+                    details: { limit: 16 }
+                });
+                expect(response.headers.connection).toBe('close');
+            });
+
+            test('should cut off streamed bodies once they exceed the limit', async () => {
+                const circuitBreakerManager = require('../../lib/circuitBreaker');
+                const port = await listen();
+
+                const upload = http.request({
+                    host: '127.0.0.1',
+                    port,
+                    method: 'POST',
+                    path: '/orders/upload',
+                    headers: { 'Transfer-Encoding': 'chunked' }
+                });
+                const response = new Promise((resolve) => upload.on('response', resolve));
+                upload.on('error', () => {});
+                upload.write('0123456789');
+                upload.write('0123456789');
+
+                const { status, body } = await readResponse(await response);
+                upload.destroy();
+
+                expect(status).toBe(413);
+                expect(body.code).toBe('PAYLOAD_TOO_LARGE');
+                expect(circuitBreakerManager.getStats()[upstreamUrl].failures).toBe(0);
+            });
+
+            test('should pass bodies within the limit', async () => {
+                const response = await request(buildApp({ maxBodySize: 16 }))
+                    .post('/orders')
+                    .set('Content-Type', 'text/plain')
+                    .send('x'.repeat(16));
+
+                expect(JSON.parse(response.text).body).toBe('x'.repeat(16));
+            });
+
+            test('should answer Expect: 100-continue only for acceptable bodies', async () => {
+                const port = await listen();
+                const send = (length) => {
+                    const upload = http.request({
+                        host: '127.0.0.1',
+                        port,
+                        method: 'POST',
+                        path: '/orders',
+                        headers: { 'Content-Length': length, Expect: '100-continue' }
+                    });
+                    const result = { continued: false };
+                    upload.on('continue', () => {
+                        result.continued = true;
+                        upload.end('x'.repeat(length));
+                    });
+                    upload.on('error', () => {});
+                    upload.flushHeaders();
+                    return new Promise((resolve) =>
+                        upload.on('response', async (res) =>
+                            resolve({ ...result, ...(await readResponse(res)) })
+                        )
+                    );
+                };
+
+                const rejected = await send(1000);
+                const accepted = await send(8);
+
+                expect(rejected).toMatchObject({ continued: false, status: 413 });
+                expect(accepted).toMatchObject({ continued: true, status: 200 });
+                expect(accepted.body.body).toBe('x'.repeat(8));
+            });
+        });
+
+        test('should skip routes with an unknown body parser', async () => {
+            const warnSpy = jest.spyOn(require('../../lib/logger'), 'warn').mockImplementation();
+            const testApp = buildApp({ bodyParser: 'xml' });
+
+            expect((await request(testApp).post('/orders')).status).toBe(404);
+            warnSpy.mockRestore();
+        });
+    });
+
+    describe('retries', () => {
+        const { upstreamRetries, retryBudgetExhausted } = require('../../routes/metrics');
+        const retryBudget = require('../../lib/retryBudget');
+        let upstream;
+        let upstreamUrl;
+        let bodies;
+        let failures;
+
+        beforeEach((done) => {
+            retryBudget.reset();
+            bodies = [];
+            failures = 1;
+            upstream = http.createServer((req, res) => {
+                const chunks = [];
+                req.on('data', (chunk) => chunks.push(chunk));
+                req.on('end', () => {
+                    bodies.push(Buffer.concat(chunks).toString('utf8'));
+                    if (bodies.length <= failures) {
+                        res.writeHead(503, {
+                            'Content-Type': 'text/plain',
+                            'X-Attempt': bodies.length
+                        });
+                        res.end(`unavailable ${bodies.length}`);
+                        return;
+                    }
+                    res.end(`ok ${bodies.length}`);
+                });
+            });
+            upstream.listen(0, '127.0.0.1', () => {
+                upstreamUrl = `http://127.0.0.1:${upstream.address().port}`;
+                done();
+            });
+        });
+
+        afterEach((done) => {
+            upstream.close(done);
+        });
+
+        const buildApp = (routeConfig) => {
+            app.use(
+                buildRouter([
+                    {
+                        path: '/orders',
+                        upstream: upstreamUrl,
+                        retry: { maxRetries: 2, initialDelay: 1 },
+                        ...routeConfig
+                    }
+                ])
+            );
+            return app;
+        };
+
+        const retryCount = async (reason) => {
+            const { values } = await upstreamRetries.get();
+            return values
+                .filter((v) => v.labels.route === '/orders' && v.labels.reason === reason)
+                .reduce((sum, v) => sum + v.value, 0);
+        };
+
+        test('should retry idempotent requests on a retryable status and count the retry', async () => {
+            const before = await retryCount('503');
+
+            const response = await request(buildApp({})).get('/orders/1');
+
+            expect(response.status).toBe(200);
+            expect(response.text).toBe('ok 2');
+            expect(await retryCount('503')).toBe(before + 1);
+        });
+
+        test('should forward the last upstream response once retries run out', async () => {
+            failures = 5;
+
+            const response = await request(buildApp({})).get('/orders/1');
+
+            expect(response.status).toBe(503);
+            expect(response.text).toBe('unavailable 3');
+            expect(response.headers['x-attempt']).toBe('3');
+            expect(bodies).toHaveLength(3);
+        });
+
+        test('should add one close listener per request, however many attempts', async () => {
+            const closeListeners = [];
+            app.use((req, res, next) => {
+                const end = res.end;
+                res.end = function (...args) {
+                    closeListeners.push(res.listenerCount('close'));
+                    return end.apply(this, args);
+                };
+                next();
+            });
+            buildApp({ retry: { maxRetries: 3, initialDelay: 1 } });
+
+            failures = 0;
+            await request(app).get('/orders/1');
+            failures = 10;
+            const response = await request(app).get('/orders/2');
+
+            expect(response.status).toBe(503);
+            expect(bodies).toHaveLength(5);
+            expect(closeListeners[1]).toBe(closeListeners[0]);
+            expect(loadBalancer.getActiveConnections(upstreamUrl)).toBe(0);
+        });
+
+        test('should not retry or leak connections when the client leaves during backoff', async () => {
+            failures = 10;
+            buildApp({
+                loadBalanceStrategy: 'least_connections',
+                retry: { maxRetries: 2, initialDelay: 200, maxDelay: 200 }
+            });
+            const server = app.listen(0, '127.0.0.1');
+            await new Promise((resolve) => server.once('listening', resolve));
+
+            const clientReq = http.get(`http://127.0.0.1:${server.address().port}/orders/1`);
+            clientReq.on('error', () => {});
+            await new Promise((resolve) => {
+                const poll = () => (bodies.length === 1 ? resolve() : setTimeout(poll, 5));
+                poll();
+            });
+            clientReq.destroy();
+            await new Promise((resolve) => setTimeout(resolve, 400));
+            server.close();
+
+            expect(bodies).toHaveLength(1);
+            expect(loadBalancer.getActiveConnections(upstreamUrl)).toBe(0);
+        });
+
+        test('should not retry non-idempotent requests', async () => {
+            const response = await request(buildApp({})).post('/orders');
+
+            expect(response.status).toBe(503);
+            expect(bodies).toHaveLength(1);
+        });
+
+        test('should retry requests with an Idempotency-Key, re-sending parsed bodies', async () => {
+            const response = await request(buildApp({ bodyParser: 'json' }))
+                .post('/orders')
+                .set('Idempotency-Key', 'order-1')
+                .send({ id: 1 });
+
+            expect(response.status).toBe(200);
+            expect(bodies).toEqual(['{"id":1}', '{"id":1}']);
+        });
+
+        test('should not retry requests whose body was streamed upstream', async () => {
+            const response = await request(buildApp({}))
+                .put('/orders/1')
+                .set('Content-Type', 'text/plain')
+                .send('streamed');
+
+            expect(response.status).toBe(503);
+            expect(bodies).toEqual(['streamed']);
+        });
+
+        test('should only retry the configured statuses', async () => {
+            const response = await request(buildApp({ retry: { statuses: [502] } })).get(
+                '/orders/1'
+            );
+
+            expect(response.status).toBe(503);
+            expect(bodies).toHaveLength(1);
+        });
+
+        test('should not retry when retry is disabled', async () => {
+            const response = await request(buildApp({ retry: false })).get('/orders/1');
+
+            expect(response.status).toBe(503);
+            expect(bodies).toHaveLength(1);
+        });
+
+        test('should retry connection failures of non-idempotent requests before they are sent', async () => {
+            const warnSpy = jest.spyOn(require('../../lib/logger'), 'warn').mockImplementation();
+            const errorSpy = jest.spyOn(require('../../lib/logger'), 'error').mockImplementation();
+            const before = await retryCount('ECONNREFUSED');
+            app.use(
+                buildRouter([
+                    {
+                        path: '/orders',
+                        upstream: 'http://127.0.0.1:1',
+                        retry: { maxRetries: 2, initialDelay: 1 }
+                    }
+                ])
+            );
+
+            const response = await request(app).post('/orders');
+
+            expect(response.status).toBe(502);
+            expect(await retryCount('ECONNREFUSED')).toBe(before + 2);
+            warnSpy.mockRestore();
+            errorSpy.mockRestore();
+        });
+
+        test('should skip retries once the retry budget is spent', async () => {
+            failures = 10;
+            const warnSpy = jest.spyOn(require('../../lib/logger'), 'warn').mockImplementation();
+            const exhausted = async () =>
+                (await retryBudgetExhausted.get()).values
+                    .filter((v) => v.labels.route === '/orders')
+                    .reduce((sum, v) => sum + v.value, 0);
+            const before = await exhausted();
+            buildApp({
+                retry: { maxRetries: 2, initialDelay: 1, budget: { percent: 0, minRetries: 1 } }
+            });
+
+            const first = await request(app).get('/orders/1');
+            const second = await request(app).get('/orders/2');
+
+            expect(first.status).toBe(503);
+            expect(second.status).toBe(503);
+            // One retry for the first request, none for the second
+            expect(bodies).toHaveLength(3);
+            expect(await exhausted()).toBe(before + 2);
+            expect(retryBudget.getStats().routes['/orders']).toMatchObject({
+                requests: 2,
+                retries: 1,
+                remaining: 0,
+                skipped: 2
+            });
+            warnSpy.mockRestore();
+        });
+
+        test('should not limit retries when the budget is disabled', async () => {
+            failures = 10;
+            const warnSpy = jest.spyOn(require('../../lib/logger'), 'warn').mockImplementation();
+            buildApp({ retry: { maxRetries: 2, initialDelay: 1, budget: false } });
+
+            await request(app).get('/orders/1');
+
+            expect(bodies).toHaveLength(3);
+            expect(retryBudget.getStats().routes['/orders']).toBeUndefined();
+            warnSpy.mockRestore();
+        });
+
+        test('should skip routes with an invalid retry policy', async () => {
+            const warnSpy = jest.spyOn(require('../../lib/logger'), 'warn').mockImplementation();
+
+            const response = await request(buildApp({ retry: { statuses: [404] } })).get(
+                '/orders/1'
+            );
+
+            expect(response.status).toBe(404);
+            expect(bodies).toHaveLength(0);
+            warnSpy.mockRestore();
+        });
+    });
+
+    describe('hedging', () => {
+        const { upstreamHedges } = require('../../routes/metrics');
+        const retryBudget = require('../../lib/retryBudget');
+        const { LatencyWindow } = require('../../lib/hedging');
+        let slow;
+        let fast;
+
+        const startUpstream = async (name, delayMs) => {
+            const upstream = { name, delayMs, calls: 0, cancelled: 0 };
+            upstream.server = http.createServer((req, res) => {
+                upstream.calls++;
+                const timer = setTimeout(() => res.end(name), upstream.delayMs);
+                res.on('close', () => {
+                    if (!res.writableEnded) {
+                        upstream.cancelled++;
+                        clearTimeout(timer);
+                    }
+                });
+            });
+            await new Promise((resolve) => upstream.server.listen(0, '127.0.0.1', resolve));
+            upstream.url = `http://127.0.0.1:${upstream.server.address().port}`;
+            return upstream;
+        };
+
+        beforeEach(async () => {
+            retryBudget.reset();
+            slow = await startUpstream('slow', 400);
+            fast = await startUpstream('fast', 0);
+        });
+
+        afterEach(async () => {
+            for (const { server } of [slow, fast]) {
+                server.closeAllConnections();
+                await new Promise((resolve) => server.close(resolve));
+            }
+        });
+
+        const buildApp = (routeConfig) => {
+            app.use(
+                buildRouter([
+                    {
+                        path: '/risk',
+                        upstream: [slow.url, fast.url],
+                        loadBalanceStrategy: 'round_robin',
+                        hedge: { delay: 30 },
+                        ...routeConfig
+                    }
+                ])
+            );
+            return app;
+        };
+
+        const hedgeCount = async (outcome) =>
+            (await upstreamHedges.get()).values
+                .filter((v) => v.labels.route === '/risk' && v.labels.outcome === outcome)
+                .reduce((sum, v) => sum + v.value, 0);
+
+        const waitFor = (condition) =>
+            new Promise((resolve) => {
+                const poll = () => (condition() ? resolve() : setTimeout(poll, 5));
+                poll();
+            });
+
+        test('should hedge a slow GET to another upstream and cancel the loser', async () => {
+            const before = await hedgeCount('won');
+
+            const response = await request(buildApp({})).get('/risk/dashboard');
+
+            expect(response.status).toBe(200);
+            expect(response.text).toBe('fast');
+            expect(fast.calls).toBe(1);
+            await waitFor(() => slow.cancelled === 1);
+            expect(await hedgeCount('won')).toBe(before + 1);
+        });
+
+        test('should not hedge when the first upstream answers within the delay', async () => {
+            const testApp = buildApp({ upstream: [fast.url, slow.url] });
+
+            const response = await request(testApp).get('/risk/dashboard');
+
+            expect(response.text).toBe('fast');
+            expect(slow.calls).toBe(0);
+        });
+
+        test('should not hedge non-idempotent methods', async () => {
+            const response = await request(buildApp({})).post('/risk/dashboard');
+
+            expect(response.text).toBe('slow');
+            expect(fast.calls).toBe(0);
+        });
+
+        test('should count hedges against the retry budget', async () => {
+            const warnSpy = jest.spyOn(require('../../lib/logger'), 'warn').mockImplementation();
+            const testApp = buildApp({
+                retry: { budget: { percent: 0, minRetries: 1 } }
+            });
+
+            const first = await request(testApp).get('/risk/dashboard');
+            const second = await request(testApp).get('/risk/dashboard');
+
+            // Both start on the slow upstream; only the first may hedge
+            expect(first.text).toBe('fast');
+            expect(second.text).toBe('slow');
+            expect(retryBudget.getStats().routes['/risk']).toMatchObject({
+                requests: 2,
+                retries: 1,
+                skipped: 1
+            });
+            // Charged to the upstream the hedge went to
+            expect(retryBudget.getStats().upstreams[fast.url]).toMatchObject({ retries: 1 });
+            expect(retryBudget.getStats().upstreams[slow.url]).toMatchObject({ retries: 0 });
+            warnSpy.mockRestore();
+        });
+
+        test('should hedge after the percentile delay once enough responses were seen', async () => {
+            const testApp = buildApp({ hedge: { delay: 'p95' } });
+
+            // Until 20 response times are known, requests are not hedged
+            slow.delayMs = 0;
+            for (let i = 0; i < 20; i++) {
+                await request(testApp).get('/risk/dashboard');
+            }
+            expect(fast.calls + slow.calls).toBe(20);
+
+            // p95 is now a few milliseconds, so the slow upstream gets hedged
+            slow.delayMs = 400;
+            const record = jest.spyOn(LatencyWindow.prototype, 'record');
+            const response = await request(testApp).get('/risk/dashboard');
+            expect(response.text).toBe('fast');
+            await waitFor(() => slow.cancelled === 1);
+
+            // The cancelled call counts too, so slow upstreams raise the percentile
+            expect(record).toHaveBeenCalledTimes(2);
+            record.mockRestore();
+        });
+
+        test('should skip routes with an invalid hedge', async () => {
+            const warnSpy = jest.spyOn(require('../../lib/logger'), 'warn').mockImplementation();
+
+            const response = await request(buildApp({ hedge: { delay: 'fast' } })).get('/risk');
+
+            expect(response.status).toBe(404);
+            warnSpy.mockRestore();
+        });
+    });
+
+    describe('circuit breaking', () => {
+        const circuitBreakerManager = require('../../lib/circuitBreaker');
+        let upstream;
+        let upstreamUrl;
+        let failing;
+        let calls;
+
+        const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+        beforeEach((done) => {
+            failing = true;
+            calls = 0;
+            upstream = http.createServer((req, res) => {
+                calls++;
+                res.statusCode = failing ? 500 : 200;
+                res.end(failing ? 'broken' : 'ok');
+            });
+            upstream.listen(0, '127.0.0.1', () => {
+                upstreamUrl = `http://127.0.0.1:${upstream.address().port}`;
+                done();
+            });
+        });
+
+        afterEach((done) => {
+            upstream.close(done);
+        });
+
+        const buildApp = (routeConfig) => {
+            app.use(
+                buildRouter([
+                    {
+                        path: '/billing',
+                        upstream: upstreamUrl,
+                        retry: false,
+                        circuitBreaker: { volumeThreshold: 4, resetTimeout: 100 },
+                        ...routeConfig
+                    }
+                ])
+            );
+            return app;
+        };
+
+        const openBreaker = async (testApp) => {
+            for (let i = 0; i < 4; i++) {
+                expect((await request(testApp).get('/billing/invoices')).status).toBe(500);
+            }
+        };
+
+        test('should open after upstream failures and fail fast', async () => {
+            const errorSpy = jest.spyOn(require('../../lib/logger'), 'error').mockImplementation();
+            const testApp = buildApp();
+
+            await openBreaker(testApp);
+            const response = await request(testApp).get('/billing/invoices');
+
+            expect(response.status).toBe(503);
+            expect(response.body.message).toContain('circuit breaker open');
+            expect(calls).toBe(4);
+            expect(circuitBreakerManager.getStats()[upstreamUrl]).toMatchObject({
+                state: 'open',
+                failures: 4
+            });
+            errorSpy.mockRestore();
+        });
+
+        test('should close again after a successful half-open trial', async () => {
+            const errorSpy = jest.spyOn(require('../../lib/logger'), 'error').mockImplementation();
+            const warnSpy = jest.spyOn(require('../../lib/logger'), 'warn').mockImplementation();
+            const testApp = buildApp();
+            await openBreaker(testApp);
+
+            failing = false;
+            await sleep(150);
+            const trial = await request(testApp).get('/billing/invoices');
+
+            expect(trial.status).toBe(200);
+            expect(circuitBreakerManager.getStats()[upstreamUrl].state).toBe('closed');
+            expect((await request(testApp).get('/billing/invoices')).status).toBe(200);
+            errorSpy.mockRestore();
+            warnSpy.mockRestore();
+        });
+
+        test('should reopen when the half-open trial fails', async () => {
+            const errorSpy = jest.spyOn(require('../../lib/logger'), 'error').mockImplementation();
+            const warnSpy = jest.spyOn(require('../../lib/logger'), 'warn').mockImplementation();
+            const testApp = buildApp();
+            await openBreaker(testApp);
+
+            await sleep(150);
+            const trial = await request(testApp).get('/billing/invoices');
+            const next = await request(testApp).get('/billing/invoices');
+
+            expect(trial.status).toBe(500);
+            expect(next.status).toBe(503);
+            expect(calls).toBe(5);
+            errorSpy.mockRestore();
+            warnSpy.mockRestore();
+        });
+
+        test('should not count client errors against the upstream', async () => {
+            upstream.removeAllListeners('request');
+            upstream.on('request', (req, res) => {
+                res.statusCode = 404;
+                res.end();
+            });
+            const testApp = buildApp();
+
+            for (let i = 0; i < 5; i++) {
+                expect((await request(testApp).get('/billing/missing')).status).toBe(404);
+            }
+            expect(circuitBreakerManager.getStats()[upstreamUrl]).toMatchObject({
+                state: 'closed',
+                fires: 5,
+                failures: 0
+            });
+        });
+
+        test('should never open a disabled breaker', async () => {
+            const testApp = buildApp({ circuitBreaker: { enabled: false, volumeThreshold: 4 } });
+
+            for (let i = 0; i < 6; i++) {
+                expect((await request(testApp).get('/billing/invoices')).status).toBe(500);
+            }
+            expect(calls).toBe(6);
+            expect(circuitBreakerManager.getStats()[upstreamUrl].state).toBe('closed');
+        });
+
+        test('should re-apply changed settings when routes are rebuilt', async () => {
+            const infoSpy = jest.spyOn(require('../../lib/logger'), 'info').mockImplementation();
+            const testApp = buildApp();
+            await openBreaker(testApp);
+
+            // Unchanged settings keep the breaker and its state
+            buildRouter([
+                {
+                    path: '/billing',
+                    upstream: upstreamUrl,
+                    circuitBreaker: { volumeThreshold: 4, resetTimeout: 100 }
+                }
+            ]);
+            expect(circuitBreakerManager.isOpen(upstreamUrl)).toBe(true);
+
+            const reloaded = express();
+            reloaded.use(
+                buildRouter([
+                    {
+                        path: '/billing',
+                        upstream: upstreamUrl,
+                        retry: false,
+                        circuitBreaker: { volumeThreshold: 100 }
+                    }
+                ])
+            );
+
+            expect(circuitBreakerManager.isOpen(upstreamUrl)).toBe(false);
+            expect(circuitBreakerManager.getBreaker(upstreamUrl).volumeThreshold).toBe(100);
+            for (let i = 0; i < 5; i++) {
+                expect((await request(reloaded).get('/billing/invoices')).status).toBe(500);
+            }
+            expect(circuitBreakerManager.isOpen(upstreamUrl)).toBe(false);
+            infoSpy.mockRestore();
+        });
+
+        test('should warn when routes sharing an upstream set different breakers', () => {
+            const warnSpy = jest.spyOn(require('../../lib/logger'), 'warn').mockImplementation();
+
+            buildRouter([
+                { path: '/billing', upstream: upstreamUrl, circuitBreaker: { volumeThreshold: 4 } },
+                { path: '/batch', upstream: upstreamUrl, circuitBreaker: { volumeThreshold: 50 } }
+            ]);
+
+            expect(warnSpy).toHaveBeenCalledWith(
+                'Upstream shared by routes with different circuitBreaker settings',
+                { upstream: upstreamUrl, routePath: '/batch', using: '/billing' }
+            );
+            expect(circuitBreakerManager.getBreaker(upstreamUrl).volumeThreshold).toBe(4);
+            warnSpy.mockRestore();
+        });
+
+        test('should skip routes with an invalid circuitBreaker', async () => {
+            const warnSpy = jest.spyOn(require('../../lib/logger'), 'warn').mockImplementation();
+
+            const response = await request(
+                buildApp({ circuitBreaker: { errorThresholdPercentage: 0 } })
+            ).get('/billing/invoices');
+
+            expect(response.status).toBe(404);
+            expect(calls).toBe(0);
+            expect(warnSpy).toHaveBeenCalledWith(
+                'Skipping invalid route: invalid circuitBreaker',
+                expect.objectContaining({
+                    error: 'circuitBreaker.errorThresholdPercentage must be an integer from 1 to 100'
+                })
+            );
+            warnSpy.mockRestore();
+        });
+    });
+
+    describe('timeouts', () => {
+        const requestTimeout = require('../../middleware/requestTimeout');
+        let upstream;
+        let upstreamUrl;
+        let calls;
+
+        beforeEach((done) => {
+            calls = 0;
+            upstream = http.createServer((req, res) => {
+                calls++;
+                if (req.url === '/hang') {
+                    return;
+                }
+                setTimeout(() => res.end('slow'), 150);
+            });
+            upstream.listen(0, '127.0.0.1', () => {
+                upstreamUrl = `http://127.0.0.1:${upstream.address().port}`;
+                done();
+            });
+        });
+
+        afterEach((done) => {
+            upstream.closeAllConnections();
+            upstream.close(done);
+        });
+
+        const buildApp = (routeConfig) => {
+            const warnSpy = jest.spyOn(require('../../lib/logger'), 'warn').mockImplementation();
+            app.use(requestTimeout(50));
+            app.use(buildRouter([{ path: '/reports', upstream: upstreamUrl, ...routeConfig }]));
+            return { app, warnSpy };
+        };
+
+        test('should let the route timeout replace the global request timeout', async () => {
+            const { warnSpy } = buildApp({ timeout: 2000 });
+
+            const response = await request(app).get('/reports/slow');
+
+            expect(response.status).toBe(200);
+            expect(response.text).toBe('slow');
+            warnSpy.mockRestore();
+        });
+
+        test('should apply the global request timeout to routes without one', async () => {
+            const { warnSpy } = buildApp({});
+
+            const response = await request(app).get('/reports/slow');
+
+            expect(response.status).toBe(504);
+            expect(response.body.phase).toBe('request');
+            warnSpy.mockRestore();
+        });
+
+        test('should answer 504 naming the first-byte phase without retrying', async () => {
+            const { warnSpy } = buildApp({ timeout: 2000, timeouts: { firstByte: 50 } });
+
+            const response = await request(app).get('/reports/hang');
+
+            expect(response.status).toBe(504);
+            expect(response.body).toMatchObject({
+                error: 'Gateway Timeout',
+                message: 'Timed out waiting for the upstream response',
+                phase: 'firstByte'
+            });
+            expect(calls).toBe(1);
+            warnSpy.mockRestore();
+        });
+
+        test('should skip routes with invalid timeouts', async () => {
+            const { warnSpy } = buildApp({ timeouts: { read: 100 } });
+
+            expect((await request(app).get('/reports/slow')).status).toBe(404);
+            warnSpy.mockRestore();
+        });
+    });
+
+    describe('consistent hashing', () => {
+        const upstreams = [];
+
+        beforeAll(async () => {
+            for (const name of ['a', 'b', 'c']) {
+                const server = http.createServer((req, res) => {
+                    res.setHeader('Set-Cookie', `upstream=${name}`);
+                    res.end(name);
+                });
+                await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+                upstreams.push({ server, url: `http://127.0.0.1:${server.address().port}` });
+            }
+        });
+
+        afterAll(async () => {
+            await Promise.all(
+                upstreams.map(({ server }) => new Promise((resolve) => server.close(resolve)))
+            );
+        });
+
+        const buildApp = (routeConfig) => {
+            app.use(
+                buildRouter([
+                    {
+                        path: '/cache',
+                        upstream: upstreams.map(({ url }) => url),
+                        loadBalanceStrategy: 'consistent_hash',
+                        ...routeConfig
+                    }
+                ])
+            );
+            return app;
+        };
+
+        test('should pin a hash key to one upstream', async () => {
+            const testApp = buildApp({ hashOn: 'header:X-Session' });
+            const responses = [];
+            for (let i = 0; i < 4; i++) {
+                responses.push(await request(testApp).get('/cache').set('X-Session', 'user-7'));
+            }
+
+            expect(new Set(responses.map((res) => res.text)).size).toBe(1);
+        });
+
+        test('should issue an affinity cookie and keep upstream cookies', async () => {
+            const testApp = buildApp({ affinityCookie: { name: 'gw_affinity', maxAge: 60000 } });
+
+            const first = await request(testApp).get('/cache');
+            const cookies = first.headers['set-cookie'];
+            const affinity = cookies.find((cookie) => cookie.startsWith('gw_affinity='));
+
+            expect(affinity).toContain('HttpOnly');
+            expect(cookies.some((cookie) => cookie.startsWith('upstream='))).toBe(true);
+
+            const again = await request(testApp)
+                .get('/cache')
+                .set('Cookie', affinity.split(';')[0]);
+            expect(again.text).toBe(first.text);
+            expect(again.headers['set-cookie']).toEqual([`upstream=${again.text}`]);
+        });
+
+        test('should skip routes with invalid hash settings', async () => {
+            const testApp = buildApp({ hashOn: 'query:id' });
+            expect((await request(testApp).get('/cache')).status).toBe(404);
+        });
+    });
 });
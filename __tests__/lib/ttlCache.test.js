@@ -0,0 +1,154 @@
+const TtlCache = require('../../lib/ttlCache');
+const logger = require('../../lib/logger');
+
+/** Minimal in-memory stand-in for the ioredis commands the cache uses */
+const createFakeRedis = () => {
+    const store = new Map();
+    return {
+        store,
+        get: jest.fn((key) => Promise.resolve(store.get(key) ?? null)),
+        set: jest.fn((key, value) => {
+            store.set(key, value);
+            return Promise.resolve('OK');
+        }),
+        del: jest.fn((key) => Promise.resolve(store.delete(key) ? 1 : 0))
+    };
+};
+
+describe('TtlCache', () => {
+    let now;
+
+    beforeEach(() => {
+        now = 1_000_000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should return cached values until they expire', async () => {
+        const cache = new TtlCache();
+        await cache.set('a', { ok: true }, 1000);
+
+        expect(await cache.get('a')).toEqual({ ok: true });
+
+        now += 1000;
+        expect(await cache.get('a')).toBeUndefined();
+        expect(cache.size).toBe(0);
+    });
+
+    test('should not cache values with a non-positive TTL', async () => {
+        const cache = new TtlCache();
+        await cache.set('a', 1, 0);
+
+        expect(await cache.get('a')).toBeUndefined();
+    });
+
+    test('should evict the least recently used entry when full', async () => {
+        const cache = new TtlCache({ maxEntries: 2 });
+        await cache.set('a', 1, 1000);
+        await cache.set('b', 2, 1000);
+        await cache.get('a');
+        await cache.set('c', 3, 1000);
+
+        expect(cache.size).toBe(2);
+        expect(await cache.get('a')).toBe(1);
+        expect(await cache.get('b')).toBeUndefined();
+        expect(await cache.get('c')).toBe(3);
+    });
+
+    test('should add a value only once until it expires', async () => {
+        const cache = new TtlCache();
+
+        expect(await cache.add('nonce', 1, 1000)).toBe(true);
+        expect(await cache.add('nonce', 2, 1000)).toBe(false);
+        expect(await cache.get('nonce')).toBe(1);
+
+        now += 1000;
+        expect(await cache.add('nonce', 3, 1000)).toBe(true);
+    });
+
+    test('should delete and clear entries', async () => {
+        const cache = new TtlCache();
+        await cache.set('a', 1, 1000);
+        await cache.set('b', 2, 1000);
+
+        await cache.delete('a');
+        expect(await cache.get('a')).toBeUndefined();
+
+        cache.clear();
+        expect(cache.size).toBe(0);
+    });
+
+    describe('with Redis', () => {
+        test('should share entries through Redis with the same expiry', async () => {
+            const redis = createFakeRedis();
+            const writer = new TtlCache({ prefix: 'test:', getRedisClient: () => redis });
+            const reader = new TtlCache({ prefix: 'test:', getRedisClient: () => redis });
+
+            await writer.set('a', { user: 1 }, 5000);
+            expect(redis.set).toHaveBeenCalledWith('test:a', expect.any(String), 'PX', 5000);
+
+            expect(await reader.get('a')).toEqual({ user: 1 });
+            expect(reader.size).toBe(1);
+
+            now += 5000;
+            expect(await reader.get('a')).toBeUndefined();
+        });
+
+        test('should add atomically through Redis', async () => {
+            const redis = createFakeRedis();
+            redis.set.mockImplementation((key, value, px, ttl, nx) => {
+                if (nx === 'NX' && redis.store.has(key)) {
+                    return Promise.resolve(null);
+                }
+                redis.store.set(key, value);
+                return Promise.resolve('OK');
+            });
+            const first = new TtlCache({ prefix: 'test:', getRedisClient: () => redis });
+            const second = new TtlCache({ prefix: 'test:', getRedisClient: () => redis });
+
+            expect(await first.add('nonce', 1, 1000)).toBe(true);
+            expect(await second.add('nonce', 1, 1000)).toBe(false);
+            expect(redis.set).toHaveBeenCalledWith(
+                'test:nonce',
+                expect.any(String),
+                'PX',
+                1000,
+                'NX'
+            );
+        });
+
+        test('should delete from Redis', async () => {
+            const redis = createFakeRedis();
+            const cache = new TtlCache({ prefix: 'test:', getRedisClient: () => redis });
+            await cache.set('a', 1, 1000);
+
+            await cache.delete('a');
+
+            expect(redis.store.has('test:a')).toBe(false);
+        });
+
+        test('should fall back to memory when Redis fails', async () => {
+            const warnSpy = jest.spyOn(logger, 'warn').mockImplementation();
+            const redis = {
+                get: jest.fn().mockRejectedValue(new Error('down')),
+                set: jest.fn().mockRejectedValue(new Error('down'))
+            };
+            const cache = new TtlCache({ getRedisClient: () => redis });
+
+            await cache.set('a', 1, 1000);
+            expect(await cache.get('a')).toBe(1);
+            expect(await cache.get('missing')).toBeUndefined();
+            expect(warnSpy).toHaveBeenCalledWith(
+                'Cache write to Redis failed',
+                expect.objectContaining({ error: 'down' })
+            );
+            expect(warnSpy).toHaveBeenCalledWith(
+                'Cache read from Redis failed',
+                expect.objectContaining({ error: 'down' })
+            );
+        });
+    });
+});
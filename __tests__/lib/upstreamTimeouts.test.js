@@ -0,0 +1,108 @@
+const { EventEmitter } = require('events');
+const {
+    resolveUpstreamTimeouts,
+    validateUpstreamTimeouts,
+    watchUpstreamTimeouts
+} = require('../../lib/upstreamTimeouts');
+
+describe('Upstream Timeouts', () => {
+    const createProxyReq = ({ connecting = false } = {}) => {
+        const proxyReq = new EventEmitter();
+        proxyReq.socket = Object.assign(new EventEmitter(), { connecting });
+        proxyReq.setTimeout = jest.fn();
+        return proxyReq;
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('should default firstByte and idle to the route timeout', () => {
+        expect(resolveUpstreamTimeouts(undefined, 30000)).toEqual({
+            connect: null,
+            firstByte: 30000,
+            idle: 30000
+        });
+        expect(resolveUpstreamTimeouts({ connect: 1000, idle: 5000 }, 30000)).toEqual({
+            connect: 1000,
+            firstByte: 30000,
+            idle: 5000
+        });
+    });
+
+    test('should validate timeouts blocks', () => {
+        expect(() => validateUpstreamTimeouts({ connect: 1000 })).not.toThrow();
+        expect(() => validateUpstreamTimeouts(1000)).toThrow('timeouts must be an object');
+        expect(() => validateUpstreamTimeouts({ read: 1000 })).toThrow(
+            'Unknown timeout phase "read"'
+        );
+        expect(() => validateUpstreamTimeouts({ idle: 0 })).toThrow(
+            'timeouts.idle must be a positive integer'
+        );
+    });
+
+    test('should time out connecting', () => {
+        const proxyReq = createProxyReq({ connecting: true });
+        const onTimeout = jest.fn();
+        watchUpstreamTimeouts(proxyReq, { connect: 100, firstByte: 1000, idle: 1000 }, onTimeout);
+
+        jest.advanceTimersByTime(100);
+
+        expect(onTimeout).toHaveBeenCalledWith(
+            expect.objectContaining({ code: 'ETIMEDOUT', phase: 'connect' })
+        );
+    });
+
+    test('should time the first byte from when the request has been sent', () => {
+        const proxyReq = createProxyReq({ connecting: true });
+        const onTimeout = jest.fn();
+        watchUpstreamTimeouts(proxyReq, { connect: 100, firstByte: 500, idle: 50 }, onTimeout);
+
+        proxyReq.socket.emit('connect');
+        expect(proxyReq.setTimeout).toHaveBeenLastCalledWith(50);
+        jest.advanceTimersByTime(1000);
+        expect(onTimeout).not.toHaveBeenCalled();
+
+        proxyReq.emit('finish');
+        expect(proxyReq.setTimeout).toHaveBeenLastCalledWith(0);
+        jest.advanceTimersByTime(499);
+        expect(onTimeout).not.toHaveBeenCalled();
+        jest.advanceTimersByTime(1);
+        expect(onTimeout).toHaveBeenCalledWith(expect.objectContaining({ phase: 'firstByte' }));
+    });
+
+    test('should report idle upstream sockets once the response started', () => {
+        const proxyReq = createProxyReq();
+        const onTimeout = jest.fn();
+        watchUpstreamTimeouts(proxyReq, { connect: null, firstByte: 500, idle: 50 }, onTimeout);
+
+        proxyReq.emit('finish');
+        proxyReq.emit('response', new EventEmitter());
+        jest.advanceTimersByTime(1000);
+        expect(onTimeout).not.toHaveBeenCalled();
+        expect(proxyReq.setTimeout).toHaveBeenLastCalledWith(50);
+
+        proxyReq.emit('timeout');
+        proxyReq.emit('timeout');
+        expect(onTimeout).toHaveBeenCalledTimes(1);
+        expect(onTimeout).toHaveBeenCalledWith(expect.objectContaining({ phase: 'idle' }));
+    });
+
+    test('should stop watching once the response has ended', () => {
+        const proxyReq = createProxyReq();
+        const proxyRes = new EventEmitter();
+        const onTimeout = jest.fn();
+        watchUpstreamTimeouts(proxyReq, { connect: null, firstByte: 500, idle: 50 }, onTimeout);
+
+        proxyReq.emit('finish');
+        proxyReq.emit('response', proxyRes);
+        proxyRes.emit('end');
+        proxyReq.emit('timeout');
+
+        expect(onTimeout).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,50 @@
+const request = require('supertest');
+const express = require('express');
+const { parseByteSize, createBodySizeLimit } = require('../../middleware/bodyLimit');
+
+jest.mock('../../lib/logger', () => ({
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    info: jest.fn()
+}));
+
+describe('Body Limit Middleware', () => {
+    describe('parseByteSize', () => {
+        test('should parse byte counts and unit sizes', () => {
+            expect(parseByteSize(1024)).toBe(1024);
+            expect(parseByteSize('64kb')).toBe(65536);
+            expect(parseByteSize('500MB')).toBe(500 * 1024 * 1024);
+            expect(parseByteSize('1.5 gb')).toBe(1.5 * 1024 * 1024 * 1024);
+            expect(parseByteSize('10')).toBe(10);
+        });
+
+        test('should reject invalid sizes', () => {
+            for (const value of [0, -1, 1.5, '', 'lots', '10tb', null]) {
+                expect(() => parseByteSize(value)).toThrow('Invalid size');
+            }
+        });
+    });
+
+    describe('createBodySizeLimit', () => {
+        const buildApp = () => {
+            const app = express();
+            app.use(createBodySizeLimit(8));
+            app.post('/', (req, res) => res.json({ ok: true }));
+            return app;
+        };
+
+        test('should reject a Content-Length above the limit', async () => {
+            const response = await request(buildApp()).post('/').send('123456789');
+
+            expect(response.status).toBe(413);
+            expect(response.body.message).toBe('Request body exceeds 8 bytes');
+        });
+
+        test('should pass requests within the limit', async () => {
+            const response = await request(buildApp()).post('/').send('12345678');
+
+            expect(response.status).toBe(200);
+        });
+    });
+});
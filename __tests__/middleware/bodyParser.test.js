@@ -0,0 +1,54 @@
+const request = require('supertest');
+const express = require('express');
+const { createBodyParser, parseBodyParserSetting } = require('../../middleware/bodyParser');
+
+describe('Body Parser Middleware', () => {
+    const buildApp = (setting, options) => {
+        const app = express();
+        app.use(createBodyParser(setting, options));
+        app.post('/', (req, res) =>
+            res.json({ body: req.body, raw: req.rawBody ? req.rawBody.toString('utf8') : null })
+        );
+        return app;
+    };
+
+    test('should parse the listed content types and keep the raw bytes', async () => {
+        const app = buildApp(['json', 'urlencoded']);
+
+        const json = await request(app)
+            .post('/')
+            .set('Content-Type', 'application/json')
+            .send('{"a":1}');
+        const form = await request(app)
+            .post('/')
+            .set('Content-Type', 'application/x-www-form-urlencoded')
+            .send('a=1&b[c]=2');
+
+        expect(json.body).toEqual({ body: { a: 1 }, raw: '{"a":1}' });
+        expect(form.body).toEqual({ body: { a: '1', b: { c: '2' } }, raw: 'a=1&b[c]=2' });
+    });
+
+    test('should leave other content types unparsed', async () => {
+        const response = await request(buildApp('json'))
+            .post('/')
+            .set('Content-Type', 'text/plain')
+            .send('hello');
+
+        expect(response.body.raw).toBeNull();
+    });
+
+    test('should enforce the size limit', async () => {
+        const response = await request(buildApp('text', { limit: 4 }))
+            .post('/')
+            .set('Content-Type', 'text/plain')
+            .send('too long');
+
+        expect(response.status).toBe(413);
+    });
+
+    test('should validate parser names', () => {
+        expect(parseBodyParserSetting(undefined)).toEqual([]);
+        expect(parseBodyParserSetting(['json', 'json'])).toEqual(['json']);
+        expect(() => parseBodyParserSetting('xml')).toThrow('Unknown body parser "xml"');
+    });
+});
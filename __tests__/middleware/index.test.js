@@ -17,6 +17,10 @@ describe('Middleware Barrel Exports', () => {
         expect(middleware.requestId).toBeDefined();
         expect(middleware.requestLogger).toBeDefined();
         expect(middleware.requestTimeout).toBeDefined();
+        expect(middleware.bodyParser).toBeDefined();
+        expect(middleware.createBodyParser).toBeDefined();
+        expect(middleware.bodyLimit).toBeDefined();
+        expect(middleware.createBodySizeLimit).toBeDefined();
 
         // Error handling
         expect(middleware.errorHandler).toBeDefined();
@@ -4,6 +4,8 @@ const {
     createRateLimiter,
     globalRateLimiter,
     strictRateLimiter,
+    createRouteRateLimiter,
+    createKeyGenerator,
     initializeRedis,
     isRedisConnected,
     getStore,
@@ -478,4 +480,105 @@ describe('Rate Limiter Middleware', () => {
             expect(response.status).toBe(200);
         });
     });
+
+    describe('Route Rate Limiter', () => {
+        test('should isolate counters per route limiter', async () => {
+            const testApp = express();
+            testApp.use('/a', createRouteRateLimiter('/a', { windowMs: 60000, max: 1 }));
+            testApp.use('/b', createRouteRateLimiter('/b', { windowMs: 60000, max: 1 }));
+            testApp.get('*', (req, res) => res.json({ message: 'ok' }));
+
+            expect((await request(testApp).get('/a')).status).toBe(200);
+            expect((await request(testApp).get('/a')).status).toBe(429);
+            expect((await request(testApp).get('/b')).status).toBe(200);
+        });
+
+        test('should reset counters after shutdown', async () => {
+            const limiter = createRouteRateLimiter('/a', { windowMs: 60000, max: 1 });
+            const testApp = express();
+            testApp.use(limiter);
+            testApp.get('*', (req, res) => res.json({ message: 'ok' }));
+
+            await request(testApp).get('/test');
+            expect((await request(testApp).get('/test')).status).toBe(429);
+
+            limiter.shutdown();
+            expect((await request(testApp).get('/test')).status).toBe(200);
+        });
+    });
+
+    describe('Key Strategies', () => {
+        const mockReq = (headers = {}, ip = '10.0.0.1') => ({
+            ip,
+            headers,
+            baseUrl: '/api/public',
+            path: '/items'
+        });
+
+        test('should default to bare client IP', () => {
+            expect(createKeyGenerator()(mockReq())).toBe('10.0.0.1');
+        });
+
+        test('should key by user id set by central-auth', () => {
+            const keyGenerator = createKeyGenerator('user');
+
+            expect(keyGenerator(mockReq({ 'X-User-Id': '42' }))).toBe('user:42');
+        });
+
+        test('should ignore client-sent x-user-id and fall back to IP', () => {
+            const keyGenerator = createKeyGenerator('user');
+
+            expect(keyGenerator(mockReq({ 'x-user-id': 'spoofed' }))).toBe('ip:10.0.0.1');
+        });
+
+        test('should key by hashed API key', () => {
+            const keyGenerator = createKeyGenerator('apiKey');
+            const key = keyGenerator(mockReq({ 'x-api-key': 'secret-key' }));
+
+            expect(key).toMatch(/^apikey:[0-9a-f]{32}$/);
+            expect(key).not.toContain('secret-key');
+        });
+
+        test('should support a custom API key header', () => {
+            const keyGenerator = createKeyGenerator('apiKey', { apiKeyHeader: 'X-Partner-Key' });
+
+            expect(keyGenerator(mockReq({ 'x-partner-key': 'k' }))).toMatch(/^apikey:/);
+        });
+
+        test('should key by any named header', () => {
+            const keyGenerator = createKeyGenerator('header:X-Tenant-Id');
+
+            expect(keyGenerator(mockReq({ 'x-tenant-id': 'acme' }))).toMatch(
+                /^header:x-tenant-id:/
+            );
+        });
+
+        test('should build composite keys', () => {
+            const keyGenerator = createKeyGenerator(['ip', 'route']);
+
+            expect(keyGenerator(mockReq())).toBe('ip:10.0.0.1|route:/api/public');
+        });
+
+        test('should fall back to IP per component for anonymous requests', () => {
+            const keyGenerator = createKeyGenerator(['user', 'route']);
+
+            expect(keyGenerator(mockReq())).toBe('ip:10.0.0.1|route:/api/public');
+        });
+
+        test('should reject unknown key sources', () => {
+            expect(() => createKeyGenerator('cookie')).toThrow('Invalid rate limit key source');
+            expect(() => createKeyGenerator('header:')).toThrow('header name is empty');
+            expect(() => createKeyGenerator([])).toThrow('keyBy');
+        });
+
+        test('should give each API key its own bucket', async () => {
+            const testApp = express();
+            testApp.use(createRateLimiter({ windowMs: 60000, max: 1, keyBy: 'apiKey' }));
+            testApp.get('/test', (req, res) => res.json({ message: 'ok' }));
+
+            expect((await request(testApp).get('/test').set('X-API-Key', 'a')).status).toBe(200);
+            expect((await request(testApp).get('/test').set('X-API-Key', 'b')).status).toBe(200);
+            expect((await request(testApp).get('/test').set('X-API-Key', 'a')).status).toBe(429);
+        });
+    });
 });
@@ -27,6 +27,29 @@ describe('Request Timeout Middleware', () => {
         expect(response.status).toBe(200);
     });
 
+    test('should answer slow requests with 504', async () => {
+        app.use(requestTimeout(50));
+        app.get('/slow', () => {});
+
+        const response = await request(app).get('/slow');
+
+        expect(response.status).toBe(504);
+        expect(response.body).toMatchObject({ message: 'Request timed out', phase: 'request' });
+    });
+
+    test('should let setRequestTimeout replace the timeout', async () => {
+        app.use(requestTimeout(50));
+        app.use((req, res, next) => {
+            requestTimeout.setRequestTimeout(req, res, 1000);
+            next();
+        });
+        app.get('/slow', (req, res) => setTimeout(() => res.json({ ok: true }), 100));
+
+        const response = await request(app).get('/slow');
+
+        expect(response.status).toBe(200);
+    });
+
     test('should use default timeout from config', () => {
         const middleware = requestTimeout();
         expect(middleware).toBeDefined();
@@ -43,42 +66,43 @@ describe('Request Timeout Middleware', () => {
         const nextSpy = jest.fn();
         const middleware = requestTimeout(1000);
 
-        const mockReq = {
+        const mockReq = {};
+        const mockRes = {
             setTimeout: jest.fn()
         };
-        const mockRes = {};
 
         middleware(mockReq, mockRes, nextSpy);
 
         expect(nextSpy).toHaveBeenCalled();
-        expect(mockReq.setTimeout).toHaveBeenCalledWith(1000, expect.any(Function));
+        expect(mockRes.setTimeout).toHaveBeenCalledWith(1000, expect.any(Function));
     });
 
-    test('should set setTimeout on request object', () => {
+    test('should set setTimeout on response object', () => {
         const middleware = requestTimeout(2000);
 
-        const mockReq = {
+        const mockReq = {};
+        const mockRes = {
             setTimeout: jest.fn()
         };
-        const mockRes = {};
         const mockNext = jest.fn();
 
         middleware(mockReq, mockRes, mockNext);
 
-        expect(mockReq.setTimeout).toHaveBeenCalledWith(2000, expect.any(Function));
+        expect(mockRes.setTimeout).toHaveBeenCalledWith(2000, expect.any(Function));
     });
 
     test('should handle timeout callback when headers not sent', () => {
         const middleware = requestTimeout(100);
 
         const mockReq = {
-            setTimeout: jest.fn(),
             method: 'GET',
             originalUrl: '/test-endpoint',
             destroy: jest.fn()
         };
         const mockRes = {
+            setTimeout: jest.fn(),
             headersSent: false,
+            set: jest.fn(),
             status: jest.fn().mockReturnThis(),
             json: jest.fn()
         };
@@ -87,7 +111,7 @@ describe('Request Timeout Middleware', () => {
         middleware(mockReq, mockRes, mockNext);
 
         // Get the timeout callback
-        const timeoutCallback = mockReq.setTimeout.mock.calls[0][1];
+        const timeoutCallback = mockRes.setTimeout.mock.calls[0][1];
 
         // Execute the timeout callback
         timeoutCallback();
@@ -102,21 +126,24 @@ describe('Request Timeout Middleware', () => {
         expect(mockRes.json).toHaveBeenCalledWith({
             error: 'Gateway Timeout',
             message: 'Request timed out',
+            phase: 'request',
             timestamp: expect.any(String)
         });
-        expect(mockReq.destroy).toHaveBeenCalled();
+        // The connection closes after the 504 instead of being destroyed before it is sent
+        expect(mockRes.set).toHaveBeenCalledWith('Connection', 'close');
+        expect(mockReq.destroy).not.toHaveBeenCalled();
     });
 
     test('should not send response if headers already sent', () => {
         const middleware = requestTimeout(100);
 
         const mockReq = {
-            setTimeout: jest.fn(),
             method: 'GET',
             originalUrl: '/test',
             destroy: jest.fn()
         };
         const mockRes = {
+            setTimeout: jest.fn(),
             headersSent: true,
             status: jest.fn().mockReturnThis(),
             json: jest.fn()
@@ -126,7 +153,7 @@ describe('Request Timeout Middleware', () => {
         middleware(mockReq, mockRes, mockNext);
 
         // Get the timeout callback
-        const timeoutCallback = mockReq.setTimeout.mock.calls[0][1];
+        const timeoutCallback = mockRes.setTimeout.mock.calls[0][1];
 
         // Execute the timeout callback
         timeoutCallback();
@@ -143,13 +170,14 @@ describe('Request Timeout Middleware', () => {
         const middleware = requestTimeout(100);
 
         const mockReq = {
-            setTimeout: jest.fn(),
             method: 'POST',
             url: '/fallback-url',
             destroy: jest.fn()
         };
         const mockRes = {
+            setTimeout: jest.fn(),
             headersSent: false,
+            set: jest.fn(),
             status: jest.fn().mockReturnThis(),
             json: jest.fn()
         };
@@ -157,7 +185,7 @@ describe('Request Timeout Middleware', () => {
 
         middleware(mockReq, mockRes, mockNext);
 
-        const timeoutCallback = mockReq.setTimeout.mock.calls[0][1];
+        const timeoutCallback = mockRes.setTimeout.mock.calls[0][1];
         timeoutCallback();
 
         expect(loggerWarnSpy).toHaveBeenCalledWith('Request timed out', {
@@ -171,13 +199,14 @@ describe('Request Timeout Middleware', () => {
         const middleware = requestTimeout(100);
 
         const mockReq = {
-            setTimeout: jest.fn(),
             method: 'GET',
             originalUrl: '/test',
             destroy: jest.fn()
         };
         const mockRes = {
+            setTimeout: jest.fn(),
             headersSent: false,
+            set: jest.fn(),
             status: jest.fn().mockReturnThis(),
             json: jest.fn()
         };
@@ -185,7 +214,7 @@ describe('Request Timeout Middleware', () => {
 
         middleware(mockReq, mockRes, mockNext);
 
-        const timeoutCallback = mockReq.setTimeout.mock.calls[0][1];
+        const timeoutCallback = mockRes.setTimeout.mock.calls[0][1];
         timeoutCallback();
 
         const jsonCall = mockRes.json.mock.calls[0][0];
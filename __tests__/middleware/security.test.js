@@ -69,31 +69,20 @@ describe('Security Middleware', () => {
         });
     });
 
-    describe('Body Parser Limits', () => {
-        test('should parse JSON body', async () => {
+    describe('Request Bodies', () => {
+        test('should leave bodies unparsed for the proxy to stream', async () => {
             app.post('/test', (req, res) => {
-                res.json({ received: req.body });
+                let size = 0;
+                req.on('data', (chunk) => {
+                    size += chunk.length;
+                });
+                req.on('end', () => res.json({ parsed: req.body !== undefined, size }));
             });
 
             const response = await request(app).post('/test').send({ test: 'data' });
 
             expect(response.status).toBe(200);
-            expect(response.body.received).toEqual({ test: 'data' });
-        });
-
-        test('should reject oversized bodies', async () => {
-            // This test depends on the actual limit set
-            // Default is 10mb, so we'd need a very large body to test
-            // For now, just verify body parsing works
-            app.post('/test', (req, res) => {
-                res.json({ size: JSON.stringify(req.body).length });
-            });
-
-            const response = await request(app)
-                .post('/test')
-                .send({ data: 'x'.repeat(100) });
-
-            expect(response.status).toBe(200);
+            expect(response.body).toEqual({ parsed: false, size: 15 });
         });
     });
 });
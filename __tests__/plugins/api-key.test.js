@@ -0,0 +1,274 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../lib/logger', () => ({
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    info: jest.fn()
+}));
+
+describe('API Key Plugin', () => {
+    let apiKey;
+    let metrics;
+    let tmpDir;
+    let keysFile;
+
+    const writeKeys = (keys) => {
+        fs.writeFileSync(keysFile, JSON.stringify({ keys }));
+    };
+
+    const buildApp = (options) => {
+        const app = express();
+        app.use('/partners', apiKey({ keysFile, ...options }));
+        app.all('*', (req, res) =>
+            res.json({ headers: req.headers, url: req.url, originalUrl: req.originalUrl })
+        );
+        return app;
+    };
+
+    const count = async (consumer, result) => {
+        const { values } = await metrics.apiKeyRequests.get();
+        return (
+            values.find((v) => v.labels.consumer === consumer && v.labels.result === result)
+                ?.value || 0
+        );
+    };
+
+    beforeEach(() => {
+        jest.resetModules();
+        apiKey = require('../../plugins/api-key');
+        metrics = require('../../routes/metrics');
+
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-key-'));
+        keysFile = path.join(tmpDir, 'keys.json');
+        writeKeys([
+            { consumer: 'acme', hash: `sha256:${apiKey.hashApiKey('acme-secret')}` },
+            {
+                consumer: 'globex',
+                hash: apiKey.hashApiKey('globex-secret'),
+                routes: ['GET /partners/globex/**'],
+                rateLimit: { windowMs: 60000, max: 2 }
+            },
+            {
+                consumer: 'initech',
+                hash: apiKey.hashApiKey('initech-secret'),
+                expiresAt: '2020-01-01T00:00:00Z'
+            }
+        ]);
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    describe('Authentication', () => {
+        test('should forward a valid key as X-Consumer-Id and strip the key', async () => {
+            const response = await request(buildApp())
+                .get('/partners/orders')
+                .set('X-API-Key', 'acme-secret')
+                .set('X-Consumer-Id', 'spoofed');
+
+            expect(response.status).toBe(200);
+            expect(response.body.headers['x-consumer-id']).toBe('acme');
+            expect(response.body.headers['x-api-key']).toBeUndefined();
+            expect(await count('acme', 'allowed')).toBe(1);
+        });
+
+        test('should require a key', async () => {
+            const response = await request(buildApp()).get('/partners/orders');
+
+            expect(response.status).toBe(401);
+            expect(response.body).toMatchObject({
+                error: 'Unauthorized',
+                message: 'API key is required',
+                code: 'UNAUTHORIZED'
+            });
+            expect(await count('unknown', 'missing')).toBe(1);
+        });
+
+        test('should reject unknown keys', async () => {
+            const response = await request(buildApp())
+                .get('/partners/orders')
+                .set('X-API-Key', 'guess');
+
+            expect(response.status).toBe(401);
+            expect(response.body.message).toBe('Invalid API key');
+        });
+
+        test('should reject expired keys', async () => {
+            const response = await request(buildApp())
+                .get('/partners/orders')
+                .set('X-API-Key', 'initech-secret');
+
+            expect(response.status).toBe(401);
+            expect(response.body.message).toBe('API key expired');
+            expect(await count('initech', 'expired')).toBe(1);
+        });
+
+        test('should accept a key from the configured query parameter and remove it', async () => {
+            const response = await request(buildApp({ queryParam: 'api_key' })).get(
+                '/partners/orders?api_key=acme-secret&page=2'
+            );
+
+            expect(response.status).toBe(200);
+            expect(response.body.originalUrl).toBe('/partners/orders?page=2');
+            expect(response.body.url).toBe('/partners/orders?page=2');
+        });
+
+        test('should leave the encoding of other query parameters untouched', async () => {
+            const response = await request(buildApp({ queryParam: 'api_key' })).get(
+                '/partners/orders?q=a%20b&sig=x%2By&api_key=acme-secret&list=a,b'
+            );
+
+            expect(response.status).toBe(200);
+            expect(response.body.url).toBe('/partners/orders?q=a%20b&sig=x%2By&list=a,b');
+        });
+
+        test('should ignore query keys unless configured', async () => {
+            const response = await request(buildApp()).get('/partners/orders?api_key=acme-secret');
+
+            expect(response.status).toBe(401);
+        });
+
+        test('should use a custom header', async () => {
+            const response = await request(buildApp({ header: 'X-Partner-Key' }))
+                .get('/partners/orders')
+                .set('X-Partner-Key', 'acme-secret');
+
+            expect(response.status).toBe(200);
+        });
+    });
+
+    describe('Per-key Policy', () => {
+        test('should restrict keys to their allowed routes', async () => {
+            const app = buildApp();
+
+            const allowed = await request(app)
+                .get('/partners/globex/orders')
+                .set('X-API-Key', 'globex-secret');
+            const denied = await request(app)
+                .get('/partners/acme/orders')
+                .set('X-API-Key', 'globex-secret');
+
+            expect(allowed.status).toBe(200);
+            expect(denied.status).toBe(403);
+            expect(denied.body.code).toBe('FORBIDDEN');
+        });
+
+        test('should apply the consumer rate limit', async () => {
+            const app = buildApp();
+            const call = () =>
+                request(app).get('/partners/globex/orders').set('X-API-Key', 'globex-secret');
+
+            await call();
+            await call();
+            const limited = await call();
+
+            expect(limited.status).toBe(429);
+            expect(await count('globex', 'allowed')).toBe(2);
+        });
+    });
+
+    describe('Redis Key Store', () => {
+        const buildRedisApp = (redis) => {
+            jest.resetModules();
+            jest.doMock('../../middleware/rateLimiter', () => ({
+                ...jest.requireActual('../../middleware/rateLimiter'),
+                getRedisClient: () => redis
+            }));
+            apiKey = require('../../plugins/api-key');
+            const app = express();
+            app.use(apiKey({ redis: true }));
+            app.all('*', (req, res) => res.json({ consumer: req.headers['x-consumer-id'] }));
+            return app;
+        };
+
+        afterEach(() => {
+            jest.dontMock('../../middleware/rateLimiter');
+        });
+
+        test('should look keys up by hash in Redis', async () => {
+            const hash = require('../../plugins/api-key').hashApiKey('redis-secret');
+            const redis = {
+                get: jest.fn((key) =>
+                    Promise.resolve(
+                        key === `apikey:${hash}` ? JSON.stringify({ consumer: 'umbrella' }) : null
+                    )
+                )
+            };
+
+            const response = await request(buildRedisApp(redis))
+                .get('/')
+                .set('X-API-Key', 'redis-secret');
+
+            expect(response.status).toBe(200);
+            expect(response.body.consumer).toBe('umbrella');
+        });
+
+        test('should return 503 when Redis is not connected', async () => {
+            const response = await request(buildRedisApp(null))
+                .get('/')
+                .set('X-API-Key', 'redis-secret');
+
+            expect(response.status).toBe(503);
+            expect(response.body.message).toBe('API key store is unavailable');
+        });
+    });
+
+    describe('Configuration', () => {
+        test('should load through the plugin loader', () => {
+            const { loadPlugin } = require('../../lib/pluginLoader');
+
+            expect(typeof loadPlugin('api-key', { keysFile })).toBe('function');
+        });
+
+        test('should keep the route closed when the keys file cannot be loaded', async () => {
+            const { buildRouter } = require('../../lib/routeBuilder');
+            const app = express();
+            app.use(
+                buildRouter([
+                    {
+                        path: '/partners',
+                        upstream: 'http://127.0.0.1:1',
+                        plugins: [
+                            {
+                                name: 'api-key',
+                                enabled: true,
+                                keysFile: path.join(tmpDir, 'missing.yaml')
+                            }
+                        ]
+                    }
+                ])
+            );
+
+            const response = await request(app).post('/partners/orders').send({ id: 1 });
+            expect(response.status).toBe(503);
+            require('../../lib/upstreamHealth').stopAll();
+        });
+
+        test('should require a key source', () => {
+            expect(() => apiKey({})).toThrow('keysFile or redis');
+        });
+
+        test('should reject invalid key entries', () => {
+            writeKeys([{ consumer: 'acme', hash: 'plaintext-key' }]);
+            expect(() => apiKey({ keysFile })).toThrow('hash must be a hex SHA-256');
+
+            writeKeys([{ consumer: 'acme', hash: apiKey.hashApiKey('x'), expiresAt: 'soon' }]);
+            expect(() => apiKey({ keysFile })).toThrow('expiresAt must be a date');
+        });
+
+        test('should pass through when disabled', async () => {
+            const app = express();
+            app.use(apiKey({ enabled: false }));
+            app.get('/', (req, res) => res.json({ ok: true }));
+
+            const response = await request(app).get('/');
+            expect(response.status).toBe(200);
+        });
+    });
+});
@@ -1,3 +1,7 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const request = require('supertest');
 const express = require('express');
 
@@ -377,6 +381,614 @@ describe('Central Auth Plugin', () => {
         });
     });
 
+    describe('Excluded Paths', () => {
+        let excludedApp;
+
+        const buildApp = (params) => {
+            jest.resetModules();
+            jest.doMock('axios', () => ({
+                create: jest.fn(() => mockAxiosInstance)
+            }));
+            const centralAuthFresh = require('../../plugins/central-auth');
+
+            const testApp = express();
+            testApp.use('/risk-admin', centralAuthFresh(params));
+            testApp.all('*', (req, res) => {
+                res.json({
+                    userId: req.headers['X-User-Id'] || req.headers['x-user-id'] || null
+                });
+            });
+            return testApp;
+        };
+
+        beforeEach(() => {
+            excludedApp = buildApp({
+                enabled: true,
+                authServiceUrl: 'http://auth-service:9000',
+                excludePaths: ['/risk-admin/public/**', 'GET /risk-admin/docs']
+            });
+        });
+
+        test('should skip auth for excluded glob paths on any method', async () => {
+            const getResponse = await request(excludedApp).get('/risk-admin/public/report/1');
+            const postResponse = await request(excludedApp).post('/risk-admin/public');
+
+            expect(getResponse.status).toBe(200);
+            expect(postResponse.status).toBe(200);
+            expect(mockAxiosInstance.post).not.toHaveBeenCalled();
+        });
+
+        test('should only skip auth for the listed methods', async () => {
+            expect((await request(excludedApp).get('/risk-admin/docs')).status).toBe(200);
+            expect((await request(excludedApp).head('/risk-admin/docs')).status).toBe(200);
+            expect((await request(excludedApp).delete('/risk-admin/docs')).status).toBe(401);
+            expect(mockAxiosInstance.post).not.toHaveBeenCalled();
+        });
+
+        test('should require auth for everything else under the route', async () => {
+            expect((await request(excludedApp).get('/risk-admin/users')).status).toBe(401);
+            expect((await request(excludedApp).get('/risk-admin/publicity')).status).toBe(401);
+        });
+
+        test('should not let dot segments escape an excluded path', async () => {
+            const response = await request(excludedApp).get('/risk-admin/public/%2e%2e/users');
+
+            expect(response.status).toBe(401);
+        });
+
+        test('should drop client-supplied X-User-Id on excluded paths', async () => {
+            const response = await request(excludedApp)
+                .get('/risk-admin/public/x')
+                .set('X-User-Id', 'admin');
+
+            expect(response.body.userId).toBeNull();
+        });
+
+        test('should read settings nested under options', async () => {
+            const optionsApp = buildApp({
+                name: 'central-auth',
+                options: {
+                    authServiceUrl: 'http://auth-service:9000',
+                    excludePaths: [{ path: '/risk-admin/docs', methods: ['GET'] }]
+                }
+            });
+            mockAxiosInstance.post.mockResolvedValue({
+                status: 200,
+                data: { data: { verifyStatus: true, userId: 'user123' } }
+            });
+
+            expect((await request(optionsApp).get('/risk-admin/docs')).status).toBe(200);
+            expect(mockAxiosInstance.post).not.toHaveBeenCalled();
+
+            const response = await request(optionsApp)
+                .get('/risk-admin/users')
+                .set('Authorization', 'Bearer token');
+            expect(response.body.userId).toBe('user123');
+            expect(mockAxiosInstance.post).toHaveBeenCalledWith(
+                'http://auth-service:9000/api/v1/authz/verify',
+                {},
+                expect.any(Object)
+            );
+        });
+
+        test('should reject malformed excludePaths', () => {
+            expect(() =>
+                buildApp({
+                    enabled: true,
+                    authServiceUrl: 'http://auth-service:9000',
+                    excludePaths: ['public/**']
+                })
+            ).toThrow('must start with "/"');
+        });
+    });
+
+    describe('Verify Cache', () => {
+        let metrics;
+
+        const verified = (overrides = {}) => ({
+            status: 200,
+            headers: {},
+            data: { data: { verifyStatus: true, userId: 'user123' } },
+            ...overrides
+        });
+
+        const buildApp = (cache, mocks = {}) => {
+            jest.resetModules();
+            jest.doMock('axios', () => ({
+                create: jest.fn(() => mockAxiosInstance)
+            }));
+            if (mocks.redis) {
+                jest.doMock('../../middleware/rateLimiter', () => ({
+                    getRedisClient: () => mocks.redis
+                }));
+            }
+            const centralAuthFresh = require('../../plugins/central-auth');
+            metrics = require('../../routes/metrics');
+
+            const testApp = express();
+            testApp.use(centralAuthFresh({ authServiceUrl: 'http://auth-service:9000', cache }));
+            testApp.all('*', (req, res) => res.json({ userId: req.headers['X-User-Id'] }));
+            return testApp;
+        };
+
+        const lookups = async (result) => {
+            const { values } = await metrics.authCacheLookups.get();
+            return values.find((v) => v.labels.result === result)?.value || 0;
+        };
+
+        afterEach(() => {
+            jest.dontMock('../../middleware/rateLimiter');
+            jest.restoreAllMocks();
+        });
+
+        test('should not cache unless configured', async () => {
+            const testApp = buildApp(undefined);
+            mockAxiosInstance.post.mockResolvedValue(verified());
+
+            await request(testApp).get('/a').set('Authorization', 'Bearer t');
+            await request(testApp).get('/a').set('Authorization', 'Bearer t');
+
+            expect(mockAxiosInstance.post).toHaveBeenCalledTimes(2);
+        });
+
+        test('should reuse a verify result for the same token and scope', async () => {
+            const testApp = buildApp(true);
+            mockAxiosInstance.post.mockResolvedValue(verified());
+
+            await request(testApp).get('/a?page=1').set('Authorization', 'Bearer t');
+            const response = await request(testApp)
+                .get('/a?page=2')
+                .set('Authorization', 'Bearer t');
+
+            expect(response.status).toBe(200);
+            expect(response.body.userId).toBe('user123');
+            expect(mockAxiosInstance.post).toHaveBeenCalledTimes(1);
+            expect(await lookups('hit')).toBe(1);
+            expect(await lookups('miss')).toBe(1);
+        });
+
+        test('should verify again for another token, method or path', async () => {
+            const testApp = buildApp(true);
+            mockAxiosInstance.post.mockResolvedValue(verified());
+
+            await request(testApp).get('/a').set('Authorization', 'Bearer t');
+            await request(testApp).get('/a').set('Authorization', 'Bearer other');
+            await request(testApp).post('/a').set('Authorization', 'Bearer t');
+            await request(testApp).get('/b').set('Authorization', 'Bearer t');
+
+            expect(mockAxiosInstance.post).toHaveBeenCalledTimes(4);
+        });
+
+        test('should honor Cache-Control no-store', async () => {
+            const testApp = buildApp(true);
+            mockAxiosInstance.post.mockResolvedValue(
+                verified({ headers: { 'cache-control': 'no-store' } })
+            );
+
+            await request(testApp).get('/a').set('Authorization', 'Bearer t');
+            await request(testApp).get('/a').set('Authorization', 'Bearer t');
+
+            expect(mockAxiosInstance.post).toHaveBeenCalledTimes(2);
+        });
+
+        test('should expire entries by max-age and expiresIn', async () => {
+            let now = 1_000_000;
+            jest.spyOn(Date, 'now').mockImplementation(() => now);
+            const testApp = buildApp({ ttlMs: 60000 });
+            mockAxiosInstance.post
+                .mockResolvedValueOnce(verified({ headers: { 'cache-control': 'max-age=10' } }))
+                .mockResolvedValue(
+                    verified({
+                        data: { data: { verifyStatus: true, userId: 'u', expiresIn: 2 } }
+                    })
+                );
+
+            await request(testApp).get('/a').set('Authorization', 'Bearer t');
+            now += 9000;
+            await request(testApp).get('/a').set('Authorization', 'Bearer t');
+            expect(mockAxiosInstance.post).toHaveBeenCalledTimes(1);
+
+            now += 1000;
+            await request(testApp).get('/a').set('Authorization', 'Bearer t');
+            expect(mockAxiosInstance.post).toHaveBeenCalledTimes(2);
+
+            now += 2000;
+            await request(testApp).get('/a').set('Authorization', 'Bearer t');
+            expect(mockAxiosInstance.post).toHaveBeenCalledTimes(3);
+        });
+
+        test('should cache 401 responses only when negativeTtlMs is set', async () => {
+            const rejected = {
+                status: 401,
+                headers: {},
+                data: { status: 'fail', error: 'TOKEN_EXPIRED' }
+            };
+            mockAxiosInstance.post.mockResolvedValue(rejected);
+
+            const positiveOnly = buildApp(true);
+            await request(positiveOnly).get('/a').set('Authorization', 'Bearer bad');
+            await request(positiveOnly).get('/a').set('Authorization', 'Bearer bad');
+            expect(mockAxiosInstance.post).toHaveBeenCalledTimes(2);
+
+            mockAxiosInstance.post.mockClear();
+            const negative = buildApp({ negativeTtlMs: 5000 });
+            await request(negative).get('/a').set('Authorization', 'Bearer bad');
+            const response = await request(negative).get('/a').set('Authorization', 'Bearer bad');
+
+            expect(response.status).toBe(401);
+            expect(response.body.error).toBe('TOKEN_EXPIRED');
+            expect(mockAxiosInstance.post).toHaveBeenCalledTimes(1);
+        });
+
+        test('should share results through Redis when enabled', async () => {
+            const store = new Map();
+            const redis = {
+                get: jest.fn((key) => Promise.resolve(store.get(key) ?? null)),
+                set: jest.fn((key, value) => Promise.resolve(store.set(key, value)))
+            };
+            mockAxiosInstance.post.mockResolvedValue(verified());
+
+            const first = buildApp({ redis: true }, { redis });
+            await request(first).get('/a').set('Authorization', 'Bearer t');
+
+            const second = buildApp({ redis: true }, { redis });
+            const response = await request(second).get('/a').set('Authorization', 'Bearer t');
+
+            expect(response.body.userId).toBe('user123');
+            expect(mockAxiosInstance.post).toHaveBeenCalledTimes(1);
+            expect([...store.keys()][0]).toMatch(/^authz:verify:[0-9a-f]{64}$/);
+        });
+
+        test('should reject invalid cache settings', () => {
+            expect(() => buildApp({ ttlMs: -1 })).toThrow('cache.ttlMs');
+            expect(() => buildApp({ maxEntries: 0 })).toThrow('cache.maxEntries');
+        });
+    });
+
+    describe('Auth Unavailable', () => {
+        const refused = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+
+        const buildApp = (options) => {
+            const testApp = express();
+            testApp.use(centralAuth({ authServiceUrl: 'http://auth-service:9000', ...options }));
+            testApp.all('*', (req, res) =>
+                res.json({ userId: req.headers['X-User-Id'] || req.headers['x-user-id'] || null })
+            );
+            return testApp;
+        };
+
+        test('should fail fast once the auth circuit is open', async () => {
+            const testApp = buildApp({ circuitBreaker: { volumeThreshold: 1 } });
+            mockAxiosInstance.post.mockRejectedValue(refused);
+
+            await request(testApp).get('/a').set('Authorization', 'Bearer t');
+            const response = await request(testApp).get('/a').set('Authorization', 'Bearer t');
+
+            expect(response.status).toBe(502);
+            expect(response.body.errorDetails[0].message).toBe(
+                'Authentication service is temporarily unavailable'
+            );
+            expect(mockAxiosInstance.post).toHaveBeenCalledTimes(1);
+        });
+
+        test('should forward without identity when the policy is allow', async () => {
+            const testApp = buildApp({ onAuthUnavailable: 'allow' });
+            mockAxiosInstance.post.mockRejectedValue(refused);
+
+            const response = await request(testApp)
+                .get('/a')
+                .set('Authorization', 'Bearer t')
+                .set('X-User-Id', 'spoofed');
+
+            expect(response.status).toBe(200);
+            expect(response.body.userId).toBeNull();
+        });
+
+        test('should only allow recently verified tokens when the policy is allowCached', async () => {
+            const testApp = buildApp({ onAuthUnavailable: 'allowCached' });
+            mockAxiosInstance.post.mockResolvedValueOnce({
+                status: 200,
+                data: { data: { verifyStatus: true, userId: 'user123' } }
+            });
+            await request(testApp).get('/a').set('Authorization', 'Bearer known');
+
+            mockAxiosInstance.post.mockRejectedValue(refused);
+            const known = await request(testApp).get('/a').set('Authorization', 'Bearer known');
+            const unknown = await request(testApp).get('/a').set('Authorization', 'Bearer other');
+
+            expect(known.status).toBe(200);
+            expect(known.body.userId).toBe('user123');
+            expect(unknown.status).toBe(502);
+        });
+
+        test('should deny by default', async () => {
+            const testApp = buildApp({});
+            mockAxiosInstance.post.mockRejectedValue(
+                Object.assign(new Error('Request failed with status code 503'), {
+                    response: { status: 503 }
+                })
+            );
+
+            const response = await request(testApp).get('/a').set('Authorization', 'Bearer t');
+
+            expect(response.status).toBe(502);
+            expect(response.body.error).toBe('AUTH_SERVICE_UNAVAILABLE');
+        });
+
+        test('should validate the policy settings', () => {
+            expect(() => buildApp({ onAuthUnavailable: 'maybe' })).toThrow('onAuthUnavailable');
+            expect(() =>
+                buildApp({ onAuthUnavailable: 'allowCached', allowCachedTtlMs: 0 })
+            ).toThrow('allowCachedTtlMs');
+        });
+    });
+
+    describe('Authorization Rules', () => {
+        const verifiedAs = (data) => ({
+            status: 200,
+            data: { data: { verifyStatus: true, userId: 'user123', ...data } }
+        });
+
+        const buildApp = (options) => {
+            const testApp = express();
+            testApp.use(
+                centralAuth({
+                    authServiceUrl: 'http://auth-service:9000',
+                    authorize: [
+                        { match: 'POST,DELETE /admin/**', roles: ['admin'] },
+                        { match: '/reports/**', scopes: ['reports:read'] }
+                    ],
+                    ...options
+                })
+            );
+            testApp.all('*', (req, res) => res.json({ ok: true }));
+            return testApp;
+        };
+
+        test('should forward requests that satisfy the matching rules', async () => {
+            mockAxiosInstance.post.mockResolvedValue(verifiedAs({ roles: ['admin'] }));
+
+            const response = await request(buildApp())
+                .delete('/admin/users/1')
+                .set('Authorization', 'Bearer t');
+
+            expect(response.status).toBe(200);
+        });
+
+        test('should return 403 in the ForbiddenError format', async () => {
+            mockAxiosInstance.post.mockResolvedValue(verifiedAs({ roles: ['viewer'] }));
+
+            const response = await request(buildApp())
+                .delete('/admin/users/1')
+                .set('Authorization', 'Bearer t');
+
+            expect(response.status).toBe(403);
+            expect(response.body).toEqual({
+                error: 'Forbidden',
+                message: 'Insufficient permissions',
+                code: 'FORBIDDEN',
+                timestamp: expect.any(String)
+            });
+        });
+
+        test('should not restrict requests no rule matches', async () => {
+            mockAxiosInstance.post.mockResolvedValue(verifiedAs({}));
+
+            const response = await request(buildApp())
+                .get('/admin/users')
+                .set('Authorization', 'Bearer t');
+
+            expect(response.status).toBe(200);
+        });
+
+        test('should check cached verify results too', async () => {
+            mockAxiosInstance.post.mockResolvedValue(verifiedAs({ scope: 'other' }));
+            const testApp = buildApp({ cache: true });
+
+            await request(testApp).get('/reports/1').set('Authorization', 'Bearer t');
+            const response = await request(testApp)
+                .get('/reports/1')
+                .set('Authorization', 'Bearer t');
+
+            expect(mockAxiosInstance.post).toHaveBeenCalledTimes(1);
+            expect(response.status).toBe(403);
+        });
+
+        test('should keep rule-protected paths closed when failing open', async () => {
+            mockAxiosInstance.post.mockRejectedValue(
+                Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' })
+            );
+            const testApp = buildApp({ onAuthUnavailable: 'allow' });
+
+            const open = await request(testApp).get('/orders').set('Authorization', 'Bearer t');
+            const guarded = await request(testApp)
+                .get('/reports/1')
+                .set('Authorization', 'Bearer t');
+
+            expect(open.status).toBe(200);
+            expect(guarded.status).toBe(502);
+        });
+
+        test('should reject malformed rules at startup', () => {
+            expect(() => buildApp({ authorize: [{ match: '/admin' }] })).toThrow(
+                'must require roles, scopes or permissions'
+            );
+        });
+    });
+
+    describe('JWT Mode', () => {
+        const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+            modulusLength: 2048
+        });
+        let tmpDir;
+        let jwksFile;
+
+        const signToken = (payload) => {
+            const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+            const input = `${encode({ alg: 'RS256', kid: 'k1' })}.${encode(payload)}`;
+            const signature = crypto.sign('sha256', Buffer.from(input), privateKey);
+            return `${input}.${signature.toString('base64url')}`;
+        };
+        const validToken = (claims = {}) =>
+            signToken({ sub: 'user42', exp: Math.floor(Date.now() / 1000) + 60, ...claims });
+
+        const buildApp = (options) => {
+            jest.resetModules();
+            jest.doMock('axios', () => ({
+                create: jest.fn(() => mockAxiosInstance)
+            }));
+            const centralAuthFresh = require('../../plugins/central-auth');
+
+            const testApp = express();
+            testApp.use(centralAuthFresh({ mode: 'jwt', ...options }));
+            testApp.all('*', (req, res) => res.json({ headers: req.headers }));
+            return testApp;
+        };
+
+        beforeEach(() => {
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'central-auth-jwt-'));
+            jwksFile = path.join(tmpDir, 'jwks.json');
+            const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'k1', alg: 'RS256' };
+            fs.writeFileSync(jwksFile, JSON.stringify({ keys: [jwk] }));
+        });
+
+        afterEach(() => {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+
+        test('should verify locally and map claims to upstream headers', async () => {
+            const testApp = buildApp({ jwt: { jwksFile } });
+
+            const response = await request(testApp)
+                .get('/orders')
+                .set(
+                    'Authorization',
+                    `Bearer ${validToken({ roles: ['admin', 'ops'], tenant: 't1' })}`
+                )
+                .set('X-User-Roles', 'superuser');
+
+            expect(response.status).toBe(200);
+            expect(response.body.headers['X-User-Id']).toBe('user42');
+            expect(response.body.headers['X-User-Roles']).toBe('admin,ops');
+            expect(response.body.headers['X-Tenant-Id']).toBe('t1');
+            expect(response.body.headers['x-user-roles']).toBeUndefined();
+            expect(response.body.headers.authorization).toBeUndefined();
+            expect(mockAxiosInstance.post).not.toHaveBeenCalled();
+        });
+
+        test('should support custom claim headers with dotted paths', async () => {
+            const testApp = buildApp({
+                jwt: { jwksFile, claimHeaders: { 'X-Org': 'org.id' } }
+            });
+
+            const response = await request(testApp)
+                .get('/orders')
+                .set('Authorization', `Bearer ${validToken({ org: { id: 'acme' } })}`);
+
+            expect(response.body.headers['X-Org']).toBe('acme');
+            expect(response.body.headers['X-User-Id']).toBeUndefined();
+        });
+
+        test('should authorize with JWT claims', async () => {
+            const testApp = buildApp({
+                jwt: { jwksFile },
+                authorize: [{ match: '/orders/**', scopes: ['orders:write'] }]
+            });
+
+            const allowed = await request(testApp)
+                .get('/orders/1')
+                .set(
+                    'Authorization',
+                    `Bearer ${validToken({ scope: 'orders:read orders:write' })}`
+                );
+            const denied = await request(testApp)
+                .get('/orders/1')
+                .set('Authorization', `Bearer ${validToken({ scope: 'orders:read' })}`);
+
+            expect(allowed.status).toBe(200);
+            expect(denied.status).toBe(403);
+            expect(denied.body.code).toBe('FORBIDDEN');
+        });
+
+        test('should reject an expired token with 401', async () => {
+            const testApp = buildApp({ jwt: { jwksFile } });
+
+            const response = await request(testApp)
+                .get('/orders')
+                .set('Authorization', `Bearer ${validToken({ exp: 1 })}`);
+
+            expect(response.status).toBe(401);
+            expect(response.body).toEqual({
+                status: 'fail',
+                error: 'UNAUTHORIZED',
+                errorDetails: [{ message: 'Token expired' }]
+            });
+        });
+
+        test('should return 502 when signing keys cannot be loaded', async () => {
+            const testApp = buildApp({ jwt: { jwksFile: path.join(tmpDir, 'missing.json') } });
+
+            const response = await request(testApp)
+                .get('/orders')
+                .set('Authorization', `Bearer ${validToken()}`);
+
+            expect(response.status).toBe(502);
+            expect(response.body.error).toBe('AUTH_SERVICE_UNAVAILABLE');
+        });
+
+        test('should fall back to the auth service for opaque tokens', async () => {
+            const testApp = buildApp({
+                authServiceUrl: 'http://auth-service:9000',
+                jwt: { jwksFile, remoteVerify: 'fallback' }
+            });
+            mockAxiosInstance.post.mockResolvedValue({
+                status: 200,
+                data: { data: { verifyStatus: true, userId: 'remote-user' } }
+            });
+
+            const opaque = await request(testApp)
+                .get('/orders')
+                .set('Authorization', 'Bearer opaque-token');
+            const invalid = await request(testApp)
+                .get('/orders')
+                .set('Authorization', `Bearer ${validToken({ exp: 1 })}`);
+
+            expect(opaque.status).toBe(200);
+            expect(opaque.body.headers['X-User-Id']).toBe('remote-user');
+            expect(invalid.status).toBe(401);
+            expect(mockAxiosInstance.post).toHaveBeenCalledTimes(1);
+        });
+
+        test('should require the auth service to agree when remoteVerify is always', async () => {
+            const testApp = buildApp({
+                authServiceUrl: 'http://auth-service:9000',
+                jwt: { jwksFile, remoteVerify: 'always' }
+            });
+            mockAxiosInstance.post.mockResolvedValue({
+                status: 401,
+                data: { data: { verifyStatus: false, message: 'Token revoked' } }
+            });
+
+            const response = await request(testApp)
+                .get('/orders')
+                .set('Authorization', `Bearer ${validToken()}`);
+
+            expect(response.status).toBe(401);
+            expect(mockAxiosInstance.post).toHaveBeenCalledTimes(1);
+        });
+
+        test('should validate its configuration', () => {
+            expect(() => buildApp({ jwt: {} })).toThrow('jwksUri, jwksFile or secretEnv');
+            expect(() => buildApp({ jwt: { jwksFile, remoteVerify: 'sometimes' } })).toThrow(
+                'jwt.remoteVerify'
+            );
+            expect(() => buildApp({ jwt: { jwksFile, remoteVerify: 'fallback' } })).toThrow(
+                'authServiceUrl is required'
+            );
+            expect(() => buildApp({ mode: 'oauth' })).toThrow('mode must be');
+        });
+    });
+
     describe('Auth Service Headers', () => {
         test('should send X-Original-URI header', async () => {
             mockAxiosInstance.post.mockResolvedValue({
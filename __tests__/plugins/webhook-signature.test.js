@@ -0,0 +1,329 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../lib/logger', () => ({
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    info: jest.fn()
+}));
+
+describe('Webhook Signature Plugin', () => {
+    let webhookSignature;
+    const body = '{"event":"paid","amount":100}';
+
+    const hmac = (secret, payload, algorithm = 'sha256') =>
+        crypto.createHmac(algorithm, secret).update(payload).digest('hex');
+    const now = () => Math.floor(Date.now() / 1000);
+
+    const buildApp = (options) => {
+        const app = express();
+        // As with `bodyParser: json`, the plugin must cope with a consumed stream
+        app.use(express.json({ verify: require('../../lib/rawBody').captureRawBody }));
+        app.use('/hooks', webhookSignature(options));
+        app.post('*', (req, res) =>
+            res.json({ consumer: req.headers['x-consumer-id'] || null, body: req.body })
+        );
+        return app;
+    };
+
+    const post = (app, headers) => {
+        const call = request(app).post('/hooks/payments').set('Content-Type', 'application/json');
+        for (const [name, value] of Object.entries(headers)) {
+            call.set(name, value);
+        }
+        return call.send(body);
+    };
+
+    beforeEach(() => {
+        jest.resetModules();
+        process.env.HOOK_SECRET = 'top-secret';
+        process.env.ACME_HOOK_SECRET = 'acme-secret';
+        process.env.GLOBEX_HOOK_SECRET = 'globex-secret';
+        webhookSignature = require('../../plugins/webhook-signature');
+    });
+
+    afterEach(() => {
+        delete process.env.HOOK_SECRET;
+        delete process.env.ACME_HOOK_SECRET;
+        delete process.env.GLOBEX_HOOK_SECRET;
+    });
+
+    describe('Schemes', () => {
+        test('should accept a generic HMAC of the raw body', async () => {
+            const response = await post(buildApp({ secretEnv: 'HOOK_SECRET' }), {
+                'X-Signature': hmac('top-secret', body)
+            });
+
+            expect(response.status).toBe(200);
+            expect(response.body.body).toEqual({ event: 'paid', amount: 100 });
+        });
+
+        test('should accept GitHub signatures', async () => {
+            const response = await post(buildApp({ scheme: 'github', secretEnv: 'HOOK_SECRET' }), {
+                'X-Hub-Signature-256': `sha256=${hmac('top-secret', body)}`
+            });
+
+            expect(response.status).toBe(200);
+        });
+
+        test('should accept Stripe signatures over timestamp and body', async () => {
+            const t = now();
+            const response = await post(buildApp({ scheme: 'stripe', secretEnv: 'HOOK_SECRET' }), {
+                'Stripe-Signature': `t=${t},v1=deadbeef,v1=${hmac('top-secret', `${t}.${body}`)}`
+            });
+
+            expect(response.status).toBe(200);
+        });
+
+        test('should support other algorithms and encodings', async () => {
+            const signature = crypto
+                .createHmac('sha512', 'top-secret')
+                .update(body)
+                .digest('base64');
+            const app = buildApp({
+                secretEnv: 'HOOK_SECRET',
+                header: 'X-Webhook-Signature',
+                algorithm: 'sha512',
+                encoding: 'base64'
+            });
+
+            const response = await post(app, { 'X-Webhook-Signature': signature });
+            expect(response.status).toBe(200);
+        });
+    });
+
+    describe('Verification', () => {
+        test('should reject missing and wrong signatures', async () => {
+            const app = buildApp({ secretEnv: 'HOOK_SECRET' });
+
+            const missing = await post(app, {});
+            const wrong = await post(app, { 'X-Signature': hmac('other-secret', body) });
+
+            expect(missing.status).toBe(401);
+            expect(missing.body.message).toBe('Missing request signature');
+            expect(wrong.status).toBe(401);
+            expect(wrong.body).toMatchObject({
+                message: 'Invalid request signature',
+                code: 'UNAUTHORIZED'
+            });
+        });
+
+        test('should reject timestamps outside the tolerance', async () => {
+            const app = buildApp({
+                secretEnv: 'HOOK_SECRET',
+                timestampHeader: 'X-Timestamp',
+                toleranceSec: 60
+            });
+            const old = now() - 120;
+
+            const response = await post(app, {
+                'X-Timestamp': String(old),
+                'X-Signature': hmac('top-secret', `${old}.${body}`)
+            });
+
+            expect(response.status).toBe(401);
+            expect(response.body.message).toBe('Signature timestamp outside tolerance');
+        });
+
+        test('should sign the timestamp with the body', async () => {
+            const app = buildApp({ secretEnv: 'HOOK_SECRET', timestampHeader: 'X-Timestamp' });
+            const t = now();
+
+            const unsigned = await post(app, {
+                'X-Timestamp': String(t),
+                'X-Signature': hmac('top-secret', body)
+            });
+            const signed = await post(app, {
+                'X-Timestamp': String(t),
+                'X-Signature': hmac('top-secret', `${t}.${body}`)
+            });
+
+            expect(unsigned.status).toBe(401);
+            expect(signed.status).toBe(200);
+        });
+
+        test('should block replays of the same signature', async () => {
+            const app = buildApp({ secretEnv: 'HOOK_SECRET' });
+            const headers = { 'X-Signature': hmac('top-secret', body) };
+
+            expect((await post(app, headers)).status).toBe(200);
+            const replay = await post(app, headers);
+
+            expect(replay.status).toBe(401);
+            expect(replay.body.message).toBe('Replayed request');
+        });
+
+        test('should block replays of the same signature spelled differently', async () => {
+            const app = buildApp({ secretEnv: 'HOOK_SECRET' });
+            const signature = hmac('top-secret', body);
+
+            expect((await post(app, { 'X-Signature': signature })).status).toBe(200);
+            for (const variant of [signature.toUpperCase(), `${signature}zz`]) {
+                const replay = await post(app, { 'X-Signature': variant });
+                expect(replay.status).toBe(401);
+            }
+        });
+
+        test('should block Stripe replays with extra v1 entries', async () => {
+            const app = buildApp({ secretEnv: 'HOOK_SECRET', scheme: 'stripe' });
+            const t = now();
+            const signature = hmac('top-secret', `${t}.${body}`);
+
+            const first = await post(app, { 'Stripe-Signature': `t=${t},v1=${signature}` });
+            const replay = await post(app, {
+                'Stripe-Signature': `t=${t},v1=junk,v1=${signature}`
+            });
+
+            expect(first.status).toBe(200);
+            expect(replay.status).toBe(401);
+            expect(replay.body.message).toBe('Replayed request');
+        });
+
+        test('should reject signatures not written canonically', async () => {
+            const signature = hmac('top-secret', body);
+
+            for (const variant of [signature.toUpperCase(), `${signature}zz`]) {
+                const response = await post(buildApp({ secretEnv: 'HOOK_SECRET' }), {
+                    'X-Signature': variant
+                });
+                expect(response.status).toBe(401);
+                expect(response.body.message).toBe('Invalid request signature');
+            }
+        });
+
+        test('should block replays of the same nonce', async () => {
+            const app = buildApp({
+                secretEnv: 'HOOK_SECRET',
+                nonceHeader: 'X-Nonce',
+                signedPayload: '{nonce}:{body}'
+            });
+            const headers = {
+                'X-Nonce': 'n-1',
+                'X-Signature': hmac('top-secret', `n-1:${body}`)
+            };
+
+            expect((await post(app, {})).status).toBe(401);
+            expect((await post(app, headers)).status).toBe(200);
+            expect((await post(app, headers)).status).toBe(401);
+        });
+
+        test('should reject bodies above maxBodyBytes', async () => {
+            const app = express();
+            app.use(webhookSignature({ secretEnv: 'HOOK_SECRET', maxBodyBytes: 8 }));
+            app.post('/', (req, res) => res.json({ ok: true }));
+
+            const response = await request(app)
+                .post('/')
+                .set('Content-Type', 'text/plain')
+                .set('X-Signature', 'abcd')
+                .send(body);
+
+            expect(response.status).toBe(413);
+        });
+    });
+
+    describe('Consumers', () => {
+        const consumers = [
+            { id: 'acme', secretEnv: 'ACME_HOOK_SECRET' },
+            { id: 'globex', secretEnv: 'GLOBEX_HOOK_SECRET' }
+        ];
+
+        test('should identify the consumer whose secret matches', async () => {
+            const response = await post(buildApp({ consumers }), {
+                'X-Signature': hmac('globex-secret', body),
+                'X-Consumer-Id': 'spoofed'
+            });
+
+            expect(response.status).toBe(200);
+            expect(response.body.consumer).toBe('globex');
+        });
+
+        test('should only try the secret of the named consumer', async () => {
+            const app = buildApp({ consumers, consumerHeader: 'X-Webhook-Source' });
+
+            const response = await post(app, {
+                'X-Webhook-Source': 'acme',
+                'X-Signature': hmac('globex-secret', body)
+            });
+
+            expect(response.status).toBe(401);
+        });
+    });
+
+    describe('Configuration', () => {
+        test('should load through the plugin loader', () => {
+            const { loadPlugin } = require('../../lib/pluginLoader');
+
+            expect(typeof loadPlugin('webhook-signature', { secretEnv: 'HOOK_SECRET' })).toBe(
+                'function'
+            );
+        });
+
+        test('should keep the route closed when the secret is not set', async () => {
+            const { buildRouter } = require('../../lib/routeBuilder');
+            const app = express();
+            app.use(
+                buildRouter([
+                    {
+                        path: '/hooks',
+                        upstream: 'http://127.0.0.1:1',
+                        plugins: [
+                            {
+                                name: 'webhook-signature',
+                                enabled: true,
+                                scheme: 'stripe',
+                                secretEnv: 'STRIPE_SECRET_UNSET'
+                            }
+                        ]
+                    }
+                ])
+            );
+
+            const response = await post(app, {});
+            expect(response.status).toBe(503);
+            require('../../lib/upstreamHealth').stopAll();
+        });
+
+        test('should reject invalid settings', () => {
+            expect(() => webhookSignature({})).toThrow('secretEnv is required');
+            expect(() => webhookSignature({ secretEnv: 'MISSING_SECRET' })).toThrow(
+                'MISSING_SECRET is not set'
+            );
+            expect(() => webhookSignature({ secretEnv: 'HOOK_SECRET', scheme: 'x' })).toThrow(
+                'scheme must be one of'
+            );
+            expect(() => webhookSignature({ secretEnv: 'HOOK_SECRET', algorithm: 'md5' })).toThrow(
+                'algorithm must be one of'
+            );
+            expect(() =>
+                webhookSignature({
+                    secretEnv: 'HOOK_SECRET',
+                    timestampHeader: 'X-Timestamp',
+                    nonceHeader: 'X-Nonce'
+                })
+            ).toThrow('nonceHeader requires {nonce} in signedPayload');
+        });
+
+        test('should warn that schemes without a timestamp cannot prevent replays', () => {
+            const logger = require('../../lib/logger');
+
+            webhookSignature({ secretEnv: 'HOOK_SECRET', scheme: 'stripe' });
+            expect(logger.warn).not.toHaveBeenCalled();
+            webhookSignature({ secretEnv: 'HOOK_SECRET', scheme: 'github' });
+            expect(logger.warn).toHaveBeenCalledWith(
+                'webhook-signature without a signed timestamp cannot prevent replays',
+                { scheme: 'github', replayWindowSec: 600 }
+            );
+        });
+
+        test('should pass through when disabled', async () => {
+            const app = express();
+            app.use(webhookSignature({ enabled: false }));
+            app.post('/', (req, res) => res.json({ ok: true }));
+
+            expect((await request(app).post('/')).status).toBe(200);
+        });
+    });
+});
@@ -37,6 +37,57 @@ describe('Health Check Route', () => {
         expect(response).toHaveProperty('routes');
     });
 
+    test('should include in-flight request counts', () => {
+        const loadBalancer = require('../../lib/loadBalancer');
+        const release = loadBalancer.trackRequest('http://busy.com');
+
+        const handler = healthCheck(() => null);
+        handler(req, res);
+        release();
+
+        const response = res.json.mock.calls[0][0];
+        expect(response.activeRequests['http://busy.com']).toBe(1);
+    });
+
+    test('should include retry budgets', () => {
+        const retryBudget = require('../../lib/retryBudget');
+        retryBudget.reset();
+        retryBudget.recordRequest('/api', 'http://busy.com', {
+            percent: 20,
+            windowMs: 10000,
+            minRetries: 1
+        });
+
+        const handler = healthCheck(() => null);
+        handler(req, res);
+
+        const response = res.json.mock.calls[0][0];
+        expect(response.retryBudgets.routes['/api']).toEqual({
+            requests: 1,
+            retries: 0,
+            allowed: 1,
+            remaining: 1,
+            skipped: 0
+        });
+        expect(response.retryBudgets.upstreams['http://busy.com'].requests).toBe(1);
+        retryBudget.reset();
+    });
+
+    test('should report the last config reload error', () => {
+        const configLoader = require('../../lib/configLoader');
+        const reloadError = { message: 'Invalid configuration', timestamp: 'now' };
+        jest.spyOn(configLoader, 'getLastLoadError').mockReturnValue(reloadError);
+
+        const handler = healthCheck(() => ({}));
+        handler(req, res);
+
+        const response = res.json.mock.calls[0][0];
+        expect(response.lastReloadError).toEqual(reloadError);
+        expect(response.status).toBe('healthy');
+
+        configLoader.getLastLoadError.mockRestore();
+    });
+
     test('should indicate routes not loaded when router is null', () => {
         const handler = healthCheck(() => null);
         handler(req, res);
@@ -135,6 +186,23 @@ describe('Health Check Route', () => {
         circuitBreakerManager.getStats.mockRestore();
     });
 
+    test('should report auth service availability without degrading', () => {
+        jest.spyOn(circuitBreakerManager, 'getStats').mockImplementation((group) =>
+            group === 'auth' ? { 'http://auth/api/v1/authz/verify': { state: 'open' } } : {}
+        );
+
+        const handler = healthCheck(() => ({ some: 'router' }));
+        handler(req, res);
+
+        const response = res.json.mock.calls[0][0];
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(response.authServices).toEqual({
+            'http://auth/api/v1/authz/verify': { available: false, state: 'open' }
+        });
+
+        circuitBreakerManager.getStats.mockRestore();
+    });
+
     test('should return degraded status when upstreams are unhealthy', () => {
         jest.spyOn(upstreamHealthChecker, 'getAllHealthStatus').mockReturnValue({
             'http://test.com': {
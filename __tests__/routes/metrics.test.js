@@ -79,6 +79,36 @@ describe('Metrics Endpoint', () => {
             expect(response.text).toContain('circuit_breaker_state');
         });
 
+        test('should include in-flight upstream request counts', async () => {
+            const loadBalancer = require('../../lib/loadBalancer');
+            const release = loadBalancer.trackRequest('http://busy.com');
+
+            const response = await request(app).get('/metrics');
+            release();
+
+            expect(response.text).toContain(
+                'upstream_active_requests{upstream="http://busy.com"} 1'
+            );
+        });
+
+        test('should include remaining retry budgets', async () => {
+            const retryBudget = require('../../lib/retryBudget');
+            retryBudget.reset();
+            retryBudget.recordRequest('/api', 'http://busy.com', {
+                percent: 20,
+                windowMs: 10000,
+                minRetries: 3
+            });
+
+            const response = await request(app).get('/metrics');
+            retryBudget.reset();
+
+            expect(response.text).toContain('retry_budget_remaining{scope="route",name="/api"} 3');
+            expect(response.text).toContain(
+                'retry_budget_remaining{scope="upstream",name="http://busy.com"} 3'
+            );
+        });
+
         test('should handle errors gracefully', async () => {
             // Create a new app instance to avoid interference
             const testApp = express();
@@ -80,21 +80,22 @@ describe('Kubernetes Probes', () => {
             expect(response.body.issues).toContain('Routes not loaded');
         });
 
-        test('should return 503 when circuit breakers are open', async () => {
-            circuitBreakerManager.getStats.mockReturnValue({
-                'http://upstream1': { state: 'open' }
-            });
+        test('should report open upstream breakers without failing readiness', async () => {
+            circuitBreakerManager.getStats.mockImplementation((group) =>
+                group === 'auth' ? {} : { 'http://upstream1': { state: 'open' } }
+            );
             app.get(
                 '/readyz',
                 readinessProbe(() => ({ stack: [] }))
             );
 
             const response = await request(app).get('/readyz');
-            expect(response.status).toBe(503);
-            expect(response.body.issues).toBeDefined();
-            expect(response.body.issues.some((i) => i.includes('Circuit breakers open'))).toBe(
-                true
-            );
+            expect(response.status).toBe(200);
+            expect(response.body.status).toBe('ready');
+            expect(response.body.checks).toMatchObject({
+                openCircuitBreakers: 1,
+                openUpstreamBreakers: ['http://upstream1']
+            });
         });
 
         test('should return 503 when all upstreams are unhealthy', async () => {
@@ -126,6 +127,22 @@ describe('Kubernetes Probes', () => {
             expect(response.status).toBe(200);
         });
 
+        test('should report unavailable auth services without failing readiness', async () => {
+            circuitBreakerManager.getStats.mockImplementation((group) =>
+                group === 'auth' ? { 'http://auth/api/v1/authz/verify': { state: 'open' } } : {}
+            );
+            app.get(
+                '/readyz',
+                readinessProbe(() => ({ stack: [] }))
+            );
+
+            const response = await request(app).get('/readyz');
+            expect(response.status).toBe(200);
+            expect(response.body.checks.unavailableAuthServices).toEqual([
+                'http://auth/api/v1/authz/verify'
+            ]);
+        });
+
         test('should include checks summary', async () => {
             app.get(
                 '/readyz',
@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+/**
+ * Gateway CLI
+ *
+ * Offline checks for gateway.yaml, intended for pre-merge pipelines:
+ *
+ *   gateway validate [config]   Validate the file and build its routes
+ *   gateway routes [config]     Same, then print the resolved routing table
+ *
+ * Uses the same loadConfigFile/buildRouter as the server, but never starts
+ * upstream health monitoring or opens network connections.
+ * Exit codes: 0 valid, 1 invalid configuration (including skipped routes,
+ * enabled plugins that fail to load and plugins that do not set `enabled`),
+ * 2 usage error.
+ *
+ * @module bin/gateway
+ */
+
+const config = require('../lib/config');
+const logger = require('../lib/logger');
+const { loadConfigFile, getLastLoadError } = require('../lib/configLoader');
+const { buildRouter, getRouteTable } = require('../lib/routeBuilder');
+const { resolvePluginEnabled } = require('../lib/pluginLoader');
+
+const USAGE = `Usage: gateway <command> [config] [--json]
+
+Commands:
+  validate [config]   Validate a gateway.yaml file
+  routes [config]     Validate and print the resolved routing table
+
+Options:
+  --json              Print the routing table as JSON (routes command)
+  --verbose           Also print gateway log output
+  -h, --help          Show this help
+
+[config] defaults to GATEWAY_CONFIG_PATH (${config.gatewayConfigPath})
+`;
+
+/**
+ * Formats configuration errors as "file:line:column pointer message" lines
+ * @private
+ * @param {string} configPath
+ * @param {object} loadError - Result of getLastLoadError()
+ * @returns {string}
+ */
+const formatLoadError = (configPath, loadError) => {
+    if (!loadError || !loadError.errors) {
+        return `${configPath}: ${loadError ? loadError.message : 'failed to load'}\n`;
+    }
+    return loadError.errors
+        .map(
+            ({ path, line, column, message }) =>
+                `${configPath}:${line}:${column} ${path || '/'} ${message}\n`
+        )
+        .join('');
+};
+
+/**
+ * Lists plugins that are not applied to their route as configured: enabled
+ * ones that did not attach, and ones that set `enabled` nowhere (skipped)
+ * @private
+ * @param {Array} routes - Configured routes, in routing table order
+ * @param {Array} table - Result of getRouteTable()
+ * @returns {{unloaded: string[], unset: string[]}} "path: plugin" entries
+ */
+const findUnappliedPlugins = (routes, table) => {
+    const unloaded = [];
+    const unset = [];
+    routes.forEach((route, i) => {
+        for (const plugin of Array.isArray(route.plugins) ? route.plugins : []) {
+            const enabled = resolvePluginEnabled(plugin);
+            if (enabled === undefined) {
+                unset.push(`${route.path}: ${plugin?.name}`);
+            } else if (enabled === true && !table[i].plugins.includes(plugin.name)) {
+                unloaded.push(`${route.path}: ${plugin.name}`);
+            }
+        }
+    });
+    return { unloaded, unset };
+};
+
+/**
+ * Formats the routing table as aligned text columns
+ * @private
+ * @param {Array} table - Result of getRouteTable()
+ * @returns {string}
+ */
+const formatRouteTable = (table) => {
+    const rows = table.map((route) => [
+        route.path,
+        route.upstreams
+            .map(({ url, weight }) => (weight === 1 ? url : `${url} (weight ${weight})`))
+            .join(', '),
+        route.strategy,
+        `${route.timeout}ms`,
+        route.methods ? route.methods.join(',') : '*',
+        route.plugins.join(',') || '-'
+    ]);
+    const header = ['PATH', 'UPSTREAMS', 'STRATEGY', 'TIMEOUT', 'METHODS', 'PLUGINS'];
+    const widths = header.map((title, i) =>
+        Math.max(title.length, ...rows.map((row) => row[i].length))
+    );
+
+    return [header, ...rows]
+        .map((row) =>
+            row.map((cell, i) => (i === row.length - 1 ? cell : cell.padEnd(widths[i]))).join('  ')
+        )
+        .join('\n')
+        .concat('\n');
+};
+
+/**
+ * Runs the CLI
+ * @param {string[]} argv - Arguments after the script name
+ * @param {object} [io] - Output streams (for tests)
+ * @param {NodeJS.WritableStream} [io.stdout]
+ * @param {NodeJS.WritableStream} [io.stderr]
+ * @returns {number} Exit code
+ */
+const main = (argv, { stdout = process.stdout, stderr = process.stderr } = {}) => {
+    const flags = argv.filter((arg) => arg.startsWith('-'));
+    const [command, configPath = config.gatewayConfigPath, ...extra] = argv.filter(
+        (arg) => !arg.startsWith('-')
+    );
+
+    if (flags.includes('-h') || flags.includes('--help')) {
+        stdout.write(USAGE);
+        return 0;
+    }
+
+    const unknownFlags = flags.filter((flag) => !['--json', '--verbose'].includes(flag));
+    if (!['validate', 'routes'].includes(command) || extra.length > 0 || unknownFlags.length > 0) {
+        stderr.write(USAGE);
+        return 2;
+    }
+
+    const gatewayConfig = loadConfigFile(configPath);
+    if (!gatewayConfig) {
+        stderr.write(formatLoadError(configPath, getLastLoadError()));
+        return 1;
+    }
+
+    try {
+        buildRouter(gatewayConfig.routes, { monitorUpstreams: false });
+    } catch (err) {
+        stderr.write(`${configPath}: failed to build routes: ${err.message}\n`);
+        return 1;
+    }
+
+    const table = getRouteTable();
+    const skipped = gatewayConfig.routes.length - table.length;
+    if (skipped > 0) {
+        stderr.write(`${configPath}: ${skipped} route(s) skipped as invalid\n`);
+        return 1;
+    }
+
+    const { unloaded, unset } = findUnappliedPlugins(gatewayConfig.routes, table);
+    if (unset.length > 0) {
+        stderr.write(
+            `${configPath}: plugin(s) skipped, set enabled: true or false: ${unset.join(', ')}\n`
+        );
+    }
+    if (unloaded.length > 0) {
+        stderr.write(`${configPath}: plugin(s) failed to load: ${unloaded.join(', ')}\n`);
+    }
+    if (unset.length > 0 || unloaded.length > 0) {
+        return 1;
+    }
+
+    if (command === 'routes') {
+        stdout.write(
+            flags.includes('--json')
+                ? `${JSON.stringify(table, null, 2)}\n`
+                : formatRouteTable(table)
+        );
+    } else {
+        stdout.write(`${configPath}: OK (${table.length} route(s))\n`);
+    }
+    return 0;
+};
+
+if (require.main === module) {
+    // Errors are reported by the CLI itself; gateway logs only on request
+    logger.silent = !process.argv.includes('--verbose');
+    process.exit(main(process.argv.slice(2)));
+}
+
+module.exports = { main };
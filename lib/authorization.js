@@ -0,0 +1,198 @@
+/**
+ * Authorization Rules
+ *
+ * Declarative role/scope/permission checks run after authentication
+ * (central-auth `authorize`). Rules match requests like lib/pathMatcher
+ * and list what the caller must hold:
+ *
+ *   - match: 'POST,PUT,DELETE /risk-admin/**'
+ *     roles: [admin, ops]        any one of these roles
+ *     scopes: [risk:write]       every listed scope
+ *     permissions: [limit.edit]  every listed permission
+ *
+ * Every rule matching a request must pass. Paths match regardless of case,
+ * as Express routes do, so a differently cased request cannot skip a rule.
+ * Roles, scopes and permissions are read from the verify response first,
+ * then from JWT claims.
+ *
+ * @module lib/authorization
+ */
+
+const { parsePathRule, getRequestPath } = require('./pathMatcher');
+
+/** Where each attribute is looked up (dotted paths; the first present one wins) */
+const DEFAULT_ATTRIBUTE_PATHS = {
+    roles: ['roles'],
+    scopes: ['scope', 'scp', 'scopes'],
+    permissions: ['permissions']
+};
+
+const ATTRIBUTES = Object.keys(DEFAULT_ATTRIBUTE_PATHS);
+
+/**
+ * Normalizes an attribute value: lists as-is, strings split on spaces or commas
+ * @private
+ * @param {*} value
+ * @returns {string[]}
+ */
+const toList = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(String);
+    }
+    if (typeof value === 'string') {
+        return value.split(/[\s,]+/).filter(Boolean);
+    }
+    return [];
+};
+
+/**
+ * Reads a dotted path from an object
+ * @private
+ */
+const getPath = (source, path) => path.split('.').reduce((value, key) => value?.[key], source);
+
+/**
+ * Validates and compiles one rule
+ * @private
+ * @param {object} rule
+ * @param {number} index - Position in the list (for error messages)
+ * @returns {{match: string, methods: Set<string>|null, regex: RegExp, roles: string[]|null,
+ *   scopes: string[]|null, permissions: string[]|null}}
+ * @throws {Error} If the rule is malformed
+ */
+const compileRule = (rule, index) => {
+    if (!rule || typeof rule !== 'object' || rule.match === undefined) {
+        throw new Error(`authorize[${index}]: "match" is required`);
+    }
+
+    const { methods, regex, path } = parsePathRule(rule.match, { ignoreCase: true });
+    const compiled = {
+        match: typeof rule.match === 'string' ? rule.match : path,
+        methods,
+        regex
+    };
+
+    for (const attribute of ATTRIBUTES) {
+        const required = rule[attribute];
+        if (required === undefined) {
+            compiled[attribute] = null;
+            continue;
+        }
+        if (
+            !Array.isArray(required) ||
+            required.length === 0 ||
+            required.some((entry) => typeof entry !== 'string' || entry === '')
+        ) {
+            throw new Error(
+                `authorize[${index}]: "${attribute}" must be a non-empty list of strings`
+            );
+        }
+        compiled[attribute] = required;
+    }
+
+    if (!compiled.roles && !compiled.scopes && !compiled.permissions) {
+        throw new Error(`authorize[${index}]: rule must require roles, scopes or permissions`);
+    }
+    return compiled;
+};
+
+/**
+ * Creates an authorizer for a list of rules
+ * @param {object[]} [rules=[]] - Rules (see module docs)
+ * @param {object} [attributePaths] - Override where roles/scopes/permissions are read,
+ *   e.g. { roles: 'realm_access.roles' } (a path or a list of paths)
+ * @returns {{matches: function(express.Request): boolean,
+ *   check: function(express.Request, object[]): object|null}}
+ *   - check returns null when allowed, otherwise { rule, missing }
+ * @throws {Error} If a rule is malformed
+ */
+const createAuthorizer = (rules = [], attributePaths = {}) => {
+    if (!Array.isArray(rules)) {
+        throw new Error('authorize must be a list of rules');
+    }
+    const compiled = rules.map(compileRule);
+
+    const paths = { ...DEFAULT_ATTRIBUTE_PATHS };
+    for (const [attribute, value] of Object.entries(attributePaths || {})) {
+        if (!ATTRIBUTES.includes(attribute)) {
+            throw new Error(`Unknown authorization attribute "${attribute}"`);
+        }
+        paths[attribute] = [].concat(value);
+    }
+
+    /**
+     * Rules that apply to a request
+     * Paths that cannot be matched safely (see getRequestPath) get every rule.
+     * @private
+     */
+    const matchingRules = (req) => {
+        if (compiled.length === 0) {
+            return [];
+        }
+        const path = getRequestPath(req);
+        const method = (req.method || 'GET').toUpperCase();
+        return compiled.filter(
+            (rule) =>
+                (!rule.methods || rule.methods.has(method)) &&
+                (path === null || rule.regex.test(path))
+        );
+    };
+
+    /**
+     * Reads an attribute from the first source that has it
+     * @private
+     * @param {object[]} sources - Verify response data, JWT claims (null entries skipped)
+     * @param {string} attribute
+     * @returns {Set<string>}
+     */
+    const readAttribute = (sources, attribute) => {
+        for (const source of sources) {
+            if (!source) {
+                continue;
+            }
+            for (const path of paths[attribute]) {
+                const value = getPath(source, path);
+                if (value !== undefined && value !== null) {
+                    return new Set(toList(value));
+                }
+            }
+        }
+        return new Set();
+    };
+
+    const check = (req, sources) => {
+        for (const rule of matchingRules(req)) {
+            const missing = {};
+
+            if (rule.roles) {
+                const held = readAttribute(sources, 'roles');
+                if (!rule.roles.some((role) => held.has(role))) {
+                    missing.roles = rule.roles;
+                }
+            }
+            for (const attribute of ['scopes', 'permissions']) {
+                if (rule[attribute]) {
+                    const held = readAttribute(sources, attribute);
+                    const lacking = rule[attribute].filter((entry) => !held.has(entry));
+                    if (lacking.length > 0) {
+                        missing[attribute] = lacking;
+                    }
+                }
+            }
+
+            if (Object.keys(missing).length > 0) {
+                return { rule: rule.match, missing };
+            }
+        }
+        return null;
+    };
+
+    return {
+        matches: (req) => matchingRules(req).length > 0,
+        check
+    };
+};
+
+module.exports = {
+    createAuthorizer
+};
@@ -11,6 +11,22 @@ const CircuitBreaker = require('opossum');
 const config = require('./config');
 const logger = require('./logger');
 
+/** Settings a route may change; a breaker is replaced when one of them does */
+const ROUTE_SETTINGS = [
+    'enabled',
+    'errorThresholdPercentage',
+    'volumeThreshold',
+    'resetTimeout',
+    'rollingCountTimeout'
+];
+
+/**
+ * Options of breakers driven by proxied requests
+ * Slow responses are not failures: route upstream timeouts end the request and
+ * report it as one, so the breaker's own timeout is off.
+ */
+const PROXY_BREAKER_OPTIONS = { timeout: false };
+
 /**
  * Manages circuit breakers for all upstream services
  */
@@ -19,6 +35,12 @@ class CircuitBreakerManager {
         /** @type {Map<string, CircuitBreaker>} */
         this.breakers = new Map();
 
+        /** @type {Map<string, string>} Breaker key → group ('upstream', 'auth', ...) */
+        this.groups = new Map();
+
+        /** @type {Map<string, object>} Breaker key → options it was created with */
+        this.options = new Map();
+
         /** @type {object} Default circuit breaker options */
         this.defaultOptions = {
             timeout: config.circuitBreaker.timeout,
@@ -26,6 +48,7 @@ class CircuitBreakerManager {
             resetTimeout: config.circuitBreaker.resetTimeout,
             rollingCountTimeout: config.circuitBreaker.rollingCountTimeout,
             rollingCountBuckets: config.circuitBreaker.rollingCountBuckets,
+            volumeThreshold: config.circuitBreaker.volumeThreshold,
             name: 'default',
             enabled: true
         };
@@ -35,6 +58,7 @@ class CircuitBreakerManager {
      * Get or create circuit breaker for an upstream URL
      * @param {string} upstreamUrl - The upstream service URL
      * @param {object} options - Circuit breaker options override
+     * @param {string} [options.group='upstream'] - Stats group (see getStats)
      * @returns {CircuitBreaker} Circuit breaker instance
      */
     getBreaker(upstreamUrl, options = {}) {
@@ -42,9 +66,10 @@ class CircuitBreakerManager {
             return this.breakers.get(upstreamUrl);
         }
 
+        const { group = 'upstream', ...overrides } = options;
         const breakerOptions = {
             ...this.defaultOptions,
-            ...options,
+            ...overrides,
             name: upstreamUrl
         };
 
@@ -56,9 +81,33 @@ class CircuitBreakerManager {
         this._attachEventHandlers(breaker, upstreamUrl);
 
         this.breakers.set(upstreamUrl, breaker);
+        this.groups.set(upstreamUrl, group);
+        this.options.set(upstreamUrl, breakerOptions);
         return breaker;
     }
 
+    /**
+     * Apply route settings to an upstream's breaker
+     * A breaker whose settings changed (on a config reload) is replaced, starting
+     * over closed with empty stats; otherwise it keeps its state.
+     * @param {string} upstreamUrl - The upstream service URL
+     * @param {object} settings - Resolved route settings (see lib/circuitBreakerPolicy)
+     * @returns {CircuitBreaker} Circuit breaker instance
+     */
+    configure(upstreamUrl, settings) {
+        const current = this.options.get(upstreamUrl);
+        if (current && ROUTE_SETTINGS.every((key) => current[key] === settings[key])) {
+            return this.breakers.get(upstreamUrl);
+        }
+
+        if (current) {
+            this.breakers.get(upstreamUrl).shutdown();
+            this.breakers.delete(upstreamUrl);
+            logger.info('Circuit breaker settings changed', { upstream: upstreamUrl, settings });
+        }
+        return this.getBreaker(upstreamUrl, { ...settings, ...PROXY_BREAKER_OPTIONS });
+    }
+
     /**
      * Attach event handlers to circuit breaker
      * @private
@@ -94,31 +143,40 @@ class CircuitBreakerManager {
         try {
             return await breaker.fire(() => fn());
         } catch (error) {
-            if (error.name === 'CircuitOpenError') {
+            if (error.code === 'EOPENBREAKER' || error.name === 'CircuitOpenError') {
                 logger.error('Circuit breaker is open', {
                     upstream: upstreamUrl,
                     error: error.message
                 });
-                throw new Error(`Service unavailable: ${upstreamUrl} is currently down`);
+                const openError = new Error(
+                    `Service unavailable: ${upstreamUrl} is currently down`
+                );
+                openError.code = 'EOPENBREAKER';
+                throw openError;
             }
             throw error;
         }
     }
 
     /**
-     * Get statistics for all circuit breakers
+     * Get statistics for the circuit breakers of one group
+     * @param {string} [group='upstream'] - Breaker group
      * @returns {object} Stats keyed by upstream URL
      */
-    getStats() {
+    getStats(group = 'upstream') {
         const stats = {};
 
         for (const [url, breaker] of this.breakers.entries()) {
+            if (this.groups.get(url) !== group) {
+                continue;
+            }
+            const counts = breaker.stats || {};
             stats[url] = {
-                state: breaker.status?.state || 'unknown',
-                failures: breaker.status?.failures || 0,
-                fires: breaker.status?.fires || 0,
-                cacheHits: breaker.status?.cacheHits || 0,
-                cacheMisses: breaker.status?.cacheMisses || 0
+                state: breaker.opened ? 'open' : breaker.halfOpen ? 'halfOpen' : 'closed',
+                failures: counts.failures || 0,
+                fires: counts.fires || 0,
+                cacheHits: counts.cacheHits || 0,
+                cacheMisses: counts.cacheMisses || 0
             };
         }
 
@@ -145,31 +203,62 @@ class CircuitBreakerManager {
     }
 
     /**
-     * Record a successful request for circuit breaker tracking
+     * Check if an upstream's breaker lets a request through: it is closed, or
+     * half-open with its trial request not yet taken
      * @param {string} upstreamUrl
+     * @returns {boolean}
      */
-    recordSuccess(upstreamUrl) {
+    isAvailable(upstreamUrl) {
         const breaker = this.breakers.get(upstreamUrl);
-        if (breaker && typeof breaker.emit === 'function') {
-            breaker.emit('success');
-        }
+        return !breaker || breaker.closed || breaker.pendingClose;
     }
 
     /**
-     * Record a failed request for circuit breaker tracking
-     * Only records failures for server/network errors, not client errors (4xx)
+     * Let a proxied request through an upstream's breaker
+     *
+     * The request counts in the breaker's rolling stats once its outcome is
+     * reported on the returned call, so errors and 5xx responses open the
+     * breaker past `errorThresholdPercentage` (after `volumeThreshold` requests).
+     * While half-open, only one trial request is let through; its outcome closes
+     * or reopens the breaker. `CIRCUIT_BREAKER_TIMEOUT_MS` does not apply: a slow
+     * request only fails when its route's upstream timeouts end it.
      * @param {string} upstreamUrl
-     * @param {Error|object} error - The error that occurred
+     * @returns {{success: Function, failure: Function}|null} The call to report the
+     *   outcome on, or null if the breaker rejected the request
      */
-    recordFailure(upstreamUrl, error = {}) {
-        const breaker = this.breakers.get(upstreamUrl);
-        if (!breaker) {
-            return;
+    admit(upstreamUrl) {
+        const breaker = this.getBreaker(upstreamUrl, PROXY_BREAKER_OPTIONS);
+
+        let settle = null;
+        const outcome = new Promise((resolve, reject) => {
+            settle = { resolve, reject };
+        });
+
+        // opossum calls the action synchronously unless it rejects the request
+        let admitted = false;
+        breaker
+            .fire(() => {
+                admitted = true;
+                return outcome;
+            })
+            .catch(() => {});
+
+        if (!admitted) {
+            return null;
         }
+        return {
+            success: () => settle.resolve(),
+            // Client errors and requests ended by the gateway count as successes
+            failure: (error) => (this._isFailure(error) ? settle.reject(error) : settle.resolve())
+        };
+    }
 
-        // Only count as circuit breaker failure for:
-        // - Network errors (ECONNRESET, ETIMEDOUT, ECONNREFUSED, ENOTFOUND)
-        // - 5xx server errors
+    /**
+     * Whether an outcome counts as a failure of the upstream
+     * Only network errors and 5xx responses do, not client errors (4xx).
+     * @private
+     */
+    _isFailure(error = {}) {
         const networkErrors = [
             'ECONNRESET',
             'ETIMEDOUT',
@@ -179,12 +268,7 @@ class CircuitBreakerManager {
         ];
         const isNetworkError = error.code && networkErrors.includes(error.code);
         const isServerError = error.status >= 500 || error.statusCode >= 500;
-
-        if (isNetworkError || isServerError) {
-            if (typeof breaker.emit === 'function') {
-                breaker.emit('failure');
-            }
-        }
+        return Boolean(isNetworkError || isServerError);
     }
 }
 
@@ -0,0 +1,83 @@
+/**
+ * Circuit Breaker Policy
+ *
+ * Per-route settings for the circuit breakers of a route's upstreams: whether
+ * they are enabled, the error rate and request volume that open them, how long
+ * they stay open and the rolling window the error rate is measured over.
+ * Anything a route leaves out comes from the `CIRCUIT_BREAKER_*` settings.
+ *
+ * @module lib/circuitBreakerPolicy
+ */
+
+const config = require('./config');
+
+/** Numeric settings: name -> minimum and maximum value */
+const POLICY_LIMITS = {
+    errorThresholdPercentage: [1, 100],
+    volumeThreshold: [0, Infinity],
+    resetTimeout: [1, Infinity],
+    rollingCountTimeout: [1000, Infinity]
+};
+
+const POLICY_KEYS = ['enabled', ...Object.keys(POLICY_LIMITS)];
+
+/**
+ * Resolve the breaker settings of a route's upstreams
+ * `circuitBreaker: true/false` is short for `{ enabled: true/false }`.
+ * @param {object} route - Route configuration
+ * @returns {{enabled: boolean, errorThresholdPercentage: number, volumeThreshold: number,
+ *   resetTimeout: number, rollingCountTimeout: number}}
+ */
+const resolveCircuitBreakerPolicy = (route) => {
+    const policy =
+        typeof route.circuitBreaker === 'boolean'
+            ? { enabled: route.circuitBreaker }
+            : route.circuitBreaker || {};
+    return {
+        enabled: policy.enabled ?? true,
+        errorThresholdPercentage:
+            policy.errorThresholdPercentage ?? config.circuitBreaker.errorThresholdPercentage,
+        volumeThreshold: policy.volumeThreshold ?? config.circuitBreaker.volumeThreshold,
+        resetTimeout: policy.resetTimeout ?? config.circuitBreaker.resetTimeout,
+        rollingCountTimeout: policy.rollingCountTimeout ?? config.circuitBreaker.rollingCountTimeout
+    };
+};
+
+/**
+ * Validate a route's `circuitBreaker` setting
+ * @param {*} circuitBreaker
+ * @throws {Error} If it is neither a boolean nor an object of known settings within
+ *   their limits
+ */
+const validateCircuitBreakerPolicy = (circuitBreaker) => {
+    if (typeof circuitBreaker === 'boolean') {
+        return;
+    }
+    if (!circuitBreaker || typeof circuitBreaker !== 'object' || Array.isArray(circuitBreaker)) {
+        throw new Error('circuitBreaker must be a boolean or an object');
+    }
+    for (const [key, value] of Object.entries(circuitBreaker)) {
+        if (!POLICY_KEYS.includes(key)) {
+            throw new Error(
+                `Unknown circuitBreaker setting "${key}" (expected ${POLICY_KEYS.join(', ')})`
+            );
+        }
+        if (key === 'enabled') {
+            if (typeof value !== 'boolean') {
+                throw new Error('circuitBreaker.enabled must be a boolean');
+            }
+            continue;
+        }
+        const [min, max] = POLICY_LIMITS[key];
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw new Error(
+                `circuitBreaker.${key} must be an integer ${max === Infinity ? `>= ${min}` : `from ${min} to ${max}`}`
+            );
+        }
+    }
+};
+
+module.exports = {
+    resolveCircuitBreakerPolicy,
+    validateCircuitBreakerPolicy
+};
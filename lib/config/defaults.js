@@ -7,8 +7,7 @@ module.exports = {
     // Server configuration
     server: {
         port: 3000,
-        trustProxy: false,
-        requestBodyLimit: '10mb'
+        trustProxy: false
     },
 
     // Rate limiting
@@ -32,7 +31,12 @@ module.exports = {
         initialDelay: 100, // ms
         maxDelay: 10000, // ms
         factor: 2, // exponential backoff factor
-        retryableCodes: ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'ENOTFOUND']
+        retryableCodes: ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'ENOTFOUND'],
+        budget: {
+            percent: 20, // retries allowed as a share of requests
+            windowMs: 10000, // rolling window
+            minRetries: 10 // per window, regardless of traffic
+        }
     },
 
     // Circuit breaker
@@ -41,7 +45,8 @@ module.exports = {
         errorThresholdPercentage: 50,
         resetTimeout: 30000,
         rollingCountTimeout: 60000,
-        rollingCountBuckets: 10
+        rollingCountBuckets: 10,
+        volumeThreshold: 10 // requests in the rolling window before the breaker may open
     },
 
     // Health checking
@@ -86,8 +86,7 @@ const config = Object.freeze({
     // Server
     server: Object.freeze({
         port: parseIntEnv('PORT', defaults.server.port, { min: 1, max: 65535 }),
-        trustProxy: parseBoolEnv('TRUST_PROXY', defaults.server.trustProxy),
-        requestBodyLimit: parseStringEnv('REQUEST_BODY_LIMIT', defaults.server.requestBodyLimit)
+        trustProxy: parseBoolEnv('TRUST_PROXY', defaults.server.trustProxy)
     }),
 
     // Rate limiting
@@ -115,7 +114,19 @@ const config = Object.freeze({
         }),
         maxDelay: parseIntEnv('RETRY_MAX_DELAY_MS', defaults.retry.maxDelay, { min: 100 }),
         factor: parseIntEnv('RETRY_FACTOR', defaults.retry.factor, { min: 1, max: 10 }),
-        retryableCodes: defaults.retry.retryableCodes
+        retryableCodes: defaults.retry.retryableCodes,
+        budget: Object.freeze({
+            percent: parseIntEnv('RETRY_BUDGET_PERCENT', defaults.retry.budget.percent, {
+                min: 0,
+                max: 100
+            }),
+            windowMs: parseIntEnv('RETRY_BUDGET_WINDOW_MS', defaults.retry.budget.windowMs, {
+                min: 1000
+            }),
+            minRetries: parseIntEnv('RETRY_BUDGET_MIN_RETRIES', defaults.retry.budget.minRetries, {
+                min: 0
+            })
+        })
     }),
 
     // Circuit breaker
@@ -134,7 +145,12 @@ const config = Object.freeze({
             { min: 1000 }
         ),
         rollingCountTimeout: defaults.circuitBreaker.rollingCountTimeout,
-        rollingCountBuckets: defaults.circuitBreaker.rollingCountBuckets
+        rollingCountBuckets: defaults.circuitBreaker.rollingCountBuckets,
+        volumeThreshold: parseIntEnv(
+            'CIRCUIT_BREAKER_VOLUME_THRESHOLD',
+            defaults.circuitBreaker.volumeThreshold,
+            { min: 0 }
+        )
     }),
 
     // Health checking
@@ -1,10 +1,148 @@
 const fs = require('fs');
 const yaml = require('js-yaml');
 const { buildRouter } = require('./routeBuilder');
+const { validateGatewayConfig, escapePointer } = require('./configSchema');
+const { ConfigurationError } = require('./errors');
 const logger = require('./logger');
 
+// Most recent load/reload failure, reported by /health until a load succeeds
+let lastLoadError = null;
+
+/**
+ * Parses YAML and records the line/column of every key and array item
+ * Uses the js-yaml listener, whose open/close events nest like the document:
+ * mapping children alternate key, value; wrapper nodes resolve to the same
+ * object as their only child.
+ * @private
+ * @param {string} source - YAML document
+ * @returns {{config: *, positions: Map<string, {line: number, column: number}>}}
+ */
+const parseYaml = (source) => {
+    const root = { children: [] };
+    const stack = [root];
+
+    const config = yaml.load(source, {
+        listener(event, state) {
+            if (event === 'open') {
+                const node = {
+                    line: state.line + 1,
+                    column: state.position - state.lineStart + 1,
+                    children: []
+                };
+                stack[stack.length - 1].children.push(node);
+                stack.push(node);
+            } else {
+                stack.pop().result = state.result;
+            }
+        }
+    });
+
+    const positions = new Map();
+    const walk = (node, pointer) => {
+        while (
+            node.children.length === 1 &&
+            node.children[0].result === node.result &&
+            node.result !== null &&
+            typeof node.result === 'object'
+        ) {
+            node = node.children[0];
+        }
+
+        if (Array.isArray(node.result)) {
+            node.children.forEach((child, i) => {
+                positions.set(`${pointer}/${i}`, { line: child.line, column: child.column });
+                walk(child, `${pointer}/${i}`);
+            });
+        } else if (node.result !== null && typeof node.result === 'object') {
+            for (let i = 0; i + 1 < node.children.length; i += 2) {
+                const key = node.children[i];
+                const keyPointer = `${pointer}/${escapePointer(key.result)}`;
+                positions.set(keyPointer, { line: key.line, column: key.column });
+                walk(node.children[i + 1], keyPointer);
+            }
+        }
+    };
+
+    if (root.children[0]) {
+        positions.set('', { line: 1, column: 1 });
+        walk(root.children[0], '');
+    }
+
+    return { config, positions };
+};
+
+/**
+ * Resolves the YAML position of a JSON pointer, falling back to the
+ * nearest ancestor (e.g. a missing key is reported at its parent)
+ * @private
+ * @param {Map} positions - Positions from parseYaml
+ * @param {string} pointer - JSON pointer
+ * @returns {{line: number, column: number}|null}
+ */
+const findPosition = (positions, pointer) => {
+    let current = pointer;
+    while (!positions.has(current) && current !== '') {
+        current = current.slice(0, current.lastIndexOf('/'));
+    }
+    return positions.get(current) || null;
+};
+
+/**
+ * Records a failed load so it can be reported by /health
+ * @private
+ * @param {string} configPath
+ * @param {Error} err
+ */
+const recordLoadError = (configPath, err) => {
+    lastLoadError = {
+        configPath,
+        message: err.message,
+        ...(err.details && err.details.errors ? { errors: err.details.errors } : {}),
+        timestamp: new Date().toISOString()
+    };
+};
+
+/**
+ * Merges the top-level `defaults` block into a route
+ * Route values take precedence and replace the default as a whole, except
+ * plugins, which are merged by name so a route can disable or reconfigure
+ * an inherited plugin (e.g. `{ name: central-auth, enabled: false }`).
+ * `retries` and `maxRetries` are one setting, so a route setting either
+ * replaces both defaults.
+ * @private
+ * @param {object} defaults - Top-level defaults
+ * @param {object} route - Route configuration
+ * @returns {object} - Route with defaults applied
+ */
+const applyDefaults = (defaults, route) => {
+    const merged = { ...defaults, ...route };
+
+    if (route.maxRetries !== undefined || route.retries !== undefined) {
+        for (const key of ['maxRetries', 'retries']) {
+            if (route[key] === undefined) {
+                delete merged[key];
+            }
+        }
+    }
+
+    if (Array.isArray(defaults.plugins)) {
+        const routePlugins = route.plugins || [];
+        const inherited = defaults.plugins.map((plugin) => {
+            const override = routePlugins.find((p) => p.name === plugin.name);
+            return override ? { ...plugin, ...override } : plugin;
+        });
+        const inheritedNames = new Set(defaults.plugins.map((plugin) => plugin.name));
+        merged.plugins = inherited.concat(
+            routePlugins.filter((plugin) => !inheritedNames.has(plugin.name))
+        );
+    }
+
+    return merged;
+};
+
 /**
  * Loads and parses the gateway.yaml configuration file
+ * Routes in the result already have the `defaults` block applied.
  * @param {string} configPath - Path to the gateway.yaml file
  * @returns {object|null} - Parsed configuration object or null on error
  */
@@ -22,23 +160,41 @@ const loadConfigFile = (configPath = './gateway.yaml') => {
             throw new Error('Configuration file is empty');
         }
 
-        const config = yaml.load(fileContents);
+        const { config, positions } = parseYaml(fileContents);
 
         // Validate config structure
         if (!config || typeof config !== 'object') {
             throw new Error('Invalid configuration: must be an object');
         }
 
-        if (!config.routes || !Array.isArray(config.routes)) {
-            throw new Error('Invalid configuration: routes must be an array');
+        const errors = validateGatewayConfig(config).map(({ pointer, message }) => ({
+            path: pointer,
+            ...findPosition(positions, pointer),
+            message
+        }));
+        if (errors.length > 0) {
+            throw new ConfigurationError(
+                `Invalid configuration: ${errors
+                    .map(
+                        (e) => `${e.path || '/'} (line ${e.line}, column ${e.column}): ${e.message}`
+                    )
+                    .join('; ')}`,
+                { errors }
+            );
         }
 
         if (config.routes.length === 0) {
             logger.warn('Configuration has no routes defined', { configPath });
         }
 
+        if (config.defaults) {
+            config.routes = config.routes.map((route) => applyDefaults(config.defaults, route));
+        }
+
         return config;
     } catch (err) {
+        recordLoadError(configPath, err);
+
         // Distinguish between file system errors and parsing errors
         if (err.code === 'ENOENT') {
             logger.error('Config file not found', { configPath, code: err.code });
@@ -50,6 +206,11 @@ const loadConfigFile = (configPath = './gateway.yaml') => {
                 error: err.message,
                 stack: err.stack
             });
+        } else if (err instanceof ConfigurationError) {
+            logger.error('Config file failed schema validation', {
+                configPath,
+                errors: err.details.errors
+            });
         } else {
             logger.error('Failed to load config file', {
                 configPath,
@@ -77,6 +238,7 @@ const loadConfig = (configPath = './gateway.yaml') => {
 
     try {
         const router = buildRouter(config.routes);
+        lastLoadError = null;
         logger.info('Configuration reloaded successfully', {
             configPath,
             routeCount: config.routes.length,
@@ -84,6 +246,7 @@ const loadConfig = (configPath = './gateway.yaml') => {
         });
         return router;
     } catch (err) {
+        recordLoadError(configPath, err);
         logger.error('Failed to build routes', {
             error: err.message,
             stack: err.stack,
@@ -93,7 +256,15 @@ const loadConfig = (configPath = './gateway.yaml') => {
     }
 };
 
+/**
+ * Returns the most recent configuration load failure
+ * Cleared once a configuration loads and builds successfully.
+ * @returns {object|null} - { configPath, message, errors?, timestamp } or null
+ */
+const getLastLoadError = () => lastLoadError;
+
 module.exports = {
     loadConfig,
-    loadConfigFile
+    loadConfigFile,
+    getLastLoadError
 };
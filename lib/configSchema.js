@@ -0,0 +1,434 @@
+/**
+ * gateway.yaml Schema
+ *
+ * A small JSON-Schema-like description of the configuration file and a
+ * validator that reports every problem with a JSON-pointer path. Supported
+ * keywords: type, enum, minimum, maximum, pattern, properties, required,
+ * additionalProperties, items, anyOf and check (custom semantic validation).
+ *
+ * @module lib/configSchema
+ */
+
+const http = require('http');
+const loadBalancer = require('./loadBalancer');
+const { createKeyGenerator } = require('../middleware/rateLimiter');
+const { parseBodyParserSetting } = require('../middleware/bodyParser');
+const { parseByteSize } = require('../middleware/bodyLimit');
+
+/**
+ * Wraps a throwing validator so it reports the error message instead
+ * @private
+ * @param {Function} fn - Validator that throws on invalid input
+ * @returns {Function} - (value) => error message or null
+ */
+const throwsToMessage = (fn) => (value) => {
+    try {
+        fn(value);
+        return null;
+    } catch (err) {
+        return err.message;
+    }
+};
+
+const upstreamEntrySchema = {
+    anyOf: [
+        { type: 'string' },
+        {
+            type: 'object',
+            properties: {
+                url: { type: 'string' },
+                weight: { type: 'integer', minimum: 0 }
+            },
+            required: ['url'],
+            additionalProperties: false
+        }
+    ]
+};
+
+const upstreamSchema = {
+    anyOf: [{ type: 'string' }, { type: 'array', items: upstreamEntrySchema }],
+    check: throwsToMessage((value) => loadBalancer.parseUpstreams(value))
+};
+
+const rateLimitSchema = {
+    type: 'object',
+    properties: {
+        windowMs: { type: 'integer', minimum: 1 },
+        max: { type: 'integer', minimum: 1 },
+        message: { type: 'string' },
+        keyBy: { anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }] },
+        apiKeyHeader: { type: 'string' }
+    },
+    required: ['windowMs', 'max'],
+    additionalProperties: false,
+    check: throwsToMessage((value) =>
+        createKeyGenerator(value.keyBy, { apiKeyHeader: value.apiKeyHeader })
+    )
+};
+
+const pluginSchema = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', pattern: '^[A-Za-z0-9_-]+$' },
+        enabled: { type: 'boolean' },
+        options: {
+            type: 'object',
+            properties: { enabled: { type: 'boolean' } },
+            additionalProperties: true
+        }
+    },
+    required: ['name'],
+    // Remaining keys are plugin-specific parameters
+    additionalProperties: true
+};
+
+// Settings a route may set itself or inherit from the top-level `defaults` block
+const routeSettings = {
+    healthPath: { type: 'string', pattern: '^/' },
+    methods: {
+        type: 'array',
+        items: {
+            type: 'string',
+            check: (value) =>
+                http.METHODS.includes(value.toUpperCase()) ? null : `unknown HTTP method "${value}"`
+        }
+    },
+    timeout: { type: 'integer', minimum: 1 },
+    timeouts: {
+        type: 'object',
+        properties: {
+            connect: { type: 'integer', minimum: 1 },
+            firstByte: { type: 'integer', minimum: 1 },
+            idle: { type: 'integer', minimum: 1 }
+        },
+        additionalProperties: false
+    },
+    retry: {
+        anyOf: [
+            { type: 'boolean' },
+            {
+                type: 'object',
+                properties: {
+                    maxRetries: { type: 'integer', minimum: 0, maximum: 10 },
+                    statuses: {
+                        type: 'array',
+                        items: { type: 'integer', minimum: 500, maximum: 599 }
+                    },
+                    maxRetryTime: { type: 'integer', minimum: 1 },
+                    initialDelay: { type: 'integer', minimum: 1 },
+                    maxDelay: { type: 'integer', minimum: 1 },
+                    factor: { type: 'integer', minimum: 1 },
+                    budget: {
+                        anyOf: [
+                            { type: 'boolean', enum: [false] },
+                            {
+                                type: 'object',
+                                properties: {
+                                    percent: { type: 'integer', minimum: 0, maximum: 100 },
+                                    windowMs: { type: 'integer', minimum: 1000 },
+                                    minRetries: { type: 'integer', minimum: 0 }
+                                },
+                                additionalProperties: false
+                            }
+                        ]
+                    }
+                },
+                additionalProperties: false
+            }
+        ]
+    },
+    maxRetries: { type: 'integer', minimum: 0, maximum: 10 },
+    // Alias of maxRetries
+    retries: { type: 'integer', minimum: 0, maximum: 10 },
+    hedge: {
+        type: 'object',
+        properties: {
+            delay: {
+                anyOf: [
+                    { type: 'integer', minimum: 1 },
+                    { type: 'string', pattern: '^p([1-9][0-9]?)$' }
+                ]
+            }
+        },
+        required: ['delay'],
+        additionalProperties: false
+    },
+    circuitBreaker: {
+        anyOf: [
+            { type: 'boolean' },
+            {
+                type: 'object',
+                properties: {
+                    enabled: { type: 'boolean' },
+                    errorThresholdPercentage: { type: 'integer', minimum: 1, maximum: 100 },
+                    volumeThreshold: { type: 'integer', minimum: 0 },
+                    resetTimeout: { type: 'integer', minimum: 1 },
+                    rollingCountTimeout: { type: 'integer', minimum: 1000 }
+                },
+                additionalProperties: false
+            }
+        ]
+    },
+    loadBalanceStrategy: { type: 'string', enum: Object.values(loadBalancer.strategies) },
+    hashOn: {
+        type: 'string',
+        check: throwsToMessage((value) => loadBalancer.createHashKeyResolver(value))
+    },
+    affinityCookie: {
+        anyOf: [
+            { type: 'string' },
+            {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    maxAge: { type: 'integer', minimum: 1 }
+                },
+                required: ['name'],
+                additionalProperties: false
+            }
+        ]
+    },
+    rateLimit: rateLimitSchema,
+    maxBodySize: {
+        anyOf: [{ type: 'integer', minimum: 1 }, { type: 'string' }],
+        check: throwsToMessage(parseByteSize)
+    },
+    bodyParser: {
+        anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }],
+        check: throwsToMessage(parseBodyParserSetting)
+    },
+    plugins: { type: 'array', items: pluginSchema }
+};
+
+const routeSchema = {
+    type: 'object',
+    properties: {
+        path: { type: 'string', pattern: '^/' },
+        upstream: upstreamSchema,
+        upstreams: upstreamSchema,
+        ...routeSettings
+    },
+    required: ['path'],
+    additionalProperties: false,
+    check: (route) => {
+        if (route.upstream !== undefined && route.upstreams !== undefined) {
+            return 'only one of "upstream" or "upstreams" may be set';
+        }
+        if (route.upstream === undefined && route.upstreams === undefined) {
+            return 'must have "upstream" or "upstreams"';
+        }
+        return null;
+    }
+};
+
+const gatewaySchema = {
+    type: 'object',
+    properties: {
+        version: { type: ['string', 'number'] },
+        defaults: { type: 'object', properties: routeSettings, additionalProperties: false },
+        routes: { type: 'array', items: routeSchema }
+    },
+    required: ['routes'],
+    additionalProperties: false
+};
+
+/**
+ * Returns the schema type name of a value
+ * @private
+ * @param {*} value
+ * @returns {string}
+ */
+const typeOf = (value) => {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    return typeof value;
+};
+
+/**
+ * Checks a value against a schema type name
+ * @private
+ * @param {*} value
+ * @param {string} type
+ * @returns {boolean}
+ */
+const matchesType = (value, type) => {
+    if (type === 'integer') {
+        return Number.isInteger(value);
+    }
+    if (type === 'number') {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+    return typeOf(value) === type;
+};
+
+/**
+ * Escapes a key for use as a JSON-pointer segment (RFC 6901)
+ * @param {string|number} key
+ * @returns {string}
+ */
+const escapePointer = (key) => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+
+/**
+ * Levenshtein distance between two strings
+ * @private
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const editDistance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+/**
+ * Finds the closest known key for an unknown one, for "did you mean" hints
+ * @private
+ * @param {string} key - Unknown key
+ * @param {string[]} known - Keys allowed at this position
+ * @returns {string|null}
+ */
+const suggestKey = (key, known) => {
+    const lower = key.toLowerCase();
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (const candidate of known) {
+        const candidateLower = candidate.toLowerCase();
+        const distance = editDistance(lower, candidateLower);
+        const sharesPrefix =
+            lower.length >= 4 &&
+            (candidateLower.startsWith(lower.slice(0, 4)) ||
+                lower.startsWith(candidateLower.slice(0, 4)));
+
+        if ((distance <= 2 || sharesPrefix) && distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+
+    return best;
+};
+
+/**
+ * Validates a value against a schema node, collecting errors
+ * @private
+ * @param {*} value - Value to validate
+ * @param {object} schema - Schema node
+ * @param {string} pointer - JSON pointer of the value
+ * @param {Array} errors - Accumulator of { pointer, message }
+ */
+const validateNode = (value, schema, pointer, errors) => {
+    if (schema.anyOf) {
+        const branches = schema.anyOf.filter((branch) =>
+            [].concat(branch.type).some((type) => matchesType(value, type))
+        );
+        if (branches.length === 0) {
+            const types = schema.anyOf.map((branch) => branch.type).join(' or ');
+            errors.push({ pointer, message: `must be ${types}, got ${typeOf(value)}` });
+            return;
+        }
+        const before = errors.length;
+        validateNode(value, branches[0], pointer, errors);
+        if (errors.length > before) {
+            return;
+        }
+    }
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some((type) => matchesType(value, type))) {
+            errors.push({
+                pointer,
+                message: `must be ${types.join(' or ')}, got ${typeOf(value)}`
+            });
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ pointer, message: `must be one of: ${schema.enum.join(', ')}` });
+        return;
+    }
+
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ pointer, message: `must be >= ${schema.minimum}` });
+        return;
+    }
+
+    if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push({ pointer, message: `must be <= ${schema.maximum}` });
+        return;
+    }
+
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push({ pointer, message: `must match ${schema.pattern}` });
+        return;
+    }
+
+    const before = errors.length;
+
+    if (schema.items && Array.isArray(value)) {
+        value.forEach((item, i) => validateNode(item, schema.items, `${pointer}/${i}`, errors));
+    }
+
+    if (schema.properties && typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push({ pointer, message: `missing required key "${key}"` });
+            }
+        }
+
+        const known = Object.keys(schema.properties);
+        for (const [key, child] of Object.entries(value)) {
+            const childPointer = `${pointer}/${escapePointer(key)}`;
+            if (schema.properties[key]) {
+                validateNode(child, schema.properties[key], childPointer, errors);
+            } else if (schema.additionalProperties === false) {
+                const suggestion = suggestKey(key, known);
+                errors.push({
+                    pointer: childPointer,
+                    message: suggestion
+                        ? `unknown key "${key}" (did you mean "${suggestion}"?)`
+                        : `unknown key "${key}"`
+                });
+            }
+        }
+    }
+
+    // Semantic checks only run once the structure below is known to be sound
+    if (schema.check && errors.length === before) {
+        const message = schema.check(value);
+        if (message) {
+            errors.push({ pointer, message });
+        }
+    }
+};
+
+/**
+ * Validates a parsed gateway.yaml document
+ * @param {object} config - Parsed configuration
+ * @returns {Array<{pointer: string, message: string}>} - Validation errors (empty when valid)
+ */
+const validateGatewayConfig = (config) => {
+    const errors = [];
+    validateNode(config, gatewaySchema, '', errors);
+    return errors;
+};
+
+module.exports = {
+    gatewaySchema,
+    validateGatewayConfig,
+    escapePointer
+};
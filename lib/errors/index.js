@@ -98,6 +98,15 @@ class RequestTimeoutError extends GatewayError {
     }
 }
 
+/**
+ * 413 Payload Too Large - Request body exceeds the allowed size
+ */
+class PayloadTooLargeError extends GatewayError {
+    constructor(message = 'Payload Too Large', details = {}) {
+        super(message, 413, 'PAYLOAD_TOO_LARGE', details);
+    }
+}
+
 /**
  * 429 Too Many Requests - Rate limit exceeded
  */
@@ -196,6 +205,7 @@ module.exports = {
     ForbiddenError,
     NotFoundError,
     RequestTimeoutError,
+    PayloadTooLargeError,
     RateLimitError,
     BadGatewayError,
     ServiceUnavailableError,
@@ -0,0 +1,123 @@
+/**
+ * Request Hedging
+ *
+ * Settings and latency tracking for hedged requests: when an upstream has not
+ * answered within the hedge delay, the proxy sends the same request to a
+ * second upstream and forwards whichever responds first. The delay is fixed
+ * or follows a percentile of the route's recent response times.
+ *
+ * @module lib/hedging
+ */
+
+/** Methods that may be hedged; an Idempotency-Key does not make two concurrent calls safe */
+const HEDGEABLE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/** Response times kept per route for percentile delays */
+const LATENCY_SAMPLES = 200;
+
+/** Samples needed before a percentile delay is trusted (no hedging until then) */
+const MIN_LATENCY_SAMPLES = 20;
+
+const PERCENTILE_PATTERN = /^p([1-9][0-9]?)$/;
+
+/**
+ * Rolling record of recent response times
+ */
+class LatencyWindow {
+    /**
+     * @param {number} [size=200] - Samples kept
+     */
+    constructor(size = LATENCY_SAMPLES) {
+        this.size = size;
+        this.samples = [];
+        this.next = 0;
+    }
+
+    /**
+     * Record a response time
+     * @param {number} ms
+     */
+    record(ms) {
+        if (this.samples.length < this.size) {
+            this.samples.push(ms);
+        } else {
+            this.samples[this.next] = ms;
+        }
+        this.next = (this.next + 1) % this.size;
+    }
+
+    /**
+     * Get a percentile of the recorded response times
+     * @param {number} percentile - 1 to 99
+     * @returns {number|null} Null until enough samples are recorded
+     */
+    percentile(percentile) {
+        if (this.samples.length < MIN_LATENCY_SAMPLES) {
+            return null;
+        }
+        const sorted = [...this.samples].sort((a, b) => a - b);
+        return sorted[Math.min(Math.ceil((percentile / 100) * sorted.length), sorted.length) - 1];
+    }
+}
+
+/**
+ * Validate a route's `hedge` setting
+ * @param {*} hedge
+ * @throws {Error} If it is not `{ delay }` with milliseconds or a percentile such as 'p95'
+ */
+const validateHedgePolicy = (hedge) => {
+    if (!hedge || typeof hedge !== 'object' || Array.isArray(hedge)) {
+        throw new Error('hedge must be an object');
+    }
+    for (const key of Object.keys(hedge)) {
+        if (key !== 'delay') {
+            throw new Error(`Unknown hedge setting "${key}" (expected delay)`);
+        }
+    }
+    const { delay } = hedge;
+    if (!(Number.isInteger(delay) && delay > 0) && !PERCENTILE_PATTERN.test(delay)) {
+        throw new Error(
+            'hedge.delay must be a positive integer (milliseconds) or a percentile like p95'
+        );
+    }
+};
+
+/**
+ * Resolve a route's hedging policy
+ * @param {object} [hedge] - Route `hedge` block
+ * @returns {{delay: number|null, percentile: number|null}|null} Null when hedging is off
+ */
+const resolveHedgePolicy = (hedge) => {
+    if (!hedge) {
+        return null;
+    }
+    const match = PERCENTILE_PATTERN.exec(hedge.delay);
+    return match
+        ? { delay: null, percentile: Number(match[1]) }
+        : { delay: hedge.delay, percentile: null };
+};
+
+/**
+ * Get the delay after which a request is hedged
+ * @param {{delay: number|null, percentile: number|null}} policy
+ * @param {LatencyWindow} latencies - The route's response times
+ * @returns {number|null} Milliseconds, or null to not hedge
+ */
+const getHedgeDelay = (policy, latencies) =>
+    policy.percentile ? latencies.percentile(policy.percentile) : policy.delay;
+
+/**
+ * Whether a request may be hedged
+ * @param {express.Request} req
+ * @returns {boolean}
+ */
+const isHedgeable = (req) => HEDGEABLE_METHODS.includes(req.method);
+
+module.exports = {
+    HEDGEABLE_METHODS,
+    LatencyWindow,
+    validateHedgePolicy,
+    resolveHedgePolicy,
+    getHedgeDelay,
+    isHedgeable
+};
@@ -16,12 +16,23 @@ module.exports = {
 
     // Core modules
     circuitBreaker: require('./circuitBreaker'),
+    circuitBreakerPolicy: require('./circuitBreakerPolicy'),
     retry: require('./retry'),
+    retryPolicy: require('./retryPolicy'),
+    retryBudget: require('./retryBudget'),
+    hedging: require('./hedging'),
     loadBalancer: require('./loadBalancer'),
+    pathMatcher: require('./pathMatcher'),
+    jwt: require('./jwt'),
+    authorization: require('./authorization'),
     upstreamHealth: require('./upstreamHealth'),
+    upstreamTimeouts: require('./upstreamTimeouts'),
+    TtlCache: require('./ttlCache'),
+    rawBody: require('./rawBody'),
 
     // Route building
     configLoader: require('./configLoader'),
+    configSchema: require('./configSchema'),
     routeBuilder: require('./routeBuilder'),
     pluginLoader: require('./pluginLoader'),
 
@@ -0,0 +1,347 @@
+/**
+ * JWT Verification
+ *
+ * Local verification of RS256, ES256 and HS256 tokens against a JWKS
+ * (file or endpoint) or a shared secret. Keys are cached and re-fetched
+ * when a token references an unknown `kid`, so key rotation is picked up
+ * without a restart.
+ *
+ * Invalid tokens throw UnauthorizedError (details.reason says why);
+ * unobtainable keys throw ServiceUnavailableError.
+ *
+ * @module lib/jwt
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+const logger = require('./logger');
+const { UnauthorizedError, ServiceUnavailableError } = require('./errors');
+
+/** Supported algorithms and the key type each one requires */
+const ALGORITHMS = {
+    RS256: { kty: 'RSA' },
+    ES256: { kty: 'EC', crv: 'P-256' },
+    HS256: { kty: 'oct' }
+};
+
+/**
+ * Decodes a base64url JSON segment
+ * @private
+ */
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+/**
+ * Splits and decodes a compact JWT without verifying it
+ * @param {string} token
+ * @returns {{header: object, payload: object, signingInput: string, signature: Buffer}}
+ * @throws {UnauthorizedError} If the token is not a well-formed JWT
+ */
+const decodeJwt = (token) => {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+        throw new UnauthorizedError('Malformed token', { reason: 'malformed' });
+    }
+
+    try {
+        const header = decodeSegment(parts[0]);
+        const payload = decodeSegment(parts[1]);
+        if (!header || typeof header !== 'object' || !payload || typeof payload !== 'object') {
+            throw new Error('not an object');
+        }
+        return {
+            header,
+            payload,
+            signingInput: `${parts[0]}.${parts[1]}`,
+            signature: Buffer.from(parts[2], 'base64url')
+        };
+    } catch {
+        throw new UnauthorizedError('Malformed token', { reason: 'malformed' });
+    }
+};
+
+/**
+ * Checks a JWT signature with a key object
+ * @private
+ * @returns {boolean}
+ */
+const verifySignature = (alg, signingInput, signature, key) => {
+    if (alg === 'HS256') {
+        const expected = crypto.createHmac('sha256', key).update(signingInput).digest();
+        return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    }
+    const verifyKey = alg === 'ES256' ? { key, dsaEncoding: 'ieee-p1363' } : key;
+    try {
+        return crypto.verify('sha256', Buffer.from(signingInput), verifyKey, signature);
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Key cache for a JSON Web Key Set
+ */
+class JwksKeyStore {
+    /**
+     * @param {object} options
+     * @param {string} [options.jwksUri] - JWKS endpoint
+     * @param {string} [options.jwksFile] - Path to a JWKS file
+     * @param {number} [options.cacheTtlMs=600000] - Refresh keys at least this often
+     * @param {number} [options.minRefreshIntervalMs=30000] - Minimum gap between refreshes
+     *   triggered by unknown key ids (limits refetching on forged tokens), and between
+     *   attempts while no key set has loaded
+     * @param {number} [options.timeoutMs=5000] - JWKS endpoint timeout
+     */
+    constructor({
+        jwksUri,
+        jwksFile,
+        cacheTtlMs = 600000,
+        minRefreshIntervalMs = 30000,
+        timeoutMs = 5000
+    }) {
+        this.jwksUri = jwksUri;
+        this.jwksFile = jwksFile;
+        this.cacheTtlMs = cacheTtlMs;
+        this.minRefreshIntervalMs = minRefreshIntervalMs;
+        this.timeoutMs = timeoutMs;
+        /** @type {Array<{kid: string|undefined, alg: string|undefined, kty: string, crv: string|undefined, key: crypto.KeyObject}>|null} */
+        this.keys = null;
+        this.lastRefresh = 0;
+        this.pendingRefresh = null;
+    }
+
+    /**
+     * Get the keys that may verify a token
+     * @param {string|undefined} kid - Key id from the token header
+     * @param {string} alg - Token algorithm
+     * @returns {Promise<crypto.KeyObject[]>}
+     * @throws {UnauthorizedError} If no key matches
+     * @throws {ServiceUnavailableError} If the key set cannot be loaded
+     */
+    async getKeys(kid, alg) {
+        if (!this.keys) {
+            // Without keys every request would refetch; a failed load is retried after the interval
+            if (
+                !this.pendingRefresh &&
+                this.lastRefresh > 0 &&
+                Date.now() - this.lastRefresh < this.minRefreshIntervalMs
+            ) {
+                throw new ServiceUnavailableError('Signing keys are unavailable', {
+                    reason: 'jwks_unavailable'
+                });
+            }
+            await this.refresh();
+        } else if (Date.now() - this.lastRefresh >= this.cacheTtlMs) {
+            await this.refresh();
+        }
+
+        let keys = this._findKeys(kid, alg);
+        if (keys.length === 0 && Date.now() - this.lastRefresh >= this.minRefreshIntervalMs) {
+            // Possibly a rotated key
+            await this.refresh();
+            keys = this._findKeys(kid, alg);
+        }
+
+        if (keys.length === 0) {
+            throw new UnauthorizedError('Unknown signing key', { reason: 'unknown_key' });
+        }
+        return keys;
+    }
+
+    /**
+     * Reload the key set; concurrent callers share one load
+     * Keeps serving the previous keys if a reload fails.
+     * @returns {Promise<void>}
+     */
+    refresh() {
+        if (!this.pendingRefresh) {
+            this.pendingRefresh = this._load()
+                .then((keys) => {
+                    this.keys = keys;
+                })
+                .catch((error) => {
+                    logger.warn('Failed to load JWKS', {
+                        source: this.jwksUri || this.jwksFile,
+                        error: error.message
+                    });
+                    if (!this.keys) {
+                        throw new ServiceUnavailableError('Signing keys are unavailable', {
+                            reason: 'jwks_unavailable'
+                        });
+                    }
+                })
+                .finally(() => {
+                    this.lastRefresh = Date.now();
+                    this.pendingRefresh = null;
+                });
+        }
+        return this.pendingRefresh;
+    }
+
+    /**
+     * Fetch and parse the key set
+     * @private
+     */
+    async _load() {
+        const jwks = this.jwksUri
+            ? (await axios.get(this.jwksUri, { timeout: this.timeoutMs })).data
+            : JSON.parse(await fs.promises.readFile(this.jwksFile, 'utf8'));
+
+        if (!jwks || !Array.isArray(jwks.keys)) {
+            throw new Error('JWKS must contain a "keys" array');
+        }
+
+        const keys = [];
+        for (const jwk of jwks.keys) {
+            if (jwk.use && jwk.use !== 'sig') {
+                continue;
+            }
+            try {
+                keys.push({
+                    kid: jwk.kid,
+                    alg: jwk.alg,
+                    kty: jwk.kty,
+                    crv: jwk.crv,
+                    key:
+                        jwk.kty === 'oct'
+                            ? crypto.createSecretKey(Buffer.from(jwk.k, 'base64url'))
+                            : crypto.createPublicKey({ key: jwk, format: 'jwk' })
+                });
+            } catch (error) {
+                logger.warn('Skipping unusable JWK', { kid: jwk.kid, error: error.message });
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * Keys matching the token's kid (if any) and compatible with its algorithm
+     * @private
+     */
+    _findKeys(kid, alg) {
+        const required = ALGORITHMS[alg];
+        return (this.keys || [])
+            .filter(
+                (entry) =>
+                    (kid === undefined || entry.kid === kid) &&
+                    (entry.alg === undefined || entry.alg === alg) &&
+                    entry.kty === required.kty &&
+                    (required.crv === undefined || entry.crv === required.crv)
+            )
+            .map((entry) => entry.key);
+    }
+}
+
+/**
+ * Create a JWT verifier
+ * @param {object} options
+ * @param {string} [options.jwksUri] - JWKS endpoint
+ * @param {string} [options.jwksFile] - JWKS file
+ * @param {string} [options.secretEnv] - Environment variable holding an HS256 secret
+ * @param {string[]} [options.algorithms=['RS256', 'ES256']] - Accepted algorithms
+ * @param {string|string[]} [options.issuer] - Required `iss`
+ * @param {string|string[]} [options.audience] - Required `aud` (any of)
+ * @param {number} [options.clockToleranceSec=30] - Allowed clock skew for exp/nbf
+ * @param {number} [options.jwksCacheTtlMs] - See JwksKeyStore cacheTtlMs
+ * @returns {{verify: function(string): Promise<object>}} - verify resolves to the claims
+ * @throws {Error} If the options are invalid
+ */
+const createJwtVerifier = (options = {}) => {
+    const {
+        jwksUri,
+        jwksFile,
+        secretEnv,
+        algorithms = ['RS256', 'ES256'],
+        issuer,
+        audience,
+        clockToleranceSec = 30,
+        jwksCacheTtlMs
+    } = options;
+
+    if (!Array.isArray(algorithms) || algorithms.length === 0) {
+        throw new Error('jwt.algorithms must be a non-empty array');
+    }
+    for (const alg of algorithms) {
+        if (!ALGORITHMS[alg]) {
+            throw new Error(`Unsupported JWT algorithm "${alg}" (use RS256, ES256 or HS256)`);
+        }
+    }
+
+    let secret = null;
+    if (secretEnv) {
+        if (!process.env[secretEnv]) {
+            throw new Error(`jwt.secretEnv: environment variable ${secretEnv} is not set`);
+        }
+        secret = crypto.createSecretKey(Buffer.from(process.env[secretEnv], 'utf8'));
+    }
+
+    if (!jwksUri && !jwksFile && !secret) {
+        throw new Error('jwt requires jwksUri, jwksFile or secretEnv');
+    }
+    if (jwksUri && !/^https?:\/\//.test(jwksUri)) {
+        throw new Error('jwt.jwksUri must be a valid HTTP/HTTPS URL');
+    }
+
+    const keyStore =
+        jwksUri || jwksFile
+            ? new JwksKeyStore({ jwksUri, jwksFile, cacheTtlMs: jwksCacheTtlMs })
+            : null;
+    const issuers = issuer === undefined ? null : [].concat(issuer);
+    const audiences = audience === undefined ? null : [].concat(audience);
+
+    const reject = (message, reason) => {
+        throw new UnauthorizedError(message, { reason });
+    };
+
+    const verify = async (token) => {
+        const { header, payload, signingInput, signature } = decodeJwt(token);
+        const alg = header.alg;
+
+        if (!algorithms.includes(alg)) {
+            reject('Token algorithm not allowed', 'algorithm');
+        }
+
+        let keys;
+        if (alg === 'HS256' && secret) {
+            keys = [secret];
+        } else if (keyStore) {
+            keys = await keyStore.getKeys(header.kid, alg);
+        } else {
+            reject('Unknown signing key', 'unknown_key');
+        }
+
+        if (!keys.some((key) => verifySignature(alg, signingInput, signature, key))) {
+            reject('Invalid token signature', 'signature');
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        if (!Number.isFinite(payload.exp)) {
+            reject('Token has no valid expiry', 'exp');
+        }
+        if (now - clockToleranceSec >= payload.exp) {
+            reject('Token expired', 'exp');
+        }
+        if (payload.nbf !== undefined && !Number.isFinite(payload.nbf)) {
+            reject('Token has an invalid nbf', 'nbf');
+        }
+        if (payload.nbf !== undefined && now + clockToleranceSec < payload.nbf) {
+            reject('Token not yet valid', 'nbf');
+        }
+        if (issuers && !issuers.includes(payload.iss)) {
+            reject('Token issuer not accepted', 'iss');
+        }
+        if (audiences && ![].concat(payload.aud).some((aud) => audiences.includes(aud))) {
+            reject('Token audience not accepted', 'aud');
+        }
+
+        return payload;
+    };
+
+    return { verify };
+};
+
+module.exports = {
+    createJwtVerifier,
+    decodeJwt,
+    JwksKeyStore
+};
@@ -1,5 +1,10 @@
+const crypto = require('crypto');
 const logger = require('./logger');
 const upstreamHealthChecker = require('./upstreamHealth');
+const { ConfigurationError } = require('./errors');
+
+/** Virtual nodes per unit of weight on the consistent-hash ring */
+const VIRTUAL_NODES = 40;
 
 /**
  * Enterprise load balancer
@@ -11,26 +16,82 @@ class LoadBalancer {
             ROUND_ROBIN: 'round_robin',
             LEAST_CONNECTIONS: 'least_connections',
             HEALTH_AWARE: 'health_aware',
-            RANDOM: 'random'
+            RANDOM: 'random',
+            WEIGHTED: 'weighted',
+            CONSISTENT_HASH: 'consistent_hash'
+        };
+
+        /** @type {Map<string, number>} In-flight proxied requests per upstream */
+        this.activeConnections = new Map();
+    }
+
+    /**
+     * Mark a request to an upstream as in flight
+     * @param {string} upstream - Upstream URL
+     * @returns {Function} Idempotent release function, call when the request settles
+     */
+    trackRequest(upstream) {
+        this.activeConnections.set(upstream, (this.activeConnections.get(upstream) || 0) + 1);
+
+        let released = false;
+        return () => {
+            if (released) {
+                return;
+            }
+            released = true;
+            this.activeConnections.set(
+                upstream,
+                Math.max((this.activeConnections.get(upstream) || 1) - 1, 0)
+            );
         };
     }
 
+    /**
+     * Get in-flight request count for an upstream
+     * @param {string} upstream - Upstream URL
+     * @returns {number}
+     */
+    getActiveConnections(upstream) {
+        return this.activeConnections.get(upstream) || 0;
+    }
+
+    /**
+     * Get in-flight request counts for all upstreams that have received traffic
+     * @returns {object} Counts keyed by upstream URL
+     */
+    getAllActiveConnections() {
+        return Object.fromEntries(this.activeConnections);
+    }
+
     /**
      * Select an upstream from a list using the specified strategy
      * @param {Array<string>} upstreams - Array of upstream URLs
      * @param {string} strategy - Load balancing strategy
      * @param {object} state - State object for tracking (round-robin index, etc.)
+     * @param {object} [context] - Per-request selection context
+     * @param {string} [context.hashKey] - Key for consistent hashing (user id, session, ...)
      * @returns {string|null} - Selected upstream URL or null if none available
      */
-    selectUpstream(upstreams, strategy = this.strategies.HEALTH_AWARE, state = {}) {
+    selectUpstream(upstreams, strategy = this.strategies.HEALTH_AWARE, state = {}, context = {}) {
         if (!upstreams || upstreams.length === 0) {
             return null;
         }
 
-        // Filter to only healthy upstreams if health-aware
+        // Drop drained upstreams (weight 0) regardless of strategy
         let candidates = upstreams;
-        if (strategy === this.strategies.HEALTH_AWARE) {
-            candidates = upstreams.filter((upstream) => upstreamHealthChecker.isHealthy(upstream));
+        if (state.weights) {
+            candidates = candidates.filter((upstream) => this._getWeight(upstream, state) > 0);
+        }
+
+        // Filter to only healthy upstreams if health-aware
+        if (
+            candidates.length > 0 &&
+            (strategy === this.strategies.HEALTH_AWARE ||
+                strategy === this.strategies.WEIGHTED ||
+                strategy === this.strategies.CONSISTENT_HASH)
+        ) {
+            const all = candidates;
+            candidates = all.filter((upstream) => upstreamHealthChecker.isHealthy(upstream));
 
             // If no healthy upstreams, fall back to all (failover)
             if (candidates.length === 0) {
@@ -38,7 +99,7 @@ class LoadBalancer {
                     upstreams,
                     strategy
                 });
-                candidates = upstreams;
+                candidates = all;
             }
         }
 
@@ -60,6 +121,48 @@ class LoadBalancer {
             case this.strategies.RANDOM:
                 return candidates[Math.floor(Math.random() * candidates.length)];
 
+            case this.strategies.WEIGHTED:
+                return this._selectWeighted(candidates, state);
+
+            case this.strategies.CONSISTENT_HASH: {
+                // Ring covers every configured upstream so unhealthy nodes only shed their own keys
+                if (!state.ring) {
+                    state.ring = this.buildHashRing(upstreams, state.weights);
+                }
+                const selected = this._selectFromRing(state.ring, candidates, context.hashKey);
+                if (selected) {
+                    return selected;
+                }
+                // No key (or no ring point among candidates) - behave like round robin
+                if (!state.index) {
+                    state.index = 0;
+                }
+                const fallback = candidates[state.index % candidates.length];
+                state.index = (state.index + 1) % candidates.length;
+                return fallback;
+            }
+
+            case this.strategies.LEAST_CONNECTIONS: {
+                // Fewest in-flight requests wins; rotate the starting point so ties spread out
+                if (!state.index) {
+                    state.index = 0;
+                }
+                const offset = state.index % candidates.length;
+                state.index = (state.index + 1) % candidates.length;
+
+                let selected = null;
+                let fewest = Infinity;
+                for (let i = 0; i < candidates.length; i++) {
+                    const candidate = candidates[(offset + i) % candidates.length];
+                    const active = this.getActiveConnections(candidate);
+                    if (active < fewest) {
+                        selected = candidate;
+                        fewest = active;
+                    }
+                }
+                return selected;
+            }
+
             case this.strategies.HEALTH_AWARE: {
                 // Prefer healthy, but use round-robin among healthy ones
                 if (!state.index) {
@@ -77,18 +180,302 @@ class LoadBalancer {
     }
 
     /**
-     * Parse upstream configuration (supports single URL or array)
-     * @param {string|Array<string>} upstreamConfig - Upstream configuration
-     * @returns {Array<string>} - Array of upstream URLs
+     * Build a consistent-hash ring with virtual nodes
+     * Nodes get VIRTUAL_NODES points per unit of weight; weight 0 nodes get none.
+     * @param {Array<string>} upstreams - All configured upstream URLs
+     * @param {Map<string, number>|null} [weights] - Optional upstream weights
+     * @returns {Array<{point: number, upstream: string}>} Ring sorted by point
      */
-    parseUpstreams(upstreamConfig) {
-        if (typeof upstreamConfig === 'string') {
-            return [upstreamConfig];
+    buildHashRing(upstreams, weights = null) {
+        const ring = [];
+        for (const upstream of upstreams) {
+            const weight = weights?.get(upstream) ?? 1;
+            for (let i = 0; i < weight * VIRTUAL_NODES; i++) {
+                ring.push({ point: this._hash(`${upstream}#${i}`), upstream });
+            }
+        }
+        return ring.sort((a, b) => a.point - b.point);
+    }
+
+    /**
+     * Walk the ring clockwise from the key's point to the first available node
+     * @private
+     */
+    _selectFromRing(ring, candidates, hashKey) {
+        if (!hashKey || ring.length === 0) {
+            return null;
+        }
+
+        const available = new Set(candidates);
+        const point = this._hash(hashKey);
+
+        // Binary search for first ring point >= key point
+        let low = 0;
+        let high = ring.length;
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (ring[mid].point < point) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+
+        for (let i = 0; i < ring.length; i++) {
+            const node = ring[(low + i) % ring.length];
+            if (available.has(node.upstream)) {
+                return node.upstream;
+            }
         }
-        if (Array.isArray(upstreamConfig)) {
-            return upstreamConfig.filter((u) => typeof u === 'string');
+        return null;
+    }
+
+    /**
+     * 32-bit hash for ring placement
+     * @private
+     */
+    _hash(value) {
+        return crypto.createHash('md5').update(value).digest().readUInt32BE(0);
+    }
+
+    /**
+     * Create a resolver that extracts the consistent-hash key from a request
+     * Missing keys fall back to the client IP.
+     * @param {string} [hashOn='ip'] - `ip`, `user`, `header:<name>` or `cookie:<name>`
+     * @returns {Function} (req) => string
+     * @throws {Error} If the key source is unknown
+     */
+    createHashKeyResolver(hashOn = 'ip') {
+        const clientIp = (req) => req.ip || req.socket?.remoteAddress || '';
+
+        if (hashOn === 'ip') {
+            return clientIp;
+        }
+
+        if (hashOn === 'user') {
+            // Set by central-auth once the token is verified
+            return (req) => req.headers['X-User-Id'] || clientIp(req);
+        }
+
+        if (typeof hashOn === 'string' && hashOn.startsWith('header:')) {
+            const header = hashOn.slice('header:'.length).trim().toLowerCase();
+            if (header) {
+                return (req) => {
+                    const value = req.headers[header];
+                    return typeof value === 'string' && value ? value : clientIp(req);
+                };
+            }
+        }
+
+        if (typeof hashOn === 'string' && hashOn.startsWith('cookie:')) {
+            const cookie = hashOn.slice('cookie:'.length).trim();
+            if (cookie) {
+                return (req) => this.readCookie(req, cookie) || clientIp(req);
+            }
         }
-        return [];
+
+        throw new Error(`Invalid hashOn "${hashOn}": use ip, user, header:<name> or cookie:<name>`);
+    }
+
+    /**
+     * Read a cookie value from the request Cookie header
+     * @param {express.Request} req
+     * @param {string} name - Cookie name
+     * @returns {string|null}
+     */
+    readCookie(req, name) {
+        const header = req.headers.cookie;
+        if (!header) {
+            return null;
+        }
+
+        for (const pair of header.split(';')) {
+            const separator = pair.indexOf('=');
+            if (separator !== -1 && pair.slice(0, separator).trim() === name) {
+                const value = pair.slice(separator + 1).trim();
+                try {
+                    return decodeURIComponent(value) || null;
+                } catch {
+                    return value || null;
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Smooth weighted round robin (nginx-style)
+     * Spreads picks evenly over time, e.g. weights 5/1/1 give a,a,b,a,c,a,a
+     * rather than a,a,a,a,a,b,c.
+     * @private
+     */
+    _selectWeighted(candidates, state) {
+        if (!state.currentWeights) {
+            state.currentWeights = new Map();
+        }
+
+        let total = 0;
+        let selected = null;
+        let selectedWeight = -Infinity;
+
+        for (const candidate of candidates) {
+            const weight = this._getWeight(candidate, state);
+            const current = (state.currentWeights.get(candidate) || 0) + weight;
+            state.currentWeights.set(candidate, current);
+            total += weight;
+
+            if (current > selectedWeight) {
+                selected = candidate;
+                selectedWeight = current;
+            }
+        }
+
+        if (selected) {
+            state.currentWeights.set(selected, selectedWeight - total);
+        }
+        return selected;
+    }
+
+    /**
+     * Get configured weight for an upstream (default 1)
+     * @private
+     */
+    _getWeight(upstream, state) {
+        const weight = state.weights?.get(upstream);
+        return weight === undefined ? 1 : weight;
+    }
+
+    /**
+     * Validate and normalize an upstream URL
+     * Lowercases scheme/host and drops a trailing slash, so `HTTP://Svc:8080/` and
+     * `http://svc:8080` are the same upstream (same health, breaker and metrics keys).
+     * @param {string} rawUrl - URL from gateway.yaml
+     * @returns {string} Normalized URL
+     * @throws {ConfigurationError} If the URL is not an absolute http(s) URL
+     */
+    normalizeUpstreamUrl(rawUrl) {
+        const trimmed = typeof rawUrl === 'string' ? rawUrl.trim() : '';
+        if (!trimmed) {
+            throw new ConfigurationError('Invalid upstream: empty URL', { upstream: rawUrl });
+        }
+
+        let url;
+        try {
+            url = new URL(trimmed);
+        } catch {
+            throw new ConfigurationError(`Invalid upstream URL "${trimmed}"`, {
+                upstream: trimmed
+            });
+        }
+
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            throw new ConfigurationError(
+                `Invalid upstream URL "${trimmed}": protocol must be http or https`,
+                { upstream: trimmed }
+            );
+        }
+        if (url.search || url.hash) {
+            throw new ConfigurationError(
+                `Invalid upstream URL "${trimmed}": query strings and fragments are not allowed`,
+                { upstream: trimmed }
+            );
+        }
+
+        return url.href.replace(/\/+$/, '');
+    }
+
+    /**
+     * Parse upstream configuration into normalized { url, weight } entries
+     * Accepts a URL, a comma-separated list of URLs, or an array of URLs / { url, weight }.
+     * @param {string|Array<string|{url: string, weight?: number}>} upstreamConfig - Upstream configuration
+     * @returns {Array<{url: string, weight: number}>} - Entries (empty if not configured)
+     * @throws {ConfigurationError} If any entry is invalid or duplicated
+     */
+    parseUpstreamEntries(upstreamConfig) {
+        if (upstreamConfig === undefined || upstreamConfig === null) {
+            return [];
+        }
+        if (typeof upstreamConfig !== 'string' && !Array.isArray(upstreamConfig)) {
+            throw new ConfigurationError('Invalid upstream: must be a URL string or an array', {
+                upstream: upstreamConfig
+            });
+        }
+
+        const rawEntries = []
+            .concat(upstreamConfig)
+            .flatMap((entry) => (typeof entry === 'string' ? entry.split(',') : [entry]));
+
+        const entries = [];
+        const seen = new Set();
+        for (const entry of rawEntries) {
+            const parsed = this._parseUpstreamEntry(entry);
+            if (seen.has(parsed.url)) {
+                throw new ConfigurationError(`Duplicate upstream "${parsed.url}"`, {
+                    upstream: parsed.url
+                });
+            }
+            seen.add(parsed.url);
+            entries.push(parsed);
+        }
+        return entries;
+    }
+
+    /**
+     * Normalize a single upstream entry (URL string or { url, weight })
+     * @private
+     * @returns {{url: string, weight: number}}
+     * @throws {ConfigurationError} If the entry is invalid
+     */
+    _parseUpstreamEntry(entry) {
+        if (typeof entry === 'string') {
+            return { url: this.normalizeUpstreamUrl(entry), weight: 1 };
+        }
+
+        if (entry && typeof entry === 'object' && typeof entry.url === 'string') {
+            const weight = entry.weight === undefined ? 1 : entry.weight;
+            if (!Number.isInteger(weight) || weight < 0) {
+                throw new ConfigurationError(
+                    `Invalid weight for upstream "${entry.url}": must be a non-negative integer`,
+                    { upstream: entry }
+                );
+            }
+            return { url: this.normalizeUpstreamUrl(entry.url), weight };
+        }
+
+        throw new ConfigurationError('Invalid upstream entry: expected a URL or { url, weight }', {
+            upstream: entry
+        });
+    }
+
+    /**
+     * Parse upstream configuration (supports single URL, comma-separated URLs or array)
+     * @param {string|Array<string|{url: string, weight?: number}>} upstreamConfig - Upstream configuration
+     * @returns {Array<string>} - Array of normalized upstream URLs
+     * @throws {ConfigurationError} If any entry is invalid or duplicated
+     */
+    parseUpstreams(upstreamConfig) {
+        return this.parseUpstreamEntries(upstreamConfig).map((entry) => entry.url);
+    }
+
+    /**
+     * Parse upstream weights from configuration
+     * @param {string|Array<string|{url: string, weight?: number}>} upstreamConfig - Upstream configuration
+     * @returns {Map<string, number>|null} - Weights keyed by URL, or null if none are configured
+     * @throws {ConfigurationError} If any entry is invalid or duplicated
+     */
+    parseWeights(upstreamConfig) {
+        const hasWeights =
+            Array.isArray(upstreamConfig) &&
+            upstreamConfig.some(
+                (entry) => entry && typeof entry === 'object' && entry.weight !== undefined
+            );
+        if (!hasWeights) {
+            return null;
+        }
+
+        return new Map(
+            this.parseUpstreamEntries(upstreamConfig).map((entry) => [entry.url, entry.weight])
+        );
     }
 }
 
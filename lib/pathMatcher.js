@@ -0,0 +1,179 @@
+/**
+ * Path Matcher
+ *
+ * Glob- and method-aware request matching for plugin configuration
+ * (e.g. central-auth `excludePaths`).
+ *
+ * Rule syntax:
+ *   '/api/public'           the path and everything below it
+ *   '/api/public/**'        same, explicit; `**` spans any number of segments
+ *   '/api/*\/docs'          `*` matches within one segment, `?` one character
+ *   'GET /api/docs'         restrict to methods (comma-separated; GET implies HEAD)
+ *   { path, methods }       object form of the above
+ *
+ * @module lib/pathMatcher
+ */
+
+const http = require('http');
+
+/** Escapes of `.`, `;`, `/` and `\` still present after decoding (double encoding) */
+const UNSAFE_ESCAPE = /%(2e|3b|2f|5c)/i;
+
+/**
+ * Compiles a path glob into a regular expression
+ * Patterns without wildcards match as segment-aligned prefixes.
+ * @param {string} pattern - Path glob starting with '/'
+ * @param {object} [options]
+ * @param {boolean} [options.ignoreCase=false] - Match regardless of case (as Express routes do)
+ * @returns {RegExp}
+ * @throws {Error} If the pattern is not a path
+ */
+const compilePathPattern = (pattern, { ignoreCase = false } = {}) => {
+    if (typeof pattern !== 'string' || !pattern.startsWith('/')) {
+        throw new Error(`Invalid path pattern "${pattern}": must start with "/"`);
+    }
+
+    let glob = pattern.length > 1 ? pattern.replace(/\/+$/, '') : pattern;
+    if (!/[*?]/.test(glob)) {
+        glob = glob === '/' ? '/**' : `${glob}/**`;
+    }
+
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (glob.startsWith('/**', i) && (i + 3 === glob.length || glob[i + 3] === '/')) {
+            // "/**" matches nothing or any number of whole segments
+            source += '(?:/.*)?';
+            i += 2;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${source}$`, ignoreCase ? 'i' : '');
+};
+
+/**
+ * Normalizes a method list, adding HEAD wherever GET is allowed
+ * @private
+ * @param {string[]} methods
+ * @param {string} rule - Rule being parsed (for error messages)
+ * @returns {Set<string>}
+ */
+const parseMethods = (methods, rule) => {
+    const allowed = new Set();
+    for (const method of methods) {
+        const normalized = String(method).trim().toUpperCase();
+        if (!http.METHODS.includes(normalized)) {
+            throw new Error(`Invalid path rule "${rule}": unknown HTTP method "${method}"`);
+        }
+        allowed.add(normalized);
+    }
+    if (allowed.has('GET')) {
+        allowed.add('HEAD');
+    }
+    return allowed;
+};
+
+/**
+ * Parses a rule in string or object form
+ * @param {string|{path: string, methods?: string[]}} rule
+ * @param {object} [options] - Passed to compilePathPattern
+ * @returns {{path: string, methods: Set<string>|null, regex: RegExp}} - methods is null for any method
+ * @throws {Error} If the rule is malformed
+ */
+const parsePathRule = (rule, options) => {
+    if (typeof rule === 'string') {
+        const match = rule.trim().match(/^([A-Za-z,]+)\s+(\S+)$/);
+        const path = match ? match[2] : rule.trim();
+        return {
+            path,
+            methods: match ? parseMethods(match[1].split(','), rule) : null,
+            regex: compilePathPattern(path, options)
+        };
+    }
+
+    if (rule && typeof rule === 'object' && typeof rule.path === 'string') {
+        if (rule.methods !== undefined && !Array.isArray(rule.methods)) {
+            throw new Error(`Invalid path rule for "${rule.path}": methods must be an array`);
+        }
+        return {
+            path: rule.path,
+            methods: rule.methods ? parseMethods(rule.methods, rule.path) : null,
+            regex: compilePathPattern(rule.path, options)
+        };
+    }
+
+    throw new Error('Invalid path rule: expected "[METHODS] /path" or { path, methods }');
+};
+
+/**
+ * Gets the decoded request path used for matching
+ * Returns null when the path cannot be matched safely: undecodable, or with
+ * segments an upstream might resolve outside the match. Those are dot
+ * segments, including `..;` (Tomcat/Spring strip `;` parameters before
+ * resolving `..`), any segment with `;`, empty segments (`//`, which
+ * upstreams may collapse) and escapes left after decoding.
+ * @param {express.Request} req
+ * @returns {string|null}
+ */
+const getRequestPath = (req) => {
+    const rawPath = (req.originalUrl || req.url || '/').split('?')[0];
+
+    let path;
+    try {
+        path = decodeURIComponent(rawPath);
+    } catch {
+        return null;
+    }
+
+    if (UNSAFE_ESCAPE.test(path) || /[/\\]{2}/.test(path)) {
+        return null;
+    }
+    if (
+        path
+            .split(/[/\\]/)
+            .some((segment) => segment === '.' || segment.startsWith('..') || segment.includes(';'))
+    ) {
+        return null;
+    }
+    return path;
+};
+
+/**
+ * Creates a predicate matching requests against a list of rules
+ * @param {Array<string|object>} rules - Rules in any supported form
+ * @returns {Function} - (req) => boolean, true if any rule matches
+ * @throws {Error} If any rule is malformed
+ */
+const createRequestMatcher = (rules = []) => {
+    if (!Array.isArray(rules)) {
+        throw new Error('Path rules must be an array');
+    }
+    const compiled = rules.map((rule) => parsePathRule(rule));
+
+    return (req) => {
+        if (compiled.length === 0) {
+            return false;
+        }
+        const path = getRequestPath(req);
+        if (path === null) {
+            return false;
+        }
+        const method = (req.method || 'GET').toUpperCase();
+        return compiled.some(
+            (rule) => (!rule.methods || rule.methods.has(method)) && rule.regex.test(path)
+        );
+    };
+};
+
+module.exports = {
+    compilePathPattern,
+    parsePathRule,
+    getRequestPath,
+    createRequestMatcher
+};
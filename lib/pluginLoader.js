@@ -64,6 +64,16 @@ const loadPlugin = (pluginName, pluginConfig) => {
     }
 };
 
+/**
+ * Whether a plugin entry is enabled
+ * Like the plugin's other settings, `enabled` may be set on the entry or nested
+ * under `options`, which takes precedence.
+ * @param {object} pluginConfig - Plugin entry from a route
+ * @returns {boolean|undefined} - undefined if the entry sets neither
+ */
+const resolvePluginEnabled = (pluginConfig) =>
+    pluginConfig?.options?.enabled ?? pluginConfig?.enabled;
+
 /**
  * Clears the require cache for all plugin files
  * Optimized: Uses for...of instead of forEach, single regex replace
@@ -84,5 +94,6 @@ const clearPluginCache = () => {
 
 module.exports = {
     loadPlugin,
+    resolvePluginEnabled,
     clearPluginCache
 };
@@ -0,0 +1,125 @@
+/**
+ * Raw Request Body
+ *
+ * Access to the exact bytes of a request body, e.g. for signature checks.
+ * Route body parsers record the bytes they consume (`captureRawBody`);
+ * bodies no parser handled are read from the stream on demand. Once a body
+ * has been consumed, the proxy re-sends these bytes upstream (`restreamBody`).
+ *
+ * @module lib/rawBody
+ */
+
+const { PayloadTooLargeError } = require('./errors');
+
+/** Responses that already carry an interim `100 Continue` */
+const continued = new WeakSet();
+
+/**
+ * Send `100 Continue` if the client is waiting for it before sending the body
+ * The server hands `Expect: 100-continue` requests to the app without
+ * answering them, so the body is only requested once something reads it.
+ * @param {express.Request} req
+ * @param {express.Response} [res=req.res]
+ */
+const sendContinue = (req, res = req.res) => {
+    if (!res || continued.has(res) || res.headersSent) {
+        return;
+    }
+    if (!/^100-continue$/i.test(req.headers.expect || '')) {
+        return;
+    }
+    continued.add(res);
+    res.writeContinue();
+};
+
+/**
+ * body-parser `verify` hook storing the unparsed bytes on `req.rawBody`
+ * @param {express.Request} req
+ * @param {express.Response} res
+ * @param {Buffer} buf
+ */
+const captureRawBody = (req, res, buf) => {
+    req.rawBody = buf;
+    // The parser inflates gzip/deflate bodies, so the kept bytes are no longer encoded
+    delete req.headers['content-encoding'];
+};
+
+/**
+ * Get the raw request body, reading the stream if no parser consumed it
+ * The result is kept on `req.rawBody`.
+ * @param {express.Request} req
+ * @param {object} [options]
+ * @param {number} [options.limit=1048576] - Maximum body size in bytes
+ * @returns {Promise<Buffer>}
+ * @throws {PayloadTooLargeError} If the body exceeds the limit
+ */
+const readRawBody = (req, { limit = 1048576 } = {}) => {
+    if (Buffer.isBuffer(req.rawBody)) {
+        return Promise.resolve(req.rawBody);
+    }
+    if (req._body || req.readableEnded) {
+        // Consumed by a parser that did not record the bytes
+        return Promise.resolve(Buffer.alloc(0));
+    }
+
+    sendContinue(req);
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        const cleanup = () => {
+            req.removeListener('data', onData);
+            req.removeListener('end', onEnd);
+            req.removeListener('error', onError);
+        };
+        const onData = (chunk) => {
+            size += chunk.length;
+            if (size > limit) {
+                cleanup();
+                req.resume();
+                reject(new PayloadTooLargeError('Request body too large', { limit }));
+                return;
+            }
+            chunks.push(chunk);
+        };
+        const onEnd = () => {
+            cleanup();
+            req.rawBody = Buffer.concat(chunks);
+            resolve(req.rawBody);
+        };
+        const onError = (error) => {
+            cleanup();
+            reject(error);
+        };
+
+        req.on('data', onData);
+        req.on('end', onEnd);
+        req.on('error', onError);
+    });
+};
+
+/**
+ * Write a consumed request body to an outgoing proxy request
+ * Call from `onProxyReq`; requests whose stream was not consumed are left to
+ * stream through unchanged.
+ * @param {http.ClientRequest} proxyReq
+ * @param {express.Request} req
+ * @returns {boolean} Whether the body was re-sent
+ */
+const restreamBody = (proxyReq, req) => {
+    if (!Buffer.isBuffer(req.rawBody)) {
+        return false;
+    }
+
+    proxyReq.removeHeader('transfer-encoding');
+    proxyReq.setHeader('content-length', req.rawBody.length);
+    proxyReq.write(req.rawBody);
+    return true;
+};
+
+module.exports = {
+    captureRawBody,
+    readRawBody,
+    restreamBody,
+    sendContinue
+};
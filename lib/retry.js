@@ -16,13 +16,17 @@ const logger = require('./logger');
 class RetryManager {
     /**
      * Execute a function with retry logic
-     * @param {Function} fn - Async function to retry
+     * @param {Function} fn - Async function to retry, called with the attempt number (0-based)
      * @param {object} options - Retry options
      * @param {number} [options.maxRetries] - Maximum retry attempts
      * @param {number} [options.initialDelay] - Initial delay in ms
      * @param {number} [options.maxDelay] - Maximum delay in ms
      * @param {number} [options.factor] - Exponential backoff factor
      * @param {string[]} [options.retryableErrors] - Error codes to retry on
+     * @param {Function} [options.shouldRetry] - (error, attempt) => boolean; replaces the
+     *   retryableErrors check and is only called when attempts and time remain
+     * @param {number|null} [options.maxRetryTime] - Give up once another retry would end
+     *   more than this many ms after the first attempt started
      * @param {Function} [options.onRetry] - Callback on each retry
      * @returns {Promise<*>} Result of function execution
      */
@@ -33,23 +37,34 @@ class RetryManager {
             maxDelay = config.retry.maxDelay,
             factor = config.retry.factor,
             retryableErrors = config.retry.retryableCodes,
+            shouldRetry = null,
+            maxRetryTime = null,
             onRetry = null
         } = options;
 
+        const startedAt = Date.now();
         let lastError;
         let delay = initialDelay;
 
         for (let attempt = 0; attempt <= maxRetries; attempt++) {
             try {
-                return await fn();
+                return await fn(attempt);
             } catch (error) {
                 lastError = error;
 
-                // Check if error is retryable
-                const isRetryable = this._isRetryable(error, retryableErrors);
+                // Don't retry once retries or the total time budget are exhausted
+                if (
+                    attempt >= maxRetries ||
+                    (maxRetryTime !== null && Date.now() - startedAt + delay > maxRetryTime)
+                ) {
+                    throw error;
+                }
 
-                // Don't retry if not retryable or exhausted retries
-                if (!isRetryable || attempt >= maxRetries) {
+                // Check if error is retryable (last, as shouldRetry may reserve a retry budget)
+                const isRetryable = shouldRetry
+                    ? shouldRetry(error, attempt)
+                    : this._isRetryable(error, retryableErrors);
+                if (!isRetryable) {
                     throw error;
                 }
 
@@ -0,0 +1,172 @@
+/**
+ * Retry Budget
+ *
+ * Caps proxy retries at a share of the original traffic over a rolling
+ * window, per route and per upstream, so an upstream brown-out does not
+ * multiply the load the gateway sends it. A small minimum keeps retries
+ * available to low-traffic routes.
+ *
+ * @module lib/retryBudget
+ */
+
+const logger = require('./logger');
+
+/** Buckets per rolling window */
+const WINDOW_BUCKETS = 10;
+
+/**
+ * Tracks requests and retries per route and per upstream
+ */
+class RetryBudgetManager {
+    constructor() {
+        /** @type {Map<string, object>} Rolling windows by route path */
+        this.routes = new Map();
+        /** @type {Map<string, object>} Rolling windows by upstream URL (retries after its failures) */
+        this.upstreams = new Map();
+    }
+
+    /**
+     * Count an original (not retried) request
+     * @param {string} route - Route path
+     * @param {string} upstream - Upstream URL the request was sent to
+     * @param {{percent: number, windowMs: number, minRetries: number}} budget
+     */
+    recordRequest(route, upstream, budget) {
+        for (const window of [
+            this._getWindow(this.routes, route, budget),
+            this._getWindow(this.upstreams, upstream, budget)
+        ]) {
+            this._currentBucket(window).requests++;
+        }
+    }
+
+    /**
+     * Whether the route's and the upstream's budgets both have a retry left
+     * Nothing is taken (see tryAcquire).
+     * @param {string} route - Route path
+     * @param {string} upstream - Upstream URL
+     * @param {{percent: number, windowMs: number, minRetries: number}} budget
+     * @returns {boolean}
+     */
+    hasRetry(route, upstream, budget) {
+        return [
+            this._getWindow(this.routes, route, budget),
+            this._getWindow(this.upstreams, upstream, budget)
+        ].every((window) => this._summarize(window).remaining >= 1);
+    }
+
+    /**
+     * Take a retry from the route's and the failed upstream's budgets
+     * Nothing is taken unless both have a retry left.
+     * @param {string} route - Route path
+     * @param {string} upstream - Upstream URL the failed attempt went to
+     * @param {{percent: number, windowMs: number, minRetries: number}} budget
+     * @returns {boolean} Whether the retry may go ahead
+     */
+    tryAcquire(route, upstream, budget) {
+        const windows = [
+            this._getWindow(this.routes, route, budget),
+            this._getWindow(this.upstreams, upstream, budget)
+        ];
+
+        const spent = windows.find((window) => this._summarize(window).remaining < 1);
+        if (spent) {
+            spent.skipped++;
+            logger.warn('Retry budget exhausted, not retrying', {
+                route,
+                upstream,
+                budget: spent === windows[0] ? 'route' : 'upstream'
+            });
+            return false;
+        }
+
+        for (const window of windows) {
+            this._currentBucket(window).retries++;
+        }
+        return true;
+    }
+
+    /**
+     * Get the budget state of every route and upstream that has seen traffic
+     * @returns {{routes: object, upstreams: object}} Keyed by route path / upstream URL:
+     *   { requests, retries, allowed, remaining } over the current window, and the
+     *   retries `skipped` for a spent budget since startup
+     */
+    getStats() {
+        const collect = (windows) =>
+            Object.fromEntries([...windows].map(([key, window]) => [key, this._summarize(window)]));
+        return { routes: collect(this.routes), upstreams: collect(this.upstreams) };
+    }
+
+    /**
+     * Forget all budgets
+     */
+    reset() {
+        this.routes.clear();
+        this.upstreams.clear();
+    }
+
+    /**
+     * Get a rolling window, applying the latest budget settings
+     * @private
+     */
+    _getWindow(windows, key, budget) {
+        let window = windows.get(key);
+        if (!window) {
+            window = { buckets: [], skipped: 0, budget };
+            windows.set(key, window);
+        }
+        window.budget = budget;
+        return window;
+    }
+
+    /**
+     * Drop expired buckets and get the one for the current time
+     * @private
+     */
+    _currentBucket(window) {
+        const now = Date.now();
+        const bucketMs = window.budget.windowMs / WINDOW_BUCKETS;
+        const start = Math.floor(now / bucketMs) * bucketMs;
+        this._expire(window, now);
+
+        let bucket = window.buckets[window.buckets.length - 1];
+        if (!bucket || bucket.start !== start) {
+            bucket = { start, requests: 0, retries: 0 };
+            window.buckets.push(bucket);
+        }
+        return bucket;
+    }
+
+    /**
+     * Drop buckets that fell out of the window
+     * @private
+     */
+    _expire(window, now) {
+        window.buckets = window.buckets.filter(
+            (bucket) => bucket.start > now - window.budget.windowMs
+        );
+    }
+
+    /**
+     * Totals over the current window
+     * @private
+     */
+    _summarize(window) {
+        this._expire(window, Date.now());
+        const { percent, minRetries } = window.budget;
+        const requests = window.buckets.reduce((sum, bucket) => sum + bucket.requests, 0);
+        const retries = window.buckets.reduce((sum, bucket) => sum + bucket.retries, 0);
+        const allowed = Math.max(minRetries, Math.floor((requests * percent) / 100));
+        return {
+            requests,
+            retries,
+            allowed,
+            remaining: Math.max(allowed - retries, 0),
+            skipped: window.skipped
+        };
+    }
+}
+
+// Singleton instance
+module.exports = new RetryBudgetManager();
@@ -0,0 +1,187 @@
+/**
+ * Retry Policy
+ *
+ * Per-route policy deciding which failed upstream calls the proxy retries:
+ * connection errors, plus configurable upstream statuses (502/503/504 by
+ * default). Anything the upstream may already have acted on is only retried
+ * for idempotent methods or requests carrying an `Idempotency-Key`, and only
+ * when the request body can be sent again.
+ *
+ * @module lib/retryPolicy
+ */
+
+const config = require('./config');
+
+/** Statuses retried when a route does not list its own */
+const DEFAULT_RETRY_STATUSES = [502, 503, 504];
+
+/** Methods that may be repeated without changing the result (RFC 9110) */
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'TRACE', 'PUT', 'DELETE'];
+
+/** Errors raised before the request reached the upstream */
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND'];
+
+const POLICY_KEYS = [
+    'maxRetries',
+    'statuses',
+    'maxRetryTime',
+    'initialDelay',
+    'maxDelay',
+    'factor',
+    'budget'
+];
+
+/** Retry budget settings: name -> minimum (and maximum) value */
+const BUDGET_LIMITS = {
+    percent: [0, 100],
+    windowMs: [1000, Infinity],
+    minRetries: [0, Infinity]
+};
+
+/**
+ * Resolve a route's retry policy
+ * `retry` is `false` (no retries), `true`/unset (defaults) or a policy block.
+ * The route-level `maxRetries` (or its alias `retries`) is kept for routes
+ * written before the block.
+ * @param {object} route - Route configuration
+ * @returns {{maxRetries: number, statuses: number[], maxRetryTime: number|null,
+ *   initialDelay: number, maxDelay: number, factor: number,
+ *   budget: {percent: number, windowMs: number, minRetries: number}|null}}
+ */
+const resolveRetryPolicy = (route) => {
+    const policy = route.retry && typeof route.retry === 'object' ? route.retry : {};
+    return {
+        maxRetries:
+            route.retry === false
+                ? 0
+                : (policy.maxRetries ??
+                  route.maxRetries ??
+                  route.retries ??
+                  config.retry.maxRetries),
+        statuses: policy.statuses ?? DEFAULT_RETRY_STATUSES,
+        maxRetryTime: policy.maxRetryTime ?? null,
+        initialDelay: policy.initialDelay ?? config.retry.initialDelay,
+        maxDelay: policy.maxDelay ?? config.retry.maxDelay,
+        factor: policy.factor ?? config.retry.factor,
+        budget: policy.budget === false ? null : { ...config.retry.budget, ...policy.budget }
+    };
+};
+
+/**
+ * Validate a `retry.budget` setting
+ * @private
+ * @throws {Error} If it is neither false nor a valid budget block
+ */
+const validateRetryBudget = (budget) => {
+    if (budget === false) {
+        return;
+    }
+    if (!budget || typeof budget !== 'object' || Array.isArray(budget)) {
+        throw new Error('retry.budget must be false or an object');
+    }
+    for (const [key, value] of Object.entries(budget)) {
+        if (!BUDGET_LIMITS[key]) {
+            throw new Error(
+                `Unknown retry budget setting "${key}" (expected ${Object.keys(BUDGET_LIMITS).join(', ')})`
+            );
+        }
+        const [min, max] = BUDGET_LIMITS[key];
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw new Error(
+                `retry.budget.${key} must be an integer ${max === Infinity ? `>= ${min}` : `from ${min} to ${max}`}`
+            );
+        }
+    }
+};
+
+/**
+ * Validate a route's `retry` setting
+ * @param {*} retry
+ * @throws {Error} If it is neither a boolean nor a valid policy block
+ */
+const validateRetryPolicy = (retry) => {
+    if (typeof retry === 'boolean') {
+        return;
+    }
+    if (!retry || typeof retry !== 'object' || Array.isArray(retry)) {
+        throw new Error('retry must be a boolean or an object');
+    }
+    for (const [key, value] of Object.entries(retry)) {
+        if (!POLICY_KEYS.includes(key)) {
+            throw new Error(`Unknown retry setting "${key}" (expected ${POLICY_KEYS.join(', ')})`);
+        }
+        if (key === 'budget') {
+            validateRetryBudget(value);
+        } else if (key === 'statuses') {
+            if (
+                !Array.isArray(value) ||
+                !value.every((status) => Number.isInteger(status) && status >= 500 && status <= 599)
+            ) {
+                throw new Error('retry.statuses must be a list of 5xx status codes');
+            }
+        } else if (!Number.isInteger(value) || value < (key === 'maxRetries' ? 0 : 1)) {
+            throw new Error(
+                `retry.${key} must be a ${key === 'maxRetries' ? 'non-negative' : 'positive'} integer`
+            );
+        }
+    }
+    if (retry.maxRetries > 10) {
+        throw new Error('retry.maxRetries must be at most 10');
+    }
+};
+
+/**
+ * Whether a request may be sent to the upstream more than once
+ * @param {express.Request} req
+ * @returns {boolean}
+ */
+const isIdempotent = (req) =>
+    IDEMPOTENT_METHODS.includes(req.method) || !!req.headers['idempotency-key'];
+
+/**
+ * Whether the request body can be sent again
+ * True for bodiless requests and bodies kept on `req.rawBody`; a streamed body
+ * is consumed by the first attempt.
+ * @param {express.Request} req
+ * @returns {boolean}
+ */
+const isReplayable = (req) =>
+    Buffer.isBuffer(req.rawBody) ||
+    (!req.headers['transfer-encoding'] && !(Number(req.headers['content-length']) > 0));
+
+/**
+ * Whether a failed proxy attempt may be retried
+ * Status failures carry `status`; connection errors their `code` and, for
+ * gateway timeouts, the `phase`. Failures before the request was sent are
+ * retried for any method.
+ * @param {Error} error
+ * @param {express.Request} req
+ * @param {{statuses: number[]}} policy
+ * @returns {boolean}
+ */
+const isRetryableFailure = (error, req, policy) => {
+    if (!isReplayable(req)) {
+        return false;
+    }
+    if (error.status) {
+        return policy.statuses.includes(error.status) && isIdempotent(req);
+    }
+    if (!config.retry.retryableCodes.includes(error.code)) {
+        return false;
+    }
+    if (error.phase === 'connect' || NOT_SENT_CODES.includes(error.code)) {
+        return true;
+    }
+    // The upstream may already be processing the request
+    return !error.phase && isIdempotent(req);
+};
+
+module.exports = {
+    DEFAULT_RETRY_STATUSES,
+    IDEMPOTENT_METHODS,
+    resolveRetryPolicy,
+    validateRetryPolicy,
+    isIdempotent,
+    isReplayable,
+    isRetryableFailure
+};
@@ -7,18 +7,66 @@
  * @module lib/routeBuilder
  */
 
+const crypto = require('crypto');
 const express = require('express');
 const { createProxyMiddleware } = require('http-proxy-middleware');
 const http = require('http');
 const https = require('https');
+const { isDeepStrictEqual } = require('util');
 const config = require('./config');
-const { loadPlugin } = require('./pluginLoader');
+const { loadPlugin, resolvePluginEnabled } = require('./pluginLoader');
 const logger = require('./logger');
 const circuitBreakerManager = require('./circuitBreaker');
-const _retryManager = require('./retry'); // Reserved for future retry middleware
+const {
+    resolveCircuitBreakerPolicy,
+    validateCircuitBreakerPolicy
+} = require('./circuitBreakerPolicy');
+const retryManager = require('./retry');
+const retryBudget = require('./retryBudget');
+const {
+    LatencyWindow,
+    getHedgeDelay,
+    isHedgeable,
+    resolveHedgePolicy,
+    validateHedgePolicy
+} = require('./hedging');
 const loadBalancer = require('./loadBalancer');
 const upstreamHealthChecker = require('./upstreamHealth');
-const { upstreamRequestDuration, upstreamRequestTotal } = require('../routes/metrics');
+const { ConfigurationError } = require('./errors');
+const { restreamBody, sendContinue } = require('./rawBody');
+const {
+    TIMEOUT_MESSAGES,
+    resolveUpstreamTimeouts,
+    validateUpstreamTimeouts,
+    watchUpstreamTimeouts
+} = require('./upstreamTimeouts');
+const {
+    isIdempotent,
+    isReplayable,
+    isRetryableFailure,
+    resolveRetryPolicy,
+    validateRetryPolicy
+} = require('./retryPolicy');
+const {
+    upstreamRequestDuration,
+    upstreamRequestTotal,
+    upstreamRetries,
+    upstreamHedges,
+    retryBudgetExhausted
+} = require('../routes/metrics');
+const {
+    createRouteRateLimiter,
+    createKeyGenerator,
+    requiresAuthIdentity
+} = require('../middleware/rateLimiter');
+const { createBodyParser, parseBodyParserSetting } = require('../middleware/bodyParser');
+const { setRequestTimeout } = require('../middleware/requestTimeout');
+const {
+    parseByteSize,
+    createBodySizeLimit,
+    limitStreamedBody,
+    isBodyTooLarge
+} = require('../middleware/bodyLimit');
 
 // Connection pooling agents
 const httpAgent = new http.Agent({
@@ -37,55 +85,228 @@ const httpsAgent = new https.Agent({
     timeout: config.connectionPool.timeout
 });
 
+// Connection-level headers not copied from upstream responses the proxy writes itself
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'transfer-encoding'];
+
 // Per-route state for load balancing
 const routeState = new Map();
 
+// Per-route rate limiters, reused across reloads while their config is unchanged
+/** @type {Map<string, {signature: string, limiter: Function}>} */
+let routeLimiters = new Map();
+
+// Resolved settings of the routes mounted by the last build
+let routeTable = [];
+
 /**
  * Build Express router from route configuration
  * @param {Array} routes - Route configurations from gateway.yaml
+ * @param {object} [options]
+ * @param {boolean} [options.monitorUpstreams=true] - Start upstream health checks (false for offline use)
  * @returns {express.Router} Configured Express router
  * @throws {Error} If routes is not an array
  */
-const buildRouter = (routes) => {
+const buildRouter = (routes, { monitorUpstreams = true } = {}) => {
     if (!Array.isArray(routes)) {
         throw new Error('Routes must be an array');
     }
 
     const router = express.Router();
     routeState.clear();
+    const nextLimiters = new Map();
+    const nextTable = [];
+    // Upstream URL -> breaker settings and the route they came from
+    const breakerSettings = new Map();
 
     for (const route of routes) {
         if (!isValidRoute(route)) {
             continue;
         }
 
-        const upstreams = loadBalancer.parseUpstreams(route.upstream);
+        let upstreams;
+        let weights;
+        try {
+            const upstreamConfig = getUpstreamConfig(route);
+            upstreams = loadBalancer.parseUpstreams(upstreamConfig);
+            weights = loadBalancer.parseWeights(upstreamConfig);
+        } catch (error) {
+            logger.warn('Skipping invalid route: invalid upstream configuration', {
+                routePath: route.path,
+                error: error.message
+            });
+            continue;
+        }
+
         if (upstreams.length === 0) {
             logger.warn('Skipping invalid route: no valid upstreams', { route });
             continue;
         }
 
+        // Breakers are per upstream: the first route to use an upstream sets its breaker
+        const circuitBreaker = resolveCircuitBreakerPolicy(route);
+        for (const upstream of upstreams) {
+            const existing = breakerSettings.get(upstream);
+            if (!existing) {
+                breakerSettings.set(upstream, { routePath: route.path, settings: circuitBreaker });
+            } else if (!isDeepStrictEqual(existing.settings, circuitBreaker)) {
+                logger.warn('Upstream shared by routes with different circuitBreaker settings', {
+                    upstream,
+                    routePath: route.path,
+                    using: existing.routePath
+                });
+            }
+        }
+
         // Start health monitoring for all upstreams
-        upstreams.forEach((upstream) =>
-            upstreamHealthChecker.startMonitoring(upstream, {
-                healthPath: route.healthPath // Optional per-route health check path
-            })
-        );
+        if (monitorUpstreams) {
+            upstreams.forEach((upstream) =>
+                upstreamHealthChecker.startMonitoring(upstream, {
+                    healthPath: route.healthPath // Optional per-route health check path
+                })
+            );
+        }
+
+        // Initialize load balancer state (weights are null unless configured per upstream)
+        routeState.set(route.path, {
+            index: 0,
+            weights,
+            // Ring spans all upstreams so health changes only remap the affected node's keys
+            ring:
+                route.loadBalanceStrategy === loadBalancer.strategies.CONSISTENT_HASH
+                    ? loadBalancer.buildHashRing(upstreams, weights)
+                    : null
+        });
 
-        // Initialize load balancer state
-        routeState.set(route.path, { index: 0 });
+        // A route timeout replaces the global client timeout for the whole request
+        if (route.timeout) {
+            router.use(route.path, (req, res, next) => {
+                setRequestTimeout(req, res, route.timeout);
+                next();
+            });
+        }
+
+        // Enforce method allow-list before plugins so rejected verbs never reach auth
+        const allowedMethods = parseMethods(route.methods);
+        if (allowedMethods) {
+            router.use(route.path, createMethodGuard(route.path, allowedMethods));
+        }
+
+        // Reject announced oversized bodies before anything else reads them
+        const maxBodySize =
+            route.maxBodySize !== undefined ? parseByteSize(route.maxBodySize) : null;
+        if (maxBodySize) {
+            router.use(route.path, createBodySizeLimit(maxBodySize));
+        }
+
+        // Per-route rate limiting: before plugins so abusive clients never reach auth,
+        // unless keyed by user id, which only exists once central-auth has run
+        const limiter = route.rateLimit ? getRouteLimiter(route) : null;
+        const limitAfterAuth = limiter && requiresAuthIdentity(route.rateLimit.keyBy);
+        if (limiter) {
+            nextLimiters.set(route.path, limiter);
+        }
+        if (limiter && !limitAfterAuth) {
+            router.use(route.path, limiter.limiter);
+        }
+
+        // Bodies are only parsed where a route opts in; everything else streams through
+        const bodyParsers = parseBodyParserSetting(route.bodyParser);
+        if (bodyParsers.length > 0) {
+            router.use(
+                route.path,
+                createBodyParser(bodyParsers, maxBodySize ? { limit: maxBodySize } : undefined)
+            );
+        }
 
         // Attach plugins
-        attachPlugins(router, route);
+        const plugins = attachPlugins(router, route);
+
+        if (limitAfterAuth) {
+            router.use(route.path, limiter.limiter);
+        }
 
         // Create enterprise proxy middleware
-        const proxyMiddleware = createEnterpriseProxy(route, upstreams);
+        const proxyMiddleware = createEnterpriseProxy(route, upstreams, { maxBodySize });
         router.use(route.path, proxyMiddleware);
+
+        nextTable.push({
+            path: route.path,
+            upstreams: upstreams.map((url) => ({ url, weight: weights ? weights.get(url) : 1 })),
+            strategy: getLoadBalanceStrategy(route),
+            timeout: route.timeout || config.timeouts.upstream,
+            timeouts: resolveUpstreamTimeouts(
+                route.timeouts,
+                route.timeout || config.timeouts.upstream
+            ),
+            methods: allowedMethods ? [...allowedMethods] : null,
+            retry: resolveRetryPolicy(route),
+            hedge: resolveHedgePolicy(route.hedge),
+            circuitBreaker,
+            rateLimit: route.rateLimit || null,
+            bodyParser: bodyParsers.length > 0 ? bodyParsers : null,
+            maxBodySize,
+            plugins
+        });
+    }
+
+    // Release stores of limiters whose route was removed or reconfigured
+    for (const [routePath, entry] of routeLimiters) {
+        if (nextLimiters.get(routePath) !== entry) {
+            entry.limiter.shutdown();
+        }
+    }
+    routeLimiters = nextLimiters;
+    routeTable = nextTable;
+
+    // Create or re-apply the upstreams' breakers, so they show in /health and /metrics
+    for (const [upstream, { settings }] of breakerSettings) {
+        circuitBreakerManager.configure(upstream, settings);
     }
 
     return router;
 };
 
+/**
+ * Get the resolved routing table of the last build
+ * Routes skipped as invalid are not included.
+ * @returns {Array<{path: string, upstreams: Array<{url: string, weight: number}>, strategy: string,
+ *   timeout: number, timeouts: {connect: number|null, firstByte: number, idle: number},
+ *   methods: string[]|null, retry: object, hedge: object|null, circuitBreaker: object,
+ *   rateLimit: object|null, bodyParser: string[]|null, maxBodySize: number|null,
+ *   plugins: string[]}>}
+ */
+const getRouteTable = () => routeTable;
+
+/**
+ * Get the upstream config from `upstream` or its `upstreams` alias
+ * @private
+ * @throws {ConfigurationError} If both keys are set
+ */
+function getUpstreamConfig(route) {
+    if (route.upstream !== undefined && route.upstreams !== undefined) {
+        throw new ConfigurationError('Set either upstream or upstreams, not both');
+    }
+    return route.upstream !== undefined ? route.upstream : route.upstreams;
+}
+
+/**
+ * Get the rate limiter for a route, reusing the existing one if its config is unchanged
+ * so that counters survive hot reloads of unrelated routes.
+ * @private
+ */
+function getRouteLimiter(route) {
+    const signature = JSON.stringify(route.rateLimit);
+    const existing = routeLimiters.get(route.path);
+    if (existing && existing.signature === signature) {
+        return existing;
+    }
+
+    return {
+        signature,
+        limiter: createRouteRateLimiter(route.path, route.rateLimit)
+    };
+}
+
 /**
  * Validate route configuration
  * @private
@@ -95,20 +316,200 @@ function isValidRoute(route) {
         logger.warn('Skipping invalid route: path must be a non-empty string', { route });
         return false;
     }
+    if (route.rateLimit !== undefined && !isValidRateLimit(route.rateLimit)) {
+        logger.warn('Skipping invalid route: invalid rateLimit block', { route });
+        return false;
+    }
+    if (route.hashOn !== undefined || route.affinityCookie !== undefined) {
+        try {
+            getHashKeyResolver(route);
+        } catch (error) {
+            logger.warn('Skipping invalid route: invalid consistent-hash settings', {
+                route,
+                error: error.message
+            });
+            return false;
+        }
+    }
+    try {
+        parseBodyParserSetting(route.bodyParser);
+    } catch (error) {
+        logger.warn('Skipping invalid route: invalid bodyParser', {
+            route,
+            error: error.message
+        });
+        return false;
+    }
+    if (route.timeouts !== undefined) {
+        try {
+            validateUpstreamTimeouts(route.timeouts);
+        } catch (error) {
+            logger.warn('Skipping invalid route: invalid timeouts', {
+                route,
+                error: error.message
+            });
+            return false;
+        }
+    }
+    if (route.retry !== undefined) {
+        try {
+            validateRetryPolicy(route.retry);
+        } catch (error) {
+            logger.warn('Skipping invalid route: invalid retry policy', {
+                route,
+                error: error.message
+            });
+            return false;
+        }
+    }
+    if (route.circuitBreaker !== undefined) {
+        try {
+            validateCircuitBreakerPolicy(route.circuitBreaker);
+        } catch (error) {
+            logger.warn('Skipping invalid route: invalid circuitBreaker', {
+                route,
+                error: error.message
+            });
+            return false;
+        }
+    }
+    if (route.hedge !== undefined) {
+        try {
+            validateHedgePolicy(route.hedge);
+        } catch (error) {
+            logger.warn('Skipping invalid route: invalid hedge', {
+                route,
+                error: error.message
+            });
+            return false;
+        }
+    }
+    if (route.maxBodySize !== undefined) {
+        try {
+            parseByteSize(route.maxBodySize);
+        } catch (error) {
+            logger.warn('Skipping invalid route: invalid maxBodySize', {
+                route,
+                error: error.message
+            });
+            return false;
+        }
+    }
+    if (route.methods !== undefined && parseMethods(route.methods) === null) {
+        logger.warn('Skipping invalid route: methods must be a non-empty array of HTTP methods', {
+            route
+        });
+        return false;
+    }
     return true;
 }
 
+/**
+ * Validate a route's rateLimit block
+ * @private
+ */
+function isValidRateLimit(rateLimit) {
+    if (!rateLimit || typeof rateLimit !== 'object') {
+        return false;
+    }
+    const { windowMs, max, keyBy, apiKeyHeader } = rateLimit;
+    if (!Number.isInteger(windowMs) || windowMs <= 0 || !Number.isInteger(max) || max <= 0) {
+        return false;
+    }
+
+    try {
+        createKeyGenerator(keyBy, { apiKeyHeader });
+    } catch {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Normalize a route's method allow-list (GET implies HEAD)
+ * @private
+ * @param {Array<string>|undefined} methods - Methods from gateway.yaml
+ * @returns {Array<string>|null} Uppercased allow-list, or null if unrestricted/invalid
+ */
+function parseMethods(methods) {
+    if (!Array.isArray(methods) || methods.length === 0) {
+        return null;
+    }
+
+    const allowed = new Set();
+    for (const method of methods) {
+        if (typeof method !== 'string') {
+            return null;
+        }
+        const normalized = method.trim().toUpperCase();
+        if (!http.METHODS.includes(normalized)) {
+            return null;
+        }
+        allowed.add(normalized);
+    }
+
+    if (allowed.has('GET')) {
+        allowed.add('HEAD');
+    }
+
+    return [...allowed];
+}
+
+/**
+ * Create middleware that rejects methods outside the route's allow-list
+ * @private
+ */
+function createMethodGuard(routePath, allowedMethods) {
+    const allowHeader = [...new Set([...allowedMethods, 'OPTIONS'])].join(', ');
+
+    return (req, res, next) => {
+        if (allowedMethods.includes(req.method)) {
+            return next();
+        }
+
+        // OPTIONS is always answered (CORS preflight is handled earlier by the cors middleware)
+        if (req.method === 'OPTIONS') {
+            res.set('Allow', allowHeader);
+            return res.status(204).end();
+        }
+
+        logger.debug('Method not allowed', {
+            method: req.method,
+            originalUrl: req.originalUrl,
+            routePath
+        });
+
+        res.set('Allow', allowHeader);
+        return res.status(405).json({
+            error: 'Method Not Allowed',
+            message: `Method ${req.method} is not allowed on ${routePath}`,
+            timestamp: new Date().toISOString()
+        });
+    };
+}
+
 /**
  * Attach plugin middleware to router
+ * An enabled plugin that fails to load leaves the route answering 503 rather
+ * than serving without it.
  * @private
+ * @returns {string[]} Names of the plugins attached
  */
 function attachPlugins(router, route) {
+    const attached = [];
     if (!Array.isArray(route.plugins)) {
-        return;
+        return attached;
     }
 
     for (const pluginConfig of route.plugins) {
-        if (!pluginConfig?.enabled) {
+        const enabled = resolvePluginEnabled(pluginConfig);
+        if (enabled === undefined) {
+            logger.warn('Skipping plugin that does not set enabled', {
+                routePath: route.path,
+                plugin: pluginConfig?.name
+            });
+        }
+        if (enabled !== true) {
             continue;
         }
 
@@ -117,181 +518,595 @@ function attachPlugins(router, route) {
                 routePath: route.path,
                 pluginConfig
             });
+            router.use(route.path, createPluginUnavailableHandler(String(pluginConfig.name)));
             continue;
         }
 
         const middleware = loadPlugin(pluginConfig.name, pluginConfig);
         if (middleware) {
             router.use(route.path, middleware);
+            attached.push(pluginConfig.name);
+        } else {
+            logger.error('Enabled plugin failed to load; route will answer 503', {
+                routePath: route.path,
+                plugin: pluginConfig.name
+            });
+            router.use(route.path, createPluginUnavailableHandler(pluginConfig.name));
+        }
+    }
+
+    return attached;
+}
+
+/**
+ * Create middleware answering 503 in place of a plugin that failed to load
+ * @private
+ */
+function createPluginUnavailableHandler(pluginName) {
+    return (req, res) => {
+        res.status(503).json({
+            error: 'Service Unavailable',
+            message: `Plugin ${pluginName} is unavailable`,
+            timestamp: new Date().toISOString()
+        });
+    };
+}
+
+/**
+ * Get the consistent-hash key resolver for a route
+ * With `affinityCookie`, clients without the cookie are issued a random affinity id.
+ * @private
+ * @throws {Error} If hashOn or affinityCookie is invalid
+ */
+function getHashKeyResolver(route) {
+    if (route.affinityCookie === undefined) {
+        return loadBalancer.createHashKeyResolver(route.hashOn);
+    }
+
+    const affinity =
+        typeof route.affinityCookie === 'string'
+            ? { name: route.affinityCookie }
+            : route.affinityCookie;
+    if (!affinity || typeof affinity.name !== 'string' || !/^[\w.-]+$/.test(affinity.name)) {
+        throw new Error('affinityCookie must be a cookie name or { name, maxAge }');
+    }
+    if (
+        affinity.maxAge !== undefined &&
+        !(Number.isInteger(affinity.maxAge) && affinity.maxAge > 0)
+    ) {
+        throw new Error('affinityCookie.maxAge must be a positive integer (ms)');
+    }
+
+    return (req, res) => {
+        let affinityId = loadBalancer.readCookie(req, affinity.name);
+        if (!affinityId) {
+            affinityId = crypto.randomUUID();
+            res.cookie(affinity.name, affinityId, {
+                httpOnly: true,
+                sameSite: 'lax',
+                secure: req.secure,
+                path: '/',
+                maxAge: affinity.maxAge
+            });
         }
+        return affinityId;
+    };
+}
+
+/**
+ * Keep cookies set by the gateway (e.g. affinity) when the proxy copies upstream headers
+ * @private
+ */
+function preserveGatewayCookies(proxyRes, res) {
+    const gatewayCookies = res.getHeader('set-cookie');
+    if (!gatewayCookies) {
+        return;
     }
+    proxyRes.headers['set-cookie'] = [
+        ...[].concat(proxyRes.headers['set-cookie'] || []),
+        ...[].concat(gatewayCookies)
+    ];
+}
+
+/**
+ * Get a route's load balancing strategy, defaulting to weighted when weights are set
+ * @private
+ */
+function getLoadBalanceStrategy(route) {
+    return (
+        route.loadBalanceStrategy ||
+        (routeState.get(route.path)?.weights ? 'weighted' : 'health_aware')
+    );
 }
 
 /**
  * Create enterprise proxy middleware
  * @private
+ * @param {object} route
+ * @param {string[]} upstreams
+ * @param {object} [options]
+ * @param {number|null} [options.maxBodySize] - Byte limit for streamed request bodies
  */
-function createEnterpriseProxy(route, upstreams) {
+function createEnterpriseProxy(route, upstreams, { maxBodySize = null } = {}) {
     const routePath = route.path;
-    const timeout = route.timeout || config.timeouts.upstream;
-    const loadBalanceStrategy = route.loadBalanceStrategy || 'health_aware';
-    const enableRetry = route.retry !== false;
-    const maxRetries = route.maxRetries || config.retry.maxRetries;
+    const upstreamTimeouts = resolveUpstreamTimeouts(
+        route.timeouts,
+        route.timeout || config.timeouts.upstream
+    );
+    const loadBalanceStrategy = getLoadBalanceStrategy(route);
+    const retryPolicy = resolveRetryPolicy(route);
+    const hedgePolicy = resolveHedgePolicy(route.hedge);
+    // Recent response times of the route, for percentile hedge delays
+    const latencies = hedgePolicy?.percentile ? new LatencyWindow() : null;
+
+    const resolveHashKey =
+        loadBalanceStrategy === loadBalancer.strategies.CONSISTENT_HASH
+            ? getHashKeyResolver(route)
+            : null;
 
     return (req, res, next) => {
         const startTime = process.hrtime.bigint();
         const state = routeState.get(routePath) || { index: 0 };
+        const selectionContext = resolveHashKey ? { hashKey: resolveHashKey(req, res) } : {};
 
-        const tryProxy = (upstreamList, currentAttempt = 0) => {
-            // Filter out upstreams with open circuit breakers
-            const availableUpstreams = upstreamList.filter(
-                (upstream) => !circuitBreakerManager.isOpen(upstream)
-            );
+        // Every check before the proxy passed: ask for the body now. The upstream call never
+        // carries Expect itself (http-proxy skips onProxyReq for such requests).
+        sendContinue(req, res);
+        delete req.headers.expect;
 
-            // Select upstream
-            const selectedUpstream =
-                availableUpstreams.length > 0
-                    ? loadBalancer.selectUpstream(availableUpstreams, loadBalanceStrategy, state)
-                    : loadBalancer.selectUpstream(upstreamList, loadBalanceStrategy, state);
-
-            if (!selectedUpstream) {
-                logger.error('No upstream available', { routePath, upstreams: upstreamList });
-                if (!res.headersSent) {
-                    return res.status(503).json({
-                        error: 'Service Unavailable',
-                        message: 'No upstream services available'
-                    });
-                }
-                return;
+        // Set when the client response closes before the upstream call completed
+        let abandoned = false;
+
+        // Set once the client response closed (answered, or the client went away)
+        let responseClosed = false;
+
+        // Upstream calls of every attempt that are still open; one listener for the request
+        const openCalls = new Set();
+        res.once('close', () => {
+            responseClosed = true;
+            for (const call of openCalls) {
+                call.close();
             }
+        });
+
+        /**
+         * Proxy one attempt; resolves once the response is forwarded and rejects
+         * with the failure (an upstream error, or a retryable status) otherwise
+         */
+        const tryProxy = (attempt) =>
+            new Promise((resolve, reject) => {
+                // The client went away during a retry backoff: nothing is left to answer
+                if (responseClosed) {
+                    resolve();
+                    return;
+                }
 
-            routeState.set(routePath, state);
+                // Filter out upstreams whose circuit breakers turn requests away
+                const availableUpstreams = upstreams.filter((upstream) =>
+                    circuitBreakerManager.isAvailable(upstream)
+                );
 
-            // Check circuit breaker
-            if (circuitBreakerManager.isOpen(selectedUpstream)) {
-                if (currentAttempt < maxRetries && upstreamList.length > 1) {
-                    const remaining = upstreamList.filter((u) => u !== selectedUpstream);
-                    return tryProxy(remaining, currentAttempt + 1);
+                // Select upstream
+                const selectedUpstream = loadBalancer.selectUpstream(
+                    availableUpstreams.length > 0 ? availableUpstreams : upstreams,
+                    loadBalanceStrategy,
+                    state,
+                    selectionContext
+                );
+
+                if (!selectedUpstream) {
+                    logger.error('No upstream available', { routePath, upstreams });
+                    reject(
+                        Object.assign(new Error('No upstream available'), { code: 'ENOUPSTREAM' })
+                    );
+                    return;
                 }
 
-                if (!res.headersSent) {
-                    return res.status(503).json({
-                        error: 'Service Unavailable',
-                        message: `Upstream ${selectedUpstream} is unavailable (circuit breaker open)`,
-                        timestamp: new Date().toISOString()
-                    });
+                routeState.set(routePath, state);
+
+                // Every upstream's circuit breaker is open (or half-open with its trial in flight)
+                const breakerCall = circuitBreakerManager.admit(selectedUpstream);
+                if (!breakerCall) {
+                    reject(
+                        Object.assign(new Error('Circuit breaker open'), {
+                            code: 'EBREAKEROPEN',
+                            upstream: selectedUpstream
+                        })
+                    );
+                    return;
                 }
-                return;
-            }
 
-            // Create proxy
-            const proxy = createProxyMiddleware({
-                target: selectedUpstream,
-                changeOrigin: true,
-                pathRewrite: { [`^${routePath}`]: '' },
-                timeout,
-                proxyTimeout: timeout,
-                agent: selectedUpstream.startsWith('https') ? httpsAgent : httpAgent,
-
-                onProxyReq: (proxyReq, req) => {
-                    req.on('close', () => {
-                        if (!res.headersSent) {
-                            proxyReq.destroy();
-                        }
-                    });
+                // Retries and hedges are budgeted against the original requests
+                if (
+                    attempt === 0 &&
+                    retryPolicy.budget &&
+                    (retryPolicy.maxRetries > 0 || hedgePolicy)
+                ) {
+                    retryBudget.recordRequest(routePath, selectedUpstream, retryPolicy.budget);
+                }
 
-                    logger.debug('Proxying request', {
-                        method: req.method,
-                        originalUrl: req.originalUrl,
-                        target: selectedUpstream,
-                        attempt: currentAttempt + 1
-                    });
-                },
-
-                onProxyRes: (proxyRes, req) => {
-                    recordMetrics(startTime, selectedUpstream, req.method, proxyRes.statusCode);
-
-                    // Update circuit breaker state based on response
-                    // Success: 2xx, 3xx, 4xx (client errors don't indicate upstream failure)
-                    // Failure: 5xx (server errors indicate upstream issues)
-                    if (proxyRes.statusCode < 500) {
-                        circuitBreakerManager.recordSuccess(selectedUpstream);
-                    } else {
-                        circuitBreakerManager.recordFailure(selectedUpstream, {
-                            status: proxyRes.statusCode
-                        });
-                    }
+                // Hold back responses with a retryable status while another attempt is possible
+                const retryStatuses =
+                    attempt < retryPolicy.maxRetries && isIdempotent(req) && isReplayable(req)
+                        ? retryPolicy.statuses
+                        : [];
 
-                    logger.debug('Proxy response received', {
-                        method: req.method,
-                        originalUrl: req.originalUrl,
-                        target: selectedUpstream,
-                        statusCode: proxyRes.statusCode
-                    });
-                },
-
-                onError: async (err, req, res) => {
-                    logger.error('Proxy error', {
-                        requestId: req.requestId,
-                        error: err.message,
-                        code: err.code,
-                        method: req.method,
-                        url: req.originalUrl,
-                        target: selectedUpstream,
-                        attempt: currentAttempt + 1
-                    });
+                // Send a second request if the upstream is slow to answer
+                const hedgeDelay =
+                    hedgePolicy && isHedgeable(req) && isReplayable(req)
+                        ? getHedgeDelay(hedgePolicy, latencies)
+                        : null;
 
-                    // Record failure in circuit breaker (let it manage state)
-                    // Only network/server errors affect circuit state (not 4xx)
-                    circuitBreakerManager.recordFailure(selectedUpstream, err);
+                // Responses are written by the gateway when held back or raced
+                const selfHandleResponse = retryStatuses.length > 0 || hedgeDelay !== null;
 
-                    // Retry if possible
-                    const isRetryable = config.retry.retryableCodes.includes(err.code);
+                // Upstream calls of this attempt: the original and, once hedged, the hedge
+                const calls = [];
+                let winner = null;
+                let hedgeTimer = null;
 
+                // The attempt fails once none of its calls can still answer
+                const fail = (call, err) => {
+                    call.failed = true;
+                    err.upstream = call.upstream;
                     if (
-                        enableRetry &&
-                        isRetryable &&
-                        currentAttempt < maxRetries &&
-                        !res.headersSent
+                        winner === call ||
+                        !calls.some((other) => !other.failed && !other.cancelled)
                     ) {
-                        const delay = Math.min(100 * Math.pow(2, currentAttempt), 1000);
-                        await new Promise((resolve) => setTimeout(resolve, delay));
-                        return tryProxy(upstreamList, currentAttempt + 1);
+                        clearTimeout(hedgeTimer);
+                        reject(err);
                     }
+                };
 
-                    if (!res.headersSent) {
-                        res.status(502).json({
-                            error: 'Bad Gateway',
-                            message: `Failed to connect to upstream: ${selectedUpstream}`,
-                            details: config.isDevelopment ? err.message : undefined,
-                            timestamp: new Date().toISOString()
-                        });
-                    }
-                }
-            });
+                const send = (target, hedged, breaker) => {
+                    const call = {
+                        upstream: target,
+                        hedged,
+                        breaker,
+                        proxyReq: null,
+                        cancelled: false,
+                        failed: false,
+                        sentAt: Date.now()
+                    };
+                    calls.push(call);
 
-            proxy(req, res, (err) => {
-                if (err && !res.headersSent) {
-                    if (enableRetry && currentAttempt < maxRetries) {
-                        const delay = Math.min(100 * Math.pow(2, currentAttempt), 1000);
-                        setTimeout(() => tryProxy(upstreamList, currentAttempt + 1), delay);
-                    } else {
-                        res.status(502).json({
-                            error: 'Bad Gateway',
-                            message: 'Proxy error',
-                            timestamp: new Date().toISOString()
-                        });
-                    }
-                } else if (!err) {
-                    return next();
+                    // Every call's response time counts towards percentile hedge delays; a
+                    // cancelled call counts the time until it was cancelled
+                    let latencyRecorded = false;
+                    const recordLatency = () => {
+                        if (!latencyRecorded) {
+                            latencyRecorded = true;
+                            latencies?.record(Date.now() - call.sentAt);
+                        }
+                    };
+
+                    // Track in-flight requests for least_connections (released once the call settles)
+                    const releaseConnection = loadBalancer.trackRequest(target);
+                    openCalls.add(call);
+                    call.settle = () => {
+                        openCalls.delete(call);
+                        releaseConnection();
+                    };
+
+                    // The client response closed first (the client went away, or the gateway
+                    // answered): the call ends without an upstream verdict, and the upstream
+                    // request is aborted unless its response is complete.
+                    // This listens on the response: a request emits 'close' as soon as its
+                    // body has been read.
+                    call.close = () => {
+                        call.settle();
+                        breaker.success();
+                        if (call.proxyReq && !call.cancelled && !call.proxyReq.res?.complete) {
+                            abandoned = true;
+                            call.proxyReq.destroy();
+                        }
+                    };
+
+                    // Cancel the call once another one answered first; being slower is no failure
+                    call.cancel = () => {
+                        recordLatency();
+                        call.cancelled = true;
+                        breaker.success();
+                        call.settle();
+                        call.proxyReq?.destroy();
+                    };
+
+                    // Create proxy
+                    const proxy = createProxyMiddleware({
+                        target,
+                        changeOrigin: true,
+                        pathRewrite: { [`^${routePath}`]: '' },
+                        agent: target.startsWith('https') ? httpsAgent : httpAgent,
+                        selfHandleResponse,
+
+                        onProxyReq: (proxyReq, req) => {
+                            call.proxyReq = proxyReq;
+                            if (call.cancelled) {
+                                proxyReq.destroy();
+                                return;
+                            }
+
+                            watchUpstreamTimeouts(proxyReq, upstreamTimeouts, (error) => {
+                                if (!res.headersSent) {
+                                    // Surfaces in onError, which answers 504
+                                    proxyReq.destroy(error);
+                                    return;
+                                }
+                                // Mid-response: the status is already sent, so cut the response short
+                                logger.warn('Upstream response timed out', {
+                                    method: req.method,
+                                    originalUrl: req.originalUrl,
+                                    target,
+                                    phase: error.phase
+                                });
+                                proxyReq.destroy();
+                                res.destroy();
+                            });
+
+                            // A body parser or plugin consumed the stream: send the kept bytes instead
+                            if (!restreamBody(proxyReq, req) && maxBodySize) {
+                                limitStreamedBody(req, res, proxyReq, maxBodySize);
+                            }
+
+                            logger.debug('Proxying request', {
+                                method: req.method,
+                                originalUrl: req.originalUrl,
+                                target,
+                                attempt: attempt + 1,
+                                hedged
+                            });
+                        },
+
+                        onProxyRes: (proxyRes, req) => {
+                            if (call.cancelled) {
+                                proxyRes.resume();
+                                return;
+                            }
+
+                            // Released once the upstream response is done, whether or not
+                            // the client response is still open
+                            proxyRes.once('close', () => call.settle());
+
+                            // The first response wins; the other call is cancelled
+                            winner = call;
+                            clearTimeout(hedgeTimer);
+                            for (const other of calls) {
+                                if (other !== call) {
+                                    other.cancel();
+                                }
+                            }
+                            if (calls.length > 1) {
+                                upstreamHedges.inc({
+                                    route: routePath,
+                                    outcome: hedged ? 'won' : 'lost'
+                                });
+                            }
+                            recordLatency();
+
+                            preserveGatewayCookies(proxyRes, res);
+                            recordMetrics(startTime, target, req.method, proxyRes.statusCode);
+
+                            // Update circuit breaker state based on response
+                            // Success: 2xx, 3xx, 4xx (client errors don't indicate upstream failure)
+                            // Failure: 5xx (server errors indicate upstream issues)
+                            if (proxyRes.statusCode < 500) {
+                                breaker.success();
+                            } else {
+                                breaker.failure({ status: proxyRes.statusCode });
+                            }
+
+                            logger.debug('Proxy response received', {
+                                method: req.method,
+                                originalUrl: req.originalUrl,
+                                target,
+                                statusCode: proxyRes.statusCode
+                            });
+
+                            if (retryStatuses.includes(proxyRes.statusCode)) {
+                                // Forwarded after all if the attempt is not retried
+                                call.settle();
+                                reject(
+                                    Object.assign(
+                                        new Error(`Upstream responded with ${proxyRes.statusCode}`),
+                                        { status: proxyRes.statusCode, upstream: target, proxyRes }
+                                    )
+                                );
+                                return;
+                            }
+                            if (selfHandleResponse) {
+                                forwardResponse(proxyRes, res);
+                            }
+                            resolve();
+                        },
+
+                        onError: (err, req) => {
+                            call.settle();
+
+                            // Cancelled because another call answered first
+                            if (call.cancelled) {
+                                return;
+                            }
+
+                            // Aborted because the client went away; not an upstream failure
+                            if (abandoned) {
+                                resolve();
+                                return;
+                            }
+
+                            // Aborted by the gateway for an oversized body; already answered with 413
+                            if (isBodyTooLarge(req)) {
+                                resolve();
+                                return;
+                            }
+
+                            recordLatency();
+                            logger.error('Proxy error', {
+                                requestId: req.requestId,
+                                error: err.message,
+                                code: err.code,
+                                method: req.method,
+                                url: req.originalUrl,
+                                target,
+                                attempt: attempt + 1,
+                                hedged
+                            });
+
+                            // Record failure in circuit breaker (let it manage state)
+                            // Only network/server errors affect circuit state (not 4xx)
+                            breaker.failure(err);
+
+                            fail(call, err);
+                        }
+                    });
+
+                    proxy(req, res, (err) => {
+                        call.settle();
+
+                        if (err) {
+                            breaker.failure(err);
+                            fail(call, err);
+                            return;
+                        }
+                        breaker.success();
+                        resolve();
+                        next();
+                    });
+                };
+
+                send(selectedUpstream, false, breakerCall);
+
+                if (hedgeDelay !== null) {
+                    hedgeTimer = setTimeout(() => {
+                        if (winner || abandoned || responseClosed || res.headersSent) {
+                            return;
+                        }
+                        const hedgeUpstream = loadBalancer.selectUpstream(
+                            upstreams.filter(
+                                (upstream) =>
+                                    upstream !== selectedUpstream &&
+                                    circuitBreakerManager.isAvailable(upstream) &&
+                                    upstreamHealthChecker.isHealthy(upstream)
+                            ),
+                            loadBalanceStrategy,
+                            state,
+                            selectionContext
+                        );
+                        if (!hedgeUpstream) {
+                            return;
+                        }
+                        // Hedges spend the hedge upstream's retry budget like retries do, charged
+                        // only once its breaker let the hedge through
+                        const { budget } = retryPolicy;
+                        if (budget && !retryBudget.hasRetry(routePath, hedgeUpstream, budget)) {
+                            // Counts the skipped hedge
+                            acquireRetry(routePath, hedgeUpstream, budget);
+                            return;
+                        }
+                        const hedgeBreakerCall = circuitBreakerManager.admit(hedgeUpstream);
+                        if (hedgeBreakerCall) {
+                            acquireRetry(routePath, hedgeUpstream, budget);
+                            send(hedgeUpstream, true, hedgeBreakerCall);
+                        }
+                    }, hedgeDelay);
                 }
             });
-        };
 
-        tryProxy(upstreams, 0);
+        retryManager
+            .execute(tryProxy, {
+                maxRetries: retryPolicy.maxRetries,
+                initialDelay: retryPolicy.initialDelay,
+                maxDelay: retryPolicy.maxDelay,
+                factor: retryPolicy.factor,
+                maxRetryTime: retryPolicy.maxRetryTime,
+                shouldRetry: (error) =>
+                    !res.headersSent &&
+                    !abandoned &&
+                    !responseClosed &&
+                    isRetryableFailure(error, req, retryPolicy) &&
+                    acquireRetry(routePath, error.upstream, retryPolicy.budget),
+                onRetry: (retry, error) => {
+                    // Discard the held response of the failed attempt
+                    error.proxyRes?.resume();
+                    upstreamRetries.inc({
+                        route: routePath,
+                        upstream: error.upstream,
+                        reason: String(error.status || error.code)
+                    });
+                }
+            })
+            .catch((error) => sendProxyFailure(error, req, res));
     };
 }
 
+/**
+ * Take a retry from the route's and upstream's retry budgets
+ * A spent budget skips the retry; the failed attempt is answered as is.
+ * @private
+ */
+function acquireRetry(routePath, upstream, budget) {
+    if (!budget || retryBudget.tryAcquire(routePath, upstream, budget)) {
+        return true;
+    }
+    retryBudgetExhausted.inc({ route: routePath, upstream });
+    return false;
+}
+
+/**
+ * Answer the client after the last proxy attempt failed
+ * @private
+ */
+function sendProxyFailure(error, req, res) {
+    if (res.headersSent || isBodyTooLarge(req)) {
+        return;
+    }
+
+    if (error.proxyRes) {
+        // Out of retries: pass the upstream's own error response on
+        forwardResponse(error.proxyRes, res);
+    } else if (error.code === 'ENOUPSTREAM') {
+        res.status(503).json({
+            error: 'Service Unavailable',
+            message: 'No upstream services available'
+        });
+    } else if (error.code === 'EBREAKEROPEN') {
+        res.status(503).json({
+            error: 'Service Unavailable',
+            message: `Upstream ${error.upstream} is unavailable (circuit breaker open)`,
+            timestamp: new Date().toISOString()
+        });
+    } else if (error.phase) {
+        res.status(504).json({
+            error: 'Gateway Timeout',
+            message: TIMEOUT_MESSAGES[error.phase],
+            phase: error.phase,
+            timestamp: new Date().toISOString()
+        });
+    } else {
+        res.status(502).json({
+            error: 'Bad Gateway',
+            message: `Failed to connect to upstream: ${error.upstream}`,
+            details: config.isDevelopment ? error.message : undefined,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+/**
+ * Write an upstream response the proxy held back (`selfHandleResponse`)
+ * Connection-level headers are left to the gateway's own connection.
+ * @private
+ */
+function forwardResponse(proxyRes, res) {
+    res.statusCode = proxyRes.statusCode;
+    res.statusMessage = proxyRes.statusMessage;
+    for (const [name, value] of Object.entries(proxyRes.headers)) {
+        if (!HOP_BY_HOP_HEADERS.includes(name)) {
+            res.setHeader(name, value);
+        }
+    }
+    proxyRes.pipe(res);
+}
+
 /**
  * Record upstream metrics
  * @private
@@ -305,4 +1120,4 @@ function recordMetrics(startTime, upstream, method, statusCode) {
     upstreamRequestTotal.inc({ upstream, method, status_code: statusStr });
 }
 
-module.exports = { buildRouter };
+module.exports = { buildRouter, getRouteTable };
@@ -0,0 +1,197 @@
+/**
+ * TTL Cache
+ *
+ * Bounded in-memory cache with per-entry expiry, optionally backed by Redis
+ * so entries are shared between gateway instances. The memory tier evicts
+ * the least recently used entry once `maxEntries` is reached.
+ *
+ * @module lib/ttlCache
+ */
+
+const logger = require('./logger');
+
+class TtlCache {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxEntries=10000] - Maximum entries kept in memory
+     * @param {string} [options.prefix='cache:'] - Redis key prefix
+     * @param {Function} [options.getRedisClient] - Returns a ready ioredis client or null;
+     *   called per operation so a client connected after startup is picked up
+     */
+    constructor({ maxEntries = 10000, prefix = 'cache:', getRedisClient = () => null } = {}) {
+        this.maxEntries = maxEntries;
+        this.prefix = prefix;
+        this.getRedisClient = getRedisClient;
+        /** @type {Map<string, {value: *, expiresAt: number}>} */
+        this.entries = new Map();
+    }
+
+    /**
+     * Number of entries in the memory tier (including not yet purged expired ones)
+     * @returns {number}
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Get a cached value
+     * @param {string} key
+     * @returns {Promise<*>} The value, or undefined on a miss
+     */
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            if (entry.expiresAt > Date.now()) {
+                // Refresh recency
+                this.entries.delete(key);
+                this.entries.set(key, entry);
+                return entry.value;
+            }
+            this.entries.delete(key);
+        }
+
+        const redis = this.getRedisClient();
+        if (!redis) {
+            return undefined;
+        }
+
+        try {
+            const stored = await redis.get(this.prefix + key);
+            if (!stored) {
+                return undefined;
+            }
+            const { value, expiresAt } = JSON.parse(stored);
+            if (expiresAt <= Date.now()) {
+                return undefined;
+            }
+            this._setLocal(key, value, expiresAt);
+            return value;
+        } catch (error) {
+            logger.warn('Cache read from Redis failed', {
+                prefix: this.prefix,
+                error: error.message
+            });
+            return undefined;
+        }
+    }
+
+    /**
+     * Cache a value
+     * @param {string} key
+     * @param {*} value - Must be JSON-serializable when Redis is used
+     * @param {number} ttlMs - Time to live in milliseconds (<= 0 is not cached)
+     * @returns {Promise<void>}
+     */
+    async set(key, value, ttlMs) {
+        if (!(ttlMs > 0)) {
+            return;
+        }
+        const expiresAt = Date.now() + ttlMs;
+        this._setLocal(key, value, expiresAt);
+
+        const redis = this.getRedisClient();
+        if (!redis) {
+            return;
+        }
+
+        try {
+            await redis.set(
+                this.prefix + key,
+                JSON.stringify({ value, expiresAt }),
+                'PX',
+                Math.ceil(ttlMs)
+            );
+        } catch (error) {
+            logger.warn('Cache write to Redis failed', {
+                prefix: this.prefix,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Cache a value only if the key is not already present
+     * With Redis the check is atomic across instances (SET NX), which makes
+     * this usable as a replay/nonce guard.
+     * @param {string} key
+     * @param {*} value - Must be JSON-serializable when Redis is used
+     * @param {number} ttlMs - Time to live in milliseconds (must be > 0)
+     * @returns {Promise<boolean>} True if the value was stored
+     */
+    async add(key, value, ttlMs) {
+        const entry = this.entries.get(key);
+        if (entry && entry.expiresAt > Date.now()) {
+            return false;
+        }
+        const expiresAt = Date.now() + ttlMs;
+
+        const redis = this.getRedisClient();
+        if (redis) {
+            try {
+                const stored = await redis.set(
+                    this.prefix + key,
+                    JSON.stringify({ value, expiresAt }),
+                    'PX',
+                    Math.ceil(ttlMs),
+                    'NX'
+                );
+                if (stored === null) {
+                    return false;
+                }
+            } catch (error) {
+                logger.warn('Cache write to Redis failed', {
+                    prefix: this.prefix,
+                    error: error.message
+                });
+            }
+        }
+
+        this._setLocal(key, value, expiresAt);
+        return true;
+    }
+
+    /**
+     * Remove a value from both tiers
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        this.entries.delete(key);
+
+        const redis = this.getRedisClient();
+        if (!redis) {
+            return;
+        }
+
+        try {
+            await redis.del(this.prefix + key);
+        } catch (error) {
+            logger.warn('Cache delete in Redis failed', {
+                prefix: this.prefix,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Clear the memory tier
+     */
+    clear() {
+        this.entries.clear();
+    }
+
+    /**
+     * Store in memory, evicting the least recently used entry when full
+     * @private
+     */
+    _setLocal(key, value, expiresAt) {
+        this.entries.delete(key);
+        if (this.entries.size >= this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        this.entries.set(key, { value, expiresAt });
+    }
+}
+
+module.exports = TtlCache;
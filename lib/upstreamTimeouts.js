@@ -0,0 +1,136 @@
+/**
+ * Upstream Timeouts
+ *
+ * Phase timeouts for proxied requests: connecting to the upstream, waiting
+ * for the first response byte once the request has been sent, and gaps in
+ * traffic while the request or response body streams.
+ *
+ * @module lib/upstreamTimeouts
+ */
+
+/** Phases in the order a request goes through them */
+const TIMEOUT_PHASES = ['connect', 'firstByte', 'idle'];
+
+/** 504 messages by phase */
+const TIMEOUT_MESSAGES = {
+    connect: 'Timed out connecting to upstream',
+    firstByte: 'Timed out waiting for the upstream response',
+    idle: 'Upstream connection went idle'
+};
+
+/**
+ * Resolve a route's phase timeouts
+ * @param {object} [timeouts] - Route `timeouts` block ({ connect, firstByte, idle })
+ * @param {number} total - Route timeout; firstByte and idle default to it
+ * @returns {{connect: number|null, firstByte: number, idle: number}}
+ */
+const resolveUpstreamTimeouts = (timeouts = {}, total) => ({
+    connect: timeouts.connect ?? null,
+    firstByte: timeouts.firstByte ?? total,
+    idle: timeouts.idle ?? total
+});
+
+/**
+ * Validate a route's `timeouts` block
+ * @param {*} timeouts
+ * @throws {Error} If it is not an object of positive integer phase timeouts
+ */
+const validateUpstreamTimeouts = (timeouts) => {
+    if (!timeouts || typeof timeouts !== 'object' || Array.isArray(timeouts)) {
+        throw new Error('timeouts must be an object');
+    }
+    for (const [phase, value] of Object.entries(timeouts)) {
+        if (!TIMEOUT_PHASES.includes(phase)) {
+            throw new Error(
+                `Unknown timeout phase "${phase}" (expected ${TIMEOUT_PHASES.join(', ')})`
+            );
+        }
+        if (!Number.isInteger(value) || value < 1) {
+            throw new Error(`timeouts.${phase} must be a positive integer (milliseconds)`);
+        }
+    }
+};
+
+/**
+ * Watch an upstream request and fail it when a phase takes too long
+ * Call from `onProxyReq` (the socket is assigned by then). `onTimeout` is
+ * called at most once, with an ETIMEDOUT error carrying the `phase`.
+ * @param {http.ClientRequest} proxyReq
+ * @param {{connect: number|null, firstByte: number|null, idle: number|null}} timeouts
+ * @param {Function} onTimeout - (error) => void
+ */
+const watchUpstreamTimeouts = (proxyReq, timeouts, onTimeout) => {
+    let timer = null;
+    let done = false;
+
+    const fire = (phase) => {
+        if (done) {
+            return;
+        }
+        done = true;
+        clearTimeout(timer);
+        const error = new Error(`Upstream ${phase} timeout after ${timeouts[phase]}ms`);
+        error.code = 'ETIMEDOUT';
+        error.phase = phase;
+        onTimeout(error);
+    };
+    const arm = (phase) => {
+        clearTimeout(timer);
+        if (timeouts[phase]) {
+            timer = setTimeout(() => fire(phase), timeouts[phase]);
+        }
+    };
+    // Idle uses the socket's inactivity timer, which counts traffic in both directions
+    const setIdle = (enabled) => proxyReq.setTimeout(enabled && timeouts.idle ? timeouts.idle : 0);
+
+    proxyReq.on('timeout', () => fire('idle'));
+
+    let connected = !proxyReq.socket?.connecting;
+    let sent = false;
+    const awaitResponse = () => {
+        setIdle(false);
+        arm('firstByte');
+    };
+
+    if (connected) {
+        setIdle(true);
+    } else {
+        arm('connect');
+        proxyReq.socket.once('connect', () => {
+            connected = true;
+            clearTimeout(timer);
+            if (sent) {
+                awaitResponse();
+            } else {
+                setIdle(true);
+            }
+        });
+    }
+
+    proxyReq.once('finish', () => {
+        sent = true;
+        if (connected) {
+            awaitResponse();
+        }
+    });
+    proxyReq.once('response', (proxyRes) => {
+        clearTimeout(timer);
+        setIdle(true);
+        // The agent restores its own socket timeout when the socket is released
+        proxyRes.once('end', () => {
+            done = true;
+        });
+    });
+    proxyReq.once('close', () => {
+        done = true;
+        clearTimeout(timer);
+    });
+};
+
+module.exports = {
+    TIMEOUT_PHASES,
+    TIMEOUT_MESSAGES,
+    resolveUpstreamTimeouts,
+    validateUpstreamTimeouts,
+    watchUpstreamTimeouts
+};
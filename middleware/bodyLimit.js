@@ -0,0 +1,127 @@
+/**
+ * Body Size Limit Middleware
+ *
+ * Enforces a route's `maxBodySize` without buffering: requests announcing a
+ * larger Content-Length are rejected before the body is read (and before
+ * `100 Continue` is sent), and streamed bodies are counted on their way to
+ * the upstream and cut off once they exceed the limit.
+ *
+ * @module middleware/bodyLimit
+ */
+
+const logger = require('../lib/logger');
+const { PayloadTooLargeError } = require('../lib/errors');
+
+const SIZE_UNITS = {
+    b: 1,
+    kb: 1024,
+    mb: 1024 * 1024,
+    gb: 1024 * 1024 * 1024
+};
+
+/** Requests rejected for their body size (their proxy errors are expected) */
+const rejectedRequests = new WeakSet();
+
+/**
+ * Parse a size such as `64kb`, `500mb` or a number of bytes
+ * @param {string|number} value
+ * @returns {number} Size in bytes
+ * @throws {Error} If the value is not a positive size
+ */
+const parseByteSize = (value) => {
+    if (Number.isInteger(value) && value > 0) {
+        return value;
+    }
+    const match =
+        typeof value === 'string' && /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?\s*$/i.exec(value);
+    const bytes = match
+        ? Math.floor(Number(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()])
+        : 0;
+    if (bytes < 1) {
+        throw new Error(
+            `Invalid size "${value}" (expected bytes or a value like 64kb, 500mb, 1gb)`
+        );
+    }
+    return bytes;
+};
+
+/**
+ * Answer an oversized request with 413 and close the connection
+ * The rest of the body is never read.
+ * @private
+ */
+const rejectTooLarge = (req, res, maxBytes) => {
+    rejectedRequests.add(req);
+    logger.warn('Request body too large', {
+        method: req.method,
+        originalUrl: req.originalUrl,
+        contentLength: req.headers['content-length'],
+        maxBodySize: maxBytes
+    });
+
+    if (res.headersSent) {
+        req.socket?.destroy();
+        return;
+    }
+    res.set('Connection', 'close');
+    res.status(413).json(
+        new PayloadTooLargeError(`Request body exceeds ${maxBytes} bytes`, {
+            limit: maxBytes
+        }).toJSON()
+    );
+};
+
+/**
+ * Create middleware rejecting requests whose Content-Length exceeds the limit
+ * @param {number} maxBytes
+ * @returns {Function} Express middleware
+ */
+const createBodySizeLimit = (maxBytes) => (req, res, next) => {
+    const length = Number(req.headers['content-length']);
+    if (length > maxBytes) {
+        return rejectTooLarge(req, res, maxBytes);
+    }
+    return next();
+};
+
+/**
+ * Count the bytes of a body streamed to the upstream and abort past the limit
+ * Call from `onProxyReq`, before the request is piped. Bodies already consumed
+ * by a parser or plugin were bounded when they were read.
+ * @param {express.Request} req
+ * @param {express.Response} res
+ * @param {http.ClientRequest} proxyReq
+ * @param {number} maxBytes
+ */
+const limitStreamedBody = (req, res, proxyReq, maxBytes) => {
+    if (Buffer.isBuffer(req.rawBody) || req.readableEnded) {
+        return;
+    }
+
+    let received = 0;
+    const onData = (chunk) => {
+        received += chunk.length;
+        if (received <= maxBytes) {
+            return;
+        }
+        req.removeListener('data', onData);
+        req.unpipe(proxyReq);
+        rejectTooLarge(req, res, maxBytes);
+        proxyReq.destroy();
+    };
+    req.on('data', onData);
+};
+
+/**
+ * Whether a request was rejected for its body size
+ * @param {express.Request} req
+ * @returns {boolean}
+ */
+const isBodyTooLarge = (req) => rejectedRequests.has(req);
+
+module.exports = {
+    parseByteSize,
+    createBodySizeLimit,
+    limitStreamedBody,
+    isBodyTooLarge
+};
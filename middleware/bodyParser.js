@@ -0,0 +1,68 @@
+/**
+ * Body Parser Middleware
+ *
+ * Per-route, opt-in body parsing. The gateway does not parse bodies
+ * globally: proxied requests stream straight to the upstream. Routes whose
+ * plugins need `req.body` list the parsers they want (`bodyParser: json`);
+ * the consumed bytes are kept on `req.rawBody` and re-sent by the proxy.
+ *
+ * @module middleware/bodyParser
+ */
+
+const express = require('express');
+const { captureRawBody, sendContinue } = require('../lib/rawBody');
+
+/** Size limit for parsed bodies on routes without `maxBodySize` */
+const DEFAULT_PARSED_BODY_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Available parsers by name
+ */
+const BODY_PARSERS = {
+    json: (limit) => express.json({ limit, verify: captureRawBody }),
+    urlencoded: (limit) => express.urlencoded({ extended: true, limit, verify: captureRawBody }),
+    text: (limit) => express.text({ limit, verify: captureRawBody })
+};
+
+/**
+ * Normalize a route's `bodyParser` setting
+ * @param {string|Array<string>|undefined} setting - Parser name(s) from gateway.yaml
+ * @returns {Array<string>} Parser names (empty when not configured)
+ * @throws {Error} If a parser name is unknown
+ */
+const parseBodyParserSetting = (setting) => {
+    if (setting === undefined || setting === null) {
+        return [];
+    }
+    const names = Array.isArray(setting) ? setting : [setting];
+    for (const name of names) {
+        if (!Object.prototype.hasOwnProperty.call(BODY_PARSERS, name)) {
+            throw new Error(
+                `Unknown body parser "${name}" (expected ${Object.keys(BODY_PARSERS).join(', ')})`
+            );
+        }
+    }
+    return [...new Set(names)];
+};
+
+/**
+ * Create the body parsers for a route
+ * @param {string|Array<string>} setting - Parser name(s): json, urlencoded, text
+ * @param {object} [options]
+ * @param {string|number} [options.limit=10485760] - Maximum body size (the route's maxBodySize)
+ * @returns {Array<Function>} Express middleware, in the order given
+ * @throws {Error} If a parser name is unknown
+ */
+const createBodyParser = (setting, { limit = DEFAULT_PARSED_BODY_SIZE } = {}) => [
+    (req, res, next) => {
+        sendContinue(req, res);
+        next();
+    },
+    ...parseBodyParserSetting(setting).map((name) => BODY_PARSERS[name](limit))
+];
+
+module.exports = {
+    BODY_PARSERS,
+    parseBodyParserSetting,
+    createBodyParser
+};
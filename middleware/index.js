@@ -12,6 +12,8 @@ const rateLimiter = require('./rateLimiter');
 const requestId = require('./requestId');
 const requestLogger = require('./requestLogger');
 const requestTimeout = require('./requestTimeout');
+const bodyParser = require('./bodyParser');
+const bodyLimit = require('./bodyLimit');
 const errorHandler = require('./errorHandler');
 
 module.exports = {
@@ -22,6 +24,7 @@ module.exports = {
     // Rate limiting
     rateLimiter,
     createRateLimiter: rateLimiter.createRateLimiter,
+    createRouteRateLimiter: rateLimiter.createRouteRateLimiter,
     globalRateLimiter: rateLimiter.globalRateLimiter,
     strictRateLimiter: rateLimiter.strictRateLimiter,
 
@@ -29,6 +32,10 @@ module.exports = {
     requestId,
     requestLogger,
     requestTimeout,
+    bodyParser,
+    createBodyParser: bodyParser.createBodyParser,
+    bodyLimit,
+    createBodySizeLimit: bodyLimit.createBodySizeLimit,
 
     // Error handling
     errorHandler,
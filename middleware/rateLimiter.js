@@ -11,6 +11,7 @@
  * @module middleware/rateLimiter
  */
 
+const crypto = require('crypto');
 const rateLimit = require('express-rate-limit');
 const config = require('../lib/config');
 const logger = require('../lib/logger');
@@ -76,6 +77,34 @@ const initializeRedis = async () => {
  */
 const getStore = () => redisStore || undefined;
 
+/**
+ * Create a dedicated Redis store with its own key prefix
+ * Stores cannot be shared between limiters with different windows,
+ * so each per-route limiter gets its own instance.
+ * @param {string} prefix - Redis key prefix
+ * @returns {object|undefined} Redis store or undefined if Redis is not connected
+ */
+const createRedisStore = (prefix) => {
+    if (!redisClient) {
+        return undefined;
+    }
+    const { RedisStore } = require('rate-limit-redis');
+    return new RedisStore({
+        sendCommand: (...args) => redisClient.call(...args),
+        prefix
+    });
+};
+
+/**
+ * Default skip rule - never rate limit health and metrics endpoints
+ * @param {express.Request} req
+ * @returns {boolean}
+ */
+const skipInternalEndpoints = (req) => {
+    const skipPaths = ['/health', '/metrics', '/livez', '/readyz', '/startupz'];
+    return skipPaths.includes(req.path);
+};
+
 /**
  * Check if Redis is connected
  * @returns {boolean}
@@ -84,6 +113,113 @@ const isRedisConnected = () => {
     return redisClient?.status === 'ready';
 };
 
+/**
+ * Get the shared Redis client for other gateway components (e.g. auth caching)
+ * @returns {object|null} Connected ioredis client, or null if Redis is not connected
+ */
+const getRedisClient = () => (isRedisConnected() ? redisClient : null);
+
+/** Header injected by central-auth after a token has been verified */
+const AUTH_USER_HEADER = 'X-User-Id';
+
+/** Default header carrying API keys for the `apiKey` key source */
+const DEFAULT_API_KEY_HEADER = 'x-api-key';
+
+/**
+ * Get the client IP (Express normalizes X-Forwarded-For when trust proxy is set)
+ * @param {express.Request} req
+ * @returns {string}
+ */
+const getClientIp = (req) => req.ip || '127.0.0.1';
+
+/**
+ * Hash a client-supplied credential so raw secrets never end up in store keys
+ * @param {string} value
+ * @returns {string}
+ */
+const hashKeyPart = (value) => crypto.createHash('sha256').update(value).digest('hex').slice(0, 32);
+
+/**
+ * Build a resolver for a single key source
+ * Identity sources return null for anonymous requests so the caller can fall back to IP.
+ * @param {string} source - `ip`, `user`, `apiKey`, `route` or `header:<name>`
+ * @param {object} options
+ * @param {string} [options.apiKeyHeader] - Header carrying API keys
+ * @returns {Function} (req) => string|null
+ */
+const createKeySource = (source, options) => {
+    if (source === 'ip') {
+        return (req) => `ip:${getClientIp(req)}`;
+    }
+
+    if (source === 'route') {
+        return (req) => `route:${req.baseUrl || req.path}`;
+    }
+
+    if (source === 'user') {
+        // Only trust the header set by central-auth, never a client-sent x-user-id
+        return (req) => {
+            const userId = req.headers[AUTH_USER_HEADER];
+            return userId ? `user:${userId}` : null;
+        };
+    }
+
+    if (source === 'apiKey' || source.startsWith('header:')) {
+        const header = (
+            source === 'apiKey'
+                ? options.apiKeyHeader || DEFAULT_API_KEY_HEADER
+                : source.slice('header:'.length)
+        )
+            .trim()
+            .toLowerCase();
+
+        if (!header) {
+            throw new Error(`Invalid rate limit key source "${source}": header name is empty`);
+        }
+
+        const label = source === 'apiKey' ? 'apikey' : `header:${header}`;
+        return (req) => {
+            const value = req.headers[header];
+            return typeof value === 'string' && value ? `${label}:${hashKeyPart(value)}` : null;
+        };
+    }
+
+    throw new Error(`Invalid rate limit key source "${source}"`);
+};
+
+/**
+ * Create a key generator from a `keyBy` spec
+ * A single source or an array for composite keys (e.g. `[ip, route]`).
+ * Anonymous requests fall back to the client IP for identity sources.
+ * @param {string|string[]} [keyBy='ip'] - Key source(s)
+ * @param {object} [options]
+ * @param {string} [options.apiKeyHeader] - Header carrying API keys (default: X-API-Key)
+ * @returns {Function} (req) => string
+ * @throws {Error} If a key source is unknown
+ */
+const createKeyGenerator = (keyBy = 'ip', options = {}) => {
+    const sources = Array.isArray(keyBy) ? keyBy : [keyBy];
+    if (sources.length === 0 || sources.some((source) => typeof source !== 'string')) {
+        throw new Error('Rate limit keyBy must be a string or a non-empty array of strings');
+    }
+
+    // Plain IP keeps the historical key format (bare address)
+    if (sources.length === 1 && sources[0] === 'ip') {
+        return getClientIp;
+    }
+
+    const resolvers = sources.map((source) => createKeySource(source, options));
+
+    return (req) => resolvers.map((resolve) => resolve(req) || `ip:${getClientIp(req)}`).join('|');
+};
+
+/**
+ * Check whether a key spec depends on identity set by auth plugins
+ * @param {string|string[]} [keyBy]
+ * @returns {boolean}
+ */
+const requiresAuthIdentity = (keyBy) => [].concat(keyBy || []).includes('user');
+
 /**
  * Create a rate limiter with custom options
  * @param {object} options - Rate limiter options
@@ -91,6 +227,10 @@ const isRedisConnected = () => {
  * @param {number} [options.max] - Max requests per window
  * @param {string} [options.message] - Error message
  * @param {boolean} [options.useRedis] - Force Redis store (default: auto-detect)
+ * @param {string} [options.prefix] - Dedicated Redis key prefix (default: shared `rl:` store)
+ * @param {Function} [options.skip] - Skip predicate (default: health/metrics endpoints)
+ * @param {string|string[]} [options.keyBy] - Key source(s), see createKeyGenerator (default: ip)
+ * @param {string} [options.apiKeyHeader] - Header carrying API keys for the `apiKey` source
  * @returns {Function} Rate limiter middleware
  */
 const createRateLimiter = (options = {}) => {
@@ -101,12 +241,21 @@ const createRateLimiter = (options = {}) => {
         skipSuccessfulRequests = false,
         skipFailedRequests = false,
         useRedis = true,
+        prefix,
+        skip = skipInternalEndpoints,
+        keyBy = 'ip',
+        apiKeyHeader,
         ...restOptions
     } = options;
 
+    const keyGenerator = createKeyGenerator(keyBy, { apiKeyHeader });
+
     // Only use Redis store if explicitly requested AND available
     // Otherwise allow caller to provide their own store via restOptions
-    const redisStore = useRedis ? getStore() : undefined;
+    let redisStore;
+    if (useRedis) {
+        redisStore = prefix ? createRedisStore(prefix) : getStore();
+    }
 
     return rateLimit({
         windowMs,
@@ -129,12 +278,8 @@ const createRateLimiter = (options = {}) => {
         // - creationStack: we intentionally use lazy init for Redis
         // - keyGeneratorIpFallback: we use req.ip which handles IPv6
         validate: false,
-        // Use req.ip which Express normalizes (handles IPv6 properly when trust proxy is set)
-        keyGenerator: (req) => {
-            // Express's req.ip already handles X-Forwarded-For when trust proxy is enabled
-            // and normalizes IPv6 addresses properly
-            return req.ip || '127.0.0.1';
-        },
+        // IP-based by default; req.ip handles X-Forwarded-For and IPv6 when trust proxy is set
+        keyGenerator,
 
         // Custom rate limit exceeded handler
         handler: (req, res) => {
@@ -142,6 +287,7 @@ const createRateLimiter = (options = {}) => {
                 ip: req.ip || req.connection?.remoteAddress || 'unknown',
                 url: req.originalUrl || req.url,
                 method: req.method,
+                keyBy,
                 store: redisStore ? 'redis' : 'memory'
             });
             res.status(429).json({
@@ -151,11 +297,7 @@ const createRateLimiter = (options = {}) => {
             });
         },
 
-        // Skip rate limiting for health and metrics endpoints
-        skip: (req) => {
-            const skipPaths = ['/health', '/metrics', '/livez', '/readyz', '/startupz'];
-            return skipPaths.includes(req.path);
-        }
+        skip
     });
 };
 
@@ -204,6 +346,44 @@ const wrapLimiter = (getLimiter) => {
 const globalRateLimiter = wrapLimiter(getGlobalRateLimiter);
 const strictRateLimiter = wrapLimiter(getStrictRateLimiter);
 
+/**
+ * Create a rate limiter for a single gateway route
+ * Counters are isolated per route via a dedicated store (Redis prefix `rl:route:<path>:`).
+ * The limiter is created lazily so it picks up Redis if it connects after routes are built.
+ * @param {string} routePath - Route path from gateway.yaml
+ * @param {object} options - Route `rateLimit` block ({ windowMs, max, message })
+ * @returns {Function} Express middleware with a `shutdown()` method to release its store
+ */
+const createRouteRateLimiter = (routePath, options = {}) => {
+    const { MemoryStore } = require('express-rate-limit');
+    let limiter = null;
+    let memoryStore = null;
+
+    const middleware = wrapLimiter(() => {
+        if (!limiter) {
+            const prefix = `rl:route:${routePath}:`;
+            const hasRedis = !!getStore();
+            memoryStore = hasRedis ? null : new MemoryStore();
+
+            limiter = createRateLimiter({
+                ...options,
+                ...(hasRedis ? { prefix } : { useRedis: false, store: memoryStore }),
+                // Route-relative paths like /health belong to the upstream, not the gateway
+                skip: () => false
+            });
+        }
+        return limiter;
+    });
+
+    middleware.shutdown = () => {
+        memoryStore?.shutdown();
+        memoryStore = null;
+        limiter = null;
+    };
+
+    return middleware;
+};
+
 /**
  * Graceful shutdown - close Redis connection
  */
@@ -222,8 +402,12 @@ module.exports = {
     createRateLimiter,
     globalRateLimiter,
     strictRateLimiter,
+    createRouteRateLimiter,
+    createKeyGenerator,
+    requiresAuthIdentity,
     initializeRedis,
     isRedisConnected,
+    getRedisClient,
     getStore,
     shutdown
 };
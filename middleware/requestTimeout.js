@@ -2,7 +2,8 @@
  * Request Timeout Middleware
  *
  * Enforces request timeouts to prevent slow clients
- * from holding connections indefinitely.
+ * from holding connections indefinitely. Routes with their own `timeout`
+ * replace the global value (`setRequestTimeout`).
  *
  * @module middleware/requestTimeout
  */
@@ -10,6 +11,9 @@
 const config = require('../lib/config');
 const logger = require('../lib/logger');
 
+/** Timeouts set by routes, by request */
+const routeTimeouts = new WeakMap();
+
 /**
  * Create request timeout middleware
  * @param {number} [timeoutMs] - Timeout in milliseconds
@@ -17,27 +21,44 @@ const logger = require('../lib/logger');
  */
 const requestTimeout = (timeoutMs = config.timeouts.request) => {
     return (req, res, next) => {
-        req.setTimeout(timeoutMs, () => {
-            if (!res.headersSent) {
-                logger.warn('Request timed out', {
-                    method: req.method,
-                    url: req.originalUrl || req.url,
-                    timeout: timeoutMs
-                });
-
-                res.status(504).json({
-                    error: 'Gateway Timeout',
-                    message: 'Request timed out',
-                    timestamp: new Date().toISOString()
-                });
+        // On the response: the request only reports socket timeouts while its body is unread
+        res.setTimeout(timeoutMs, () => {
+            if (res.headersSent) {
+                // Mid-response nothing can be reported: terminate the underlying socket
+                req.destroy();
+                return;
             }
 
-            // Terminate the underlying socket
-            req.destroy();
+            logger.warn('Request timed out', {
+                method: req.method,
+                url: req.originalUrl || req.url,
+                timeout: routeTimeouts.get(req) ?? timeoutMs
+            });
+
+            // Close the connection once the 504 is out (destroying it now would discard it)
+            res.set('Connection', 'close');
+            res.status(504).json({
+                error: 'Gateway Timeout',
+                message: 'Request timed out',
+                phase: 'request',
+                timestamp: new Date().toISOString()
+            });
         });
 
         next();
     };
 };
 
+/**
+ * Replace the timeout of a request already covered by `requestTimeout`
+ * @param {express.Request} req
+ * @param {express.Response} res
+ * @param {number} timeoutMs - New timeout in milliseconds
+ */
+const setRequestTimeout = (req, res, timeoutMs) => {
+    routeTimeouts.set(req, timeoutMs);
+    res.setTimeout(timeoutMs);
+};
+
 module.exports = requestTimeout;
+module.exports.setRequestTimeout = setRequestTimeout;
@@ -1,8 +1,9 @@
 /**
  * Security Middleware
  *
- * Applies security headers, CORS, compression,
- * and body parsing with size limits.
+ * Applies security headers, CORS and compression.
+ * Request bodies are not parsed here so proxied requests stream through;
+ * see middleware/bodyParser for per-route parsing.
  *
  * @module middleware/security
  */
@@ -10,7 +11,6 @@
 const helmet = require('helmet');
 const cors = require('cors');
 const compression = require('compression');
-const express = require('express');
 const config = require('../lib/config');
 
 /**
@@ -88,20 +88,6 @@ const securityMiddleware = (app) => {
     if (config.server.trustProxy) {
         app.set('trust proxy', true);
     }
-
-    // Body parsers with size limits
-    app.use(
-        express.json({
-            limit: config.server.requestBodyLimit
-        })
-    );
-
-    app.use(
-        express.urlencoded({
-            extended: true,
-            limit: config.server.requestBodyLimit
-        })
-    );
 };
 
 module.exports = securityMiddleware;
@@ -0,0 +1,288 @@
+/**
+ * API Key Authentication Plugin
+ *
+ * Authenticates partner integrations by API key. Keys are stored as SHA-256
+ * hashes in a key file and/or Redis; each key belongs to a consumer with
+ * optional expiry, allowed routes and its own rate limit.
+ *
+ * @module plugins/api-key
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const yaml = require('js-yaml');
+const logger = require('../lib/logger');
+const { createRequestMatcher } = require('../lib/pathMatcher');
+const { UnauthorizedError, ForbiddenError, ServiceUnavailableError } = require('../lib/errors');
+const { createRouteRateLimiter, getRedisClient } = require('../middleware/rateLimiter');
+const { apiKeyRequests } = require('../routes/metrics');
+
+/** Header set for upstreams; client-supplied values are always replaced */
+const CONSUMER_HEADER = 'x-consumer-id';
+
+/** Per-consumer limiters, shared by every route using the same limit */
+const consumerLimiters = new Map();
+
+/**
+ * Hash an API key the way key stores hold it
+ * @param {string} key
+ * @returns {string} Lowercase hex SHA-256
+ */
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Validate a key entry and compile its route rules
+ * @private
+ * @param {object} entry - { consumer, hash, expiresAt?, routes?, rateLimit? }
+ * @param {string} source - Where the entry came from (for error messages)
+ * @returns {{consumer: string, hash: string, expiresAt: number|null,
+ *   isAllowedRoute: Function|null, rateLimit: object|null}}
+ * @throws {Error} If the entry is invalid
+ */
+const compileKeyEntry = (entry, source) => {
+    if (!entry || typeof entry !== 'object') {
+        throw new Error(`${source}: key entry must be an object`);
+    }
+    if (typeof entry.consumer !== 'string' || !/^[A-Za-z0-9_.-]+$/.test(entry.consumer)) {
+        throw new Error(`${source}: consumer must be a name of letters, digits, "_", "." or "-"`);
+    }
+    const hash = typeof entry.hash === 'string' ? entry.hash.replace(/^sha256:/i, '') : '';
+    if (!/^[0-9a-f]{64}$/i.test(hash)) {
+        throw new Error(`${source}: hash must be a hex SHA-256 of the key`);
+    }
+
+    let expiresAt = null;
+    if (entry.expiresAt !== undefined && entry.expiresAt !== null) {
+        expiresAt = new Date(entry.expiresAt).getTime();
+        if (Number.isNaN(expiresAt)) {
+            throw new Error(`${source}: expiresAt must be a date`);
+        }
+    }
+
+    const { rateLimit } = entry;
+    if (
+        rateLimit !== undefined &&
+        (!rateLimit ||
+            !Number.isInteger(rateLimit.windowMs) ||
+            rateLimit.windowMs < 1 ||
+            !Number.isInteger(rateLimit.max) ||
+            rateLimit.max < 1)
+    ) {
+        throw new Error(`${source}: rateLimit needs positive integer windowMs and max`);
+    }
+
+    return {
+        consumer: entry.consumer,
+        hash: hash.toLowerCase(),
+        expiresAt,
+        isAllowedRoute: entry.routes ? createRequestMatcher(entry.routes) : null,
+        rateLimit: rateLimit || null
+    };
+};
+
+/**
+ * Load hashed keys from a YAML or JSON file (`keys: [...]`)
+ * @private
+ * @param {string} keysFile
+ * @returns {Map<string, object>} Compiled entries by hash
+ * @throws {Error} If the file cannot be read or holds an invalid entry
+ */
+const loadKeysFile = (keysFile) => {
+    let document;
+    try {
+        document = yaml.load(fs.readFileSync(keysFile, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read keysFile ${keysFile}: ${error.message}`);
+    }
+    if (!document || !Array.isArray(document.keys)) {
+        throw new Error(`keysFile ${keysFile} must contain a "keys" list`);
+    }
+
+    const keys = new Map();
+    document.keys.forEach((entry, index) => {
+        const compiled = compileKeyEntry(entry, `${keysFile} keys[${index}]`);
+        keys.set(compiled.hash, compiled);
+    });
+    return keys;
+};
+
+/**
+ * Remove a query parameter from a URL path
+ * Only the parameter's own `name=value` segments are dropped; the rest of the
+ * query string is kept byte for byte, as upstreams may rely on its encoding.
+ * @private
+ * @param {string} url - Path with optional query string
+ * @param {string} param
+ * @returns {string}
+ */
+const removeQueryParam = (url, param) => {
+    const index = url.indexOf('?');
+    if (index === -1) {
+        return url;
+    }
+    const query = url
+        .slice(index + 1)
+        .split('&')
+        .filter((segment) => {
+            const name = segment.split('=', 1)[0].replace(/\+/g, ' ');
+            try {
+                return decodeURIComponent(name) !== param;
+            } catch {
+                return name !== param;
+            }
+        })
+        .join('&');
+    return url.slice(0, index) + (query ? `?${query}` : '');
+};
+
+/**
+ * Get (or create) the rate limiter for a consumer's limit
+ * @private
+ */
+const getConsumerLimiter = (entry) => {
+    const id = `${entry.consumer}:${entry.rateLimit.windowMs}:${entry.rateLimit.max}`;
+    if (!consumerLimiters.has(id)) {
+        consumerLimiters.set(
+            id,
+            createRouteRateLimiter(`apikey:${entry.consumer}`, {
+                windowMs: entry.rateLimit.windowMs,
+                max: entry.rateLimit.max,
+                message: 'API key rate limit exceeded, please try again later.',
+                keyBy: `header:${CONSUMER_HEADER}`
+            })
+        );
+    }
+    return consumerLimiters.get(id);
+};
+
+/**
+ * API key plugin factory
+ * Settings may be given directly on the plugin entry or nested under `options`.
+ * @param {object} params - Plugin configuration
+ * @param {boolean} [params.enabled=true] - Enable/disable plugin
+ * @param {string} [params.header='X-API-Key'] - Header carrying the key
+ * @param {string} [params.queryParam] - Query parameter carrying the key (off unless set;
+ *   keys in URLs end up in access logs)
+ * @param {string} [params.keysFile] - YAML/JSON file with hashed keys
+ * @param {boolean} [params.redis=false] - Also look keys up in Redis (`<redisPrefix><hash>`)
+ * @param {string} [params.redisPrefix='apikey:'] - Redis key prefix
+ * @param {object} [params.options] - Nested form of the settings above
+ * @returns {Function} Express middleware
+ */
+module.exports = (params) => {
+    if (!params || typeof params !== 'object') {
+        throw new Error('Plugin params must be an object');
+    }
+
+    const settings = { ...params, ...(params.options || {}) };
+    if (settings.enabled === false) {
+        return (req, res, next) => next();
+    }
+
+    const header = (settings.header || 'X-API-Key').toLowerCase();
+    const { queryParam } = settings;
+    const redisPrefix = settings.redisPrefix || 'apikey:';
+    const useRedis = settings.redis === true;
+
+    if (!settings.keysFile && !useRedis) {
+        throw new Error('api-key requires keysFile or redis: true');
+    }
+    const fileKeys = settings.keysFile ? loadKeysFile(settings.keysFile) : new Map();
+
+    /**
+     * Find the entry for a key hash
+     * @returns {Promise<object|null>}
+     * @throws {ServiceUnavailableError} If only Redis could know the key and it is down
+     */
+    const findKey = async (hash) => {
+        if (fileKeys.has(hash)) {
+            return fileKeys.get(hash);
+        }
+        if (!useRedis) {
+            return null;
+        }
+
+        const redis = getRedisClient();
+        if (!redis) {
+            throw new ServiceUnavailableError('API key store is unavailable');
+        }
+        let stored;
+        try {
+            stored = await redis.get(redisPrefix + hash);
+        } catch (error) {
+            logger.warn('API key lookup in Redis failed', { error: error.message });
+            throw new ServiceUnavailableError('API key store is unavailable');
+        }
+        if (!stored) {
+            return null;
+        }
+        try {
+            return compileKeyEntry({ ...JSON.parse(stored), hash }, `Redis ${redisPrefix}${hash}`);
+        } catch (error) {
+            logger.warn('Ignoring invalid API key entry in Redis', { error: error.message });
+            return null;
+        }
+    };
+
+    const reject = (res, error, consumer, result) => {
+        apiKeyRequests.inc({ consumer, result });
+        return res.status(error.statusCode).json(error.toJSON());
+    };
+
+    return async (req, res, next) => {
+        // Never trust a client-supplied consumer id
+        delete req.headers[CONSUMER_HEADER];
+
+        const fromHeader = req.headers[header];
+        const fromQuery = queryParam ? req.query?.[queryParam] : undefined;
+        const key = typeof fromHeader === 'string' && fromHeader ? fromHeader : fromQuery;
+
+        if (typeof key !== 'string' || !key) {
+            return reject(res, new UnauthorizedError('API key is required'), 'unknown', 'missing');
+        }
+
+        let entry;
+        try {
+            entry = await findKey(hashApiKey(key));
+        } catch (error) {
+            return reject(res, error, 'unknown', 'unavailable');
+        }
+
+        if (!entry) {
+            return reject(res, new UnauthorizedError('Invalid API key'), 'unknown', 'invalid');
+        }
+        if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            return reject(res, new UnauthorizedError('API key expired'), entry.consumer, 'expired');
+        }
+        if (entry.isAllowedRoute && !entry.isAllowedRoute(req)) {
+            return reject(
+                res,
+                new ForbiddenError('API key is not allowed for this route'),
+                entry.consumer,
+                'forbidden'
+            );
+        }
+
+        // Identify the consumer upstream; the key itself is never forwarded
+        req.headers[CONSUMER_HEADER] = entry.consumer;
+        delete req.headers[header];
+        if (queryParam) {
+            req.url = removeQueryParam(req.url, queryParam);
+            req.originalUrl = removeQueryParam(req.originalUrl || req.url, queryParam);
+            if (req.query && typeof req.query === 'object') {
+                delete req.query[queryParam];
+            }
+        }
+
+        const proceed = () => {
+            apiKeyRequests.inc({ consumer: entry.consumer, result: 'allowed' });
+            next();
+        };
+        if (entry.rateLimit) {
+            return getConsumerLimiter(entry)(req, res, proceed);
+        }
+        return proceed();
+    };
+};
+
+module.exports.hashApiKey = hashApiKey;
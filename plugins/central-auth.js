@@ -3,12 +3,23 @@
  *
  * Validates JWT tokens via the Risk Admin Authentication Service.
  * Integrates with /api/v1/authz/verify endpoint.
+ * With `mode: jwt` tokens are verified locally (lib/jwt) and the verify
+ * endpoint is only used as a fallback or revocation check.
  *
  * @module plugins/central-auth
  */
 
+const crypto = require('crypto');
 const axios = require('axios');
 const logger = require('../lib/logger');
+const circuitBreakerManager = require('../lib/circuitBreaker');
+const TtlCache = require('../lib/ttlCache');
+const { createJwtVerifier } = require('../lib/jwt');
+const { createAuthorizer } = require('../lib/authorization');
+const { ServiceUnavailableError, ForbiddenError } = require('../lib/errors');
+const { createRequestMatcher } = require('../lib/pathMatcher');
+const { getRedisClient } = require('../middleware/rateLimiter');
+const { authCacheLookups } = require('../routes/metrics');
 
 // Create axios instance with optimized defaults
 const authClient = axios.create({
@@ -44,11 +55,188 @@ const FORWARDED_HEADERS = [
     'user-agent'
 ];
 
+/** Verify cache defaults; caching is off unless a `cache` block is configured */
+const CACHE_DEFAULTS = {
+    ttlMs: 30000,
+    maxEntries: 10000,
+    negativeTtlMs: 0,
+    redis: false
+};
+
+/**
+ * Normalize the `cache` setting (`true` or an object) into cache options
+ * @private
+ * @param {boolean|object|undefined} cache
+ * @returns {object|null} - null when caching is disabled
+ * @throws {Error} If a numeric option is invalid
+ */
+const parseCacheSettings = (cache) => {
+    if (!cache || cache.enabled === false) {
+        return null;
+    }
+
+    const options = { ...CACHE_DEFAULTS, ...(cache === true ? {} : cache) };
+    for (const key of ['ttlMs', 'negativeTtlMs']) {
+        if (!Number.isInteger(options[key]) || options[key] < 0) {
+            throw new Error(`cache.${key} must be a non-negative integer`);
+        }
+    }
+    if (!Number.isInteger(options.maxEntries) || options.maxEntries < 1) {
+        throw new Error('cache.maxEntries must be a positive integer');
+    }
+    return options;
+};
+
+/**
+ * Cache key for a verify call: the token plus the request scope it was verified for
+ * @private
+ * @param {string} authHeader
+ * @param {express.Request} req
+ * @returns {string}
+ */
+const getCacheKey = (authHeader, req) =>
+    crypto
+        .createHash('sha256')
+        .update(
+            [
+                authHeader,
+                req.method || 'GET',
+                (req.originalUrl || req.url || '').split('?')[0],
+                // Error bodies are localized by the auth service
+                req.headers['accept-language'] || ''
+            ].join('\n')
+        )
+        .digest('hex');
+
+/**
+ * How long a successful verify result may be cached
+ * The configured TTL is an upper bound, lowered by `Cache-Control: max-age`
+ * and the token's remaining lifetime (`expiresIn`, seconds).
+ * @private
+ * @param {object} response - Axios response from the verify endpoint
+ * @param {number} maxTtlMs - Configured TTL
+ * @returns {number} TTL in milliseconds (0 = do not cache)
+ */
+const getCacheTtl = (response, maxTtlMs) => {
+    const cacheControl = String(response.headers?.['cache-control'] || '').toLowerCase();
+    if (/\b(no-store|no-cache)\b/.test(cacheControl)) {
+        return 0;
+    }
+
+    let ttl = maxTtlMs;
+    const maxAge = cacheControl.match(/\bmax-age=(\d+)/);
+    if (maxAge) {
+        ttl = Math.min(ttl, Number(maxAge[1]) * 1000);
+    }
+
+    const expiresIn = Number(response.data?.data?.expiresIn);
+    if (response.data?.data?.expiresIn !== undefined && Number.isFinite(expiresIn)) {
+        ttl = Math.min(ttl, Math.max(0, expiresIn * 1000));
+    }
+    return ttl;
+};
+
+/**
+ * Apply a successful verification to the request
+ * @private
+ * @param {express.Request} req
+ * @param {object} data - `data` object of the verify response
+ */
+const acceptVerifiedRequest = (req, data) => {
+    // Extract userId (can be string or number)
+    const userId = data.userId;
+    if (userId !== undefined && userId !== null) {
+        // Convert to string for header (handles both string and number)
+        req.headers['X-User-Id'] = String(userId);
+    } else {
+        logger.warn('Auth service returned empty userId', {
+            url: req.originalUrl,
+            method: req.method
+        });
+    }
+
+    // Strip Authorization header before forwarding to downstream
+    delete req.headers['authorization'];
+    delete req.headers['Authorization'];
+};
+
+/** Policies for requests arriving while the auth service is unavailable */
+const UNAVAILABLE_POLICIES = ['deny', 'allow', 'allowCached'];
+
+/**
+ * Circuit breaker defaults for the verify call; a few failures are tolerated
+ * before the breaker may open so a single blip does not reject every request
+ */
+const AUTH_BREAKER_DEFAULTS = {
+    volumeThreshold: 5
+};
+
+/** Default upstream headers populated from JWT claims (header → claim path) */
+const DEFAULT_CLAIM_HEADERS = {
+    'X-User-Id': 'sub',
+    'X-User-Roles': 'roles',
+    'X-Tenant-Id': 'tenant'
+};
+
+/** When the auth service is still called in `mode: jwt` */
+const REMOTE_VERIFY_MODES = ['never', 'fallback', 'always'];
+
+/**
+ * Read a claim by dotted path (e.g. `realm_access.roles`)
+ * @private
+ */
+const getClaim = (claims, path) => path.split('.').reduce((value, key) => value?.[key], claims);
+
+/**
+ * Set upstream headers from verified JWT claims
+ * Client-supplied values of the mapped headers are always removed.
+ * @private
+ * @param {express.Request} req
+ * @param {object} claims - Verified token claims
+ * @param {object} claimHeaders - Header name → claim path
+ */
+const applyClaims = (req, claims, claimHeaders) => {
+    for (const [header, claimPath] of Object.entries(claimHeaders)) {
+        delete req.headers[header.toLowerCase()];
+        delete req.headers[header];
+
+        const value = getClaim(claims, claimPath);
+        if (value === undefined || value === null) {
+            continue;
+        }
+        req.headers[header] = Array.isArray(value)
+            ? value.join(',')
+            : typeof value === 'object'
+              ? JSON.stringify(value)
+              : String(value);
+    }
+};
+
 /**
  * Central authentication plugin factory
+ * Settings may be given directly on the plugin entry or nested under `options`.
  * @param {object} params - Plugin configuration
- * @param {boolean} params.enabled - Whether auth is enabled
+ * @param {boolean} [params.enabled=true] - Whether auth is enabled
  * @param {string} params.authServiceUrl - Auth service base URL
+ * @param {Array<string|object>} [params.excludePaths] - Requests that skip auth, e.g.
+ *   '/api/public/**' or 'GET /api/docs' (see lib/pathMatcher)
+ * @param {boolean|object} [params.cache] - Cache verify results: `true` or
+ *   { ttlMs, maxEntries, negativeTtlMs, redis } (see CACHE_DEFAULTS)
+ * @param {string} [params.mode='remote'] - 'remote' (auth service verify call) or
+ *   'jwt' (local verification, see lib/jwt)
+ * @param {object} [params.jwt] - JWT settings: createJwtVerifier options plus
+ *   `claimHeaders` (header → claim path) and `remoteVerify` ('never' | 'fallback' | 'always')
+ * @param {string} [params.onAuthUnavailable='deny'] - When the auth service is down or its
+ *   circuit is open: 'deny' (502), 'allow' (forward without identity) or 'allowCached'
+ *   (forward if the token passed verification within `allowCachedTtlMs`)
+ * @param {number} [params.allowCachedTtlMs=300000] - How long a successful verify may be
+ *   reused by 'allowCached'
+ * @param {object} [params.circuitBreaker] - Breaker options for the verify call
+ *   (errorThresholdPercentage, resetTimeout, volumeThreshold)
+ * @param {object[]} [params.authorize] - Role/scope/permission rules (see lib/authorization)
+ * @param {object} [params.authorizeClaims] - Where roles/scopes/permissions are read from
+ *   the verify response or JWT claims, e.g. { roles: 'realm_access.roles' }
+ * @param {object} [params.options] - Nested form of the settings above
  * @returns {Function} Express middleware
  */
 module.exports = (params) => {
@@ -57,25 +245,74 @@ module.exports = (params) => {
         throw new Error('Plugin params must be an object');
     }
 
-    if (params.enabled && !params.authServiceUrl) {
+    const settings = { ...params, ...(params.options || {}) };
+    const enabled = settings.enabled !== false;
+
+    const mode = settings.mode || 'remote';
+    if (!['remote', 'jwt'].includes(mode)) {
+        throw new Error('mode must be "remote" or "jwt"');
+    }
+
+    const jwtSettings = settings.jwt || {};
+    const remoteVerify = mode === 'jwt' ? jwtSettings.remoteVerify || 'never' : 'always';
+    if (!REMOTE_VERIFY_MODES.includes(remoteVerify)) {
+        throw new Error(`jwt.remoteVerify must be one of: ${REMOTE_VERIFY_MODES.join(', ')}`);
+    }
+    const claimHeaders = jwtSettings.claimHeaders || DEFAULT_CLAIM_HEADERS;
+    const jwtVerifier = enabled && mode === 'jwt' ? createJwtVerifier(jwtSettings) : null;
+
+    if (enabled && remoteVerify !== 'never' && !settings.authServiceUrl) {
         throw new Error('authServiceUrl is required when plugin is enabled');
     }
 
+    const isExcluded = createRequestMatcher(settings.excludePaths);
+    const authorizer = createAuthorizer(settings.authorize, settings.authorizeClaims);
+
+    const cacheSettings = parseCacheSettings(settings.cache);
+    const verifyCache = cacheSettings
+        ? new TtlCache({
+              maxEntries: cacheSettings.maxEntries,
+              prefix: 'authz:verify:',
+              getRedisClient: cacheSettings.redis ? getRedisClient : () => null
+          })
+        : null;
+    const onAuthUnavailable = settings.onAuthUnavailable || 'deny';
+    if (!UNAVAILABLE_POLICIES.includes(onAuthUnavailable)) {
+        throw new Error(`onAuthUnavailable must be one of: ${UNAVAILABLE_POLICIES.join(', ')}`);
+    }
+    const allowCachedTtlMs = settings.allowCachedTtlMs ?? 300000;
+    if (!Number.isInteger(allowCachedTtlMs) || allowCachedTtlMs < 1) {
+        throw new Error('allowCachedTtlMs must be a positive integer');
+    }
+    // Last successful verifications, kept for 'allowCached' during outages
+    const lastVerified =
+        onAuthUnavailable === 'allowCached'
+            ? new TtlCache({ maxEntries: cacheSettings?.maxEntries ?? CACHE_DEFAULTS.maxEntries })
+            : null;
+
     // Validate and normalize auth service URL
-    let authServiceUrl = params.authServiceUrl;
+    let authServiceUrl = settings.authServiceUrl;
     if (authServiceUrl && typeof authServiceUrl === 'string') {
         authServiceUrl = authServiceUrl.trim().replace(/\/+$/, ''); // Remove trailing slashes
         if (!authServiceUrl.startsWith('http://') && !authServiceUrl.startsWith('https://')) {
             throw new Error('authServiceUrl must be a valid HTTP/HTTPS URL');
         }
     }
+    const verifyUrl = `${authServiceUrl}/api/v1/authz/verify`;
+    const breakerOptions = { ...AUTH_BREAKER_DEFAULTS, ...settings.circuitBreaker, group: 'auth' };
 
     /**
      * Middleware function - runs for every request
      */
     return async (req, res, next) => {
         // Fast path: skip if disabled
-        if (!params.enabled) {
+        if (!enabled) {
+            return next();
+        }
+
+        // Public sub-paths: no verify call, and no client-supplied identity upstream
+        if (isExcluded(req)) {
+            delete req.headers['x-user-id'];
             return next();
         }
 
@@ -93,7 +330,107 @@ module.exports = (params) => {
             });
         }
 
+        let claims = null;
+        if (jwtVerifier) {
+            try {
+                claims = await jwtVerifier.verify(authHeader.replace(/^Bearer\s+/i, ''));
+            } catch (error) {
+                // Opaque tokens and unreachable key sets may be left to the auth service
+                const unavailable = error instanceof ServiceUnavailableError;
+                const canFallBack =
+                    remoteVerify === 'fallback' &&
+                    (unavailable || error.details?.reason === 'malformed');
+                if (!canFallBack) {
+                    return res.status(unavailable ? 502 : 401).json({
+                        status: 'fail',
+                        error: unavailable ? 'AUTH_SERVICE_UNAVAILABLE' : 'UNAUTHORIZED',
+                        errorDetails: [{ message: error.message }]
+                    });
+                }
+            }
+        }
+
+        /**
+         * Forward an authenticated request once it passes the authorization rules
+         * @param {object|null} data - Verify response data (null when verified locally)
+         */
+        const admit = (data) => {
+            const denial = authorizer.check(req, [data, claims]);
+            if (denial) {
+                logger.warn('Authorization denied', {
+                    method: req.method,
+                    originalUrl: req.originalUrl,
+                    userId: data?.userId ?? claims?.sub,
+                    ...denial
+                });
+                return res
+                    .status(403)
+                    .json(new ForbiddenError('Insufficient permissions').toJSON());
+            }
+
+            if (claims) {
+                applyClaims(req, claims, claimHeaders);
+            }
+            if (data) {
+                acceptVerifiedRequest(req, data);
+            } else {
+                delete req.headers['authorization'];
+                delete req.headers['Authorization'];
+            }
+            return next();
+        };
+
+        // With `remoteVerify: always` the auth service gets the final say (e.g. revocation)
+        if (claims && remoteVerify !== 'always') {
+            return admit(null);
+        }
+
+        const cacheKey = verifyCache || lastVerified ? getCacheKey(authHeader, req) : null;
+
+        /**
+         * Apply the onAuthUnavailable policy, or reject with 502
+         * @param {string} message - Reason given to the client when denied
+         */
+        const handleUnavailable = async (message) => {
+            if (onAuthUnavailable === 'allowCached') {
+                const data = await lastVerified.get(cacheKey);
+                if (data) {
+                    return admit(data);
+                }
+            } else if (onAuthUnavailable === 'allow' && claims) {
+                // Locally verified JWT claims still identify the caller
+                return admit(null);
+            } else if (onAuthUnavailable === 'allow' && !authorizer.matches(req)) {
+                // Forward without a verified identity; rule-protected paths stay closed
+                delete req.headers['x-user-id'];
+                delete req.headers['authorization'];
+                delete req.headers['Authorization'];
+                logger.warn('Auth Service unavailable, forwarding unauthenticated request', {
+                    method: req.method,
+                    originalUrl: req.originalUrl
+                });
+                return next();
+            }
+
+            return res.status(502).json({
+                status: 'fail',
+                error: 'AUTH_SERVICE_UNAVAILABLE',
+                errorDetails: [{ message }]
+            });
+        };
+
         try {
+            if (verifyCache) {
+                const cached = await verifyCache.get(cacheKey);
+                authCacheLookups.inc({ result: cached ? 'hit' : 'miss' });
+                if (cached?.allow) {
+                    return admit(cached.data);
+                }
+                if (cached) {
+                    return res.status(cached.status).json(cached.body);
+                }
+            }
+
             // Build headers to forward to auth service
             const forwardHeaders = {
                 Authorization: authHeader,
@@ -110,11 +447,16 @@ module.exports = (params) => {
                 }
             }
 
-            // Call auth service verify endpoint
-            const response = await authClient.post(
-                `${authServiceUrl}/api/v1/authz/verify`,
-                {}, // Empty body - auth uses Authorization header
-                { headers: forwardHeaders }
+            // Call auth service verify endpoint (5xx and network errors count as breaker failures)
+            const response = await circuitBreakerManager.execute(
+                verifyUrl,
+                () =>
+                    authClient.post(
+                        verifyUrl,
+                        {}, // Empty body - auth uses Authorization header
+                        { headers: forwardHeaders }
+                    ),
+                breakerOptions
             );
 
             // Success: HTTP 200-299 AND verifyStatus: true
@@ -123,89 +465,73 @@ module.exports = (params) => {
                 response.status < 300 &&
                 response.data?.data?.verifyStatus === true
             ) {
-                // Extract userId (can be string or number)
-                const userId = response.data.data.userId;
-                if (userId !== undefined && userId !== null) {
-                    // Convert to string for header (handles both string and number)
-                    req.headers['X-User-Id'] = String(userId);
-                } else {
-                    logger.warn('Auth service returned empty userId', {
-                        url: req.originalUrl,
-                        method: req.method
-                    });
+                if (verifyCache) {
+                    await verifyCache.set(
+                        cacheKey,
+                        { allow: true, data: response.data.data },
+                        getCacheTtl(response, cacheSettings.ttlMs)
+                    );
+                }
+                if (lastVerified) {
+                    await lastVerified.set(cacheKey, response.data.data, allowCachedTtlMs);
                 }
-
-                // Strip Authorization header before forwarding to downstream
-                delete req.headers['authorization'];
-                delete req.headers['Authorization'];
 
                 // Continue to next middleware/proxy
-                return next();
+                return admit(response.data.data);
             }
 
             // Auth failed - forward the exact response from auth service
             // This preserves localized error messages from ms-i18n
             const statusCode =
                 response.status >= 400 && response.status < 500 ? response.status : 401;
+            const body = response.data || {
+                status: 'fail',
+                error: 'UNAUTHORIZED',
+                errorDetails: [
+                    {
+                        message: 'Authentication failed'
+                    }
+                ]
+            };
 
-            return res.status(statusCode).json(
-                response.data || {
-                    status: 'fail',
-                    error: 'UNAUTHORIZED',
-                    errorDetails: [
-                        {
-                            message: 'Authentication failed'
-                        }
-                    ]
-                }
-            );
+            // Negative caching: briefly remember rejected tokens
+            if (verifyCache && statusCode === 401) {
+                await verifyCache.set(
+                    cacheKey,
+                    { allow: false, status: statusCode, body },
+                    cacheSettings.negativeTtlMs
+                );
+            }
+
+            return res.status(statusCode).json(body);
         } catch (error) {
             // Network/connection errors
             const errorContext = {
                 error: error.message,
                 code: error.code,
-                url: `${authServiceUrl}/api/v1/authz/verify`,
+                url: verifyUrl,
                 method: req.method,
                 originalUrl: req.originalUrl
             };
 
+            if (error.code === 'EOPENBREAKER') {
+                // Failing fast; the breaker already logged that it is open
+                return handleUnavailable('Authentication service is temporarily unavailable');
+            }
+
             if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
                 logger.error('Auth Service unreachable', errorContext);
-                return res.status(502).json({
-                    status: 'fail',
-                    error: 'AUTH_SERVICE_UNAVAILABLE',
-                    errorDetails: [
-                        {
-                            message: 'Authentication service is not responding'
-                        }
-                    ]
-                });
+                return handleUnavailable('Authentication service is not responding');
             }
 
             if (error.code === 'ENOTFOUND') {
                 logger.error('Auth Service host not found', errorContext);
-                return res.status(502).json({
-                    status: 'fail',
-                    error: 'AUTH_SERVICE_UNAVAILABLE',
-                    errorDetails: [
-                        {
-                            message: 'Authentication service host not found'
-                        }
-                    ]
-                });
+                return handleUnavailable('Authentication service host not found');
             }
 
             // Generic error
             logger.error('Auth Service Error', { ...errorContext, stack: error.stack });
-            return res.status(502).json({
-                status: 'fail',
-                error: 'AUTH_SERVICE_UNAVAILABLE',
-                errorDetails: [
-                    {
-                        message: 'An error occurred while authenticating'
-                    }
-                ]
-            });
+            return handleUnavailable('An error occurred while authenticating');
         }
     };
 };
@@ -0,0 +1,313 @@
+/**
+ * Webhook Signature Plugin
+ *
+ * Verifies HMAC request signatures over the raw body at the gateway so
+ * backends receiving payment and partner webhooks no longer re-verify them.
+ * Signed timestamps bound how old a request may be; a nonce cache blocks
+ * replays within that window. Schemes without a timestamp (generic and github
+ * unless `timestampHeader` is set) cannot prevent replays: a repeat is only
+ * caught while its signature is still cached.
+ *
+ * @module plugins/webhook-signature
+ */
+
+const crypto = require('crypto');
+const logger = require('../lib/logger');
+const TtlCache = require('../lib/ttlCache');
+const { readRawBody } = require('../lib/rawBody');
+const { UnauthorizedError } = require('../lib/errors');
+const { getRedisClient } = require('../middleware/rateLimiter');
+
+/** Header set for upstreams; client-supplied values are always replaced */
+const CONSUMER_HEADER = 'x-consumer-id';
+
+/**
+ * Built-in signature schemes; any field can be overridden in the plugin config
+ *  - generic: hex HMAC of the body in X-Signature (optionally with a timestamp)
+ *  - github:  X-Hub-Signature-256: sha256=<hex HMAC of the body>
+ *  - stripe:  Stripe-Signature: t=<unix>,v1=<hex HMAC of "<t>.<body>">
+ */
+const SCHEMES = {
+    generic: {
+        header: 'X-Signature',
+        algorithm: 'sha256',
+        encoding: 'hex',
+        prefix: '',
+        format: 'plain'
+    },
+    github: {
+        header: 'X-Hub-Signature-256',
+        algorithm: 'sha256',
+        encoding: 'hex',
+        prefix: 'sha256=',
+        format: 'plain'
+    },
+    stripe: {
+        header: 'Stripe-Signature',
+        algorithm: 'sha256',
+        encoding: 'hex',
+        prefix: '',
+        format: 'stripe',
+        signedPayload: '{timestamp}.{body}'
+    }
+};
+
+const ALGORITHMS = ['sha1', 'sha256', 'sha512'];
+const ENCODINGS = ['hex', 'base64'];
+
+/**
+ * Resolve consumer secrets from environment variables
+ * @private
+ * @param {object} settings
+ * @returns {Array<{id: string, secret: Buffer}>}
+ * @throws {Error} If no secret is configured or a variable is unset
+ */
+const loadSecrets = (settings) => {
+    const consumers = settings.consumers || [
+        { id: settings.consumer, secretEnv: settings.secretEnv }
+    ];
+    if (!Array.isArray(consumers) || consumers.length === 0) {
+        throw new Error('webhook-signature requires secretEnv or a consumers list');
+    }
+
+    return consumers.map((consumer, index) => {
+        if (!consumer || typeof consumer.secretEnv !== 'string' || !consumer.secretEnv) {
+            throw new Error(`webhook-signature consumers[${index}]: secretEnv is required`);
+        }
+        const secret = process.env[consumer.secretEnv];
+        if (!secret) {
+            throw new Error(
+                `webhook-signature: environment variable ${consumer.secretEnv} is not set`
+            );
+        }
+        return { id: consumer.id || null, secret: Buffer.from(secret, 'utf8') };
+    });
+};
+
+/**
+ * Parse a Stripe-style `t=...,v1=...` header
+ * @private
+ * @returns {{timestamp: string|undefined, signatures: string[]}}
+ */
+const parseStripeHeader = (value) => {
+    const result = { timestamp: undefined, signatures: [] };
+    for (const part of value.split(',')) {
+        const [key, ...rest] = part.trim().split('=');
+        const item = rest.join('=');
+        if (key === 't') {
+            result.timestamp = item;
+        } else if (key === 'v1') {
+            result.signatures.push(item);
+        }
+    }
+    return result;
+};
+
+/**
+ * Webhook signature plugin factory
+ * Settings may be given directly on the plugin entry or nested under `options`.
+ * @param {object} params - Plugin configuration
+ * @param {boolean} [params.enabled=true] - Enable/disable plugin
+ * @param {string} [params.scheme='generic'] - 'generic', 'github' or 'stripe' (see SCHEMES)
+ * @param {string} [params.header] - Signature header
+ * @param {string} [params.algorithm] - HMAC digest: sha1, sha256 or sha512
+ * @param {string} [params.encoding] - Signature encoding: hex or base64
+ * @param {string} [params.prefix] - Literal prefix before the signature (e.g. 'sha256=')
+ * @param {string} [params.timestampHeader] - Header with the signing time (unix seconds)
+ * @param {number} [params.toleranceSec=300] - Maximum age/skew of a signed timestamp
+ * @param {string} [params.nonceHeader] - Header with a unique request id, which must be
+ *   signed (`{nonce}` in signedPayload); the signature itself is used when absent
+ * @param {string} [params.signedPayload] - What is signed, with {timestamp}, {nonce},
+ *   {method}, {path} and {body} placeholders (default '{body}', or '{timestamp}.{body}'
+ *   with a timestamp)
+ * @param {string} [params.secretEnv] - Environment variable holding the secret
+ * @param {Array<{id: string, secretEnv: string}>} [params.consumers] - Secret per consumer;
+ *   the matching id is sent upstream as X-Consumer-Id
+ * @param {string} [params.consumerHeader] - Header naming the consumer (otherwise every
+ *   consumer secret is tried)
+ * @param {number} [params.maxBodyBytes=1048576] - Largest body read for verification
+ * @param {boolean} [params.redis=false] - Share the nonce cache through Redis
+ * @param {object} [params.options] - Nested form of the settings above
+ * @returns {Function} Express middleware
+ */
+module.exports = (params) => {
+    if (!params || typeof params !== 'object') {
+        throw new Error('Plugin params must be an object');
+    }
+
+    const settings = { ...params, ...(params.options || {}) };
+    if (settings.enabled === false) {
+        return (req, res, next) => next();
+    }
+
+    const schemeName = settings.scheme || 'generic';
+    if (!SCHEMES[schemeName]) {
+        throw new Error(
+            `webhook-signature scheme must be one of: ${Object.keys(SCHEMES).join(', ')}`
+        );
+    }
+    const scheme = { ...SCHEMES[schemeName] };
+    for (const key of ['header', 'algorithm', 'encoding', 'prefix', 'signedPayload']) {
+        if (settings[key] !== undefined) {
+            scheme[key] = settings[key];
+        }
+    }
+    if (!ALGORITHMS.includes(scheme.algorithm)) {
+        throw new Error(`webhook-signature algorithm must be one of: ${ALGORITHMS.join(', ')}`);
+    }
+    if (!ENCODINGS.includes(scheme.encoding)) {
+        throw new Error(`webhook-signature encoding must be one of: ${ENCODINGS.join(', ')}`);
+    }
+
+    const header = scheme.header.toLowerCase();
+    const timestampHeader = settings.timestampHeader?.toLowerCase();
+    const nonceHeader = settings.nonceHeader?.toLowerCase();
+    const consumerHeader = settings.consumerHeader?.toLowerCase();
+    const usesTimestamp = scheme.format === 'stripe' || !!timestampHeader;
+    const signedPayload = scheme.signedPayload || (usesTimestamp ? '{timestamp}.{body}' : '{body}');
+
+    // An unsigned nonce could be changed to replay a captured request
+    if (nonceHeader && !signedPayload.includes('{nonce}')) {
+        throw new Error('webhook-signature nonceHeader requires {nonce} in signedPayload');
+    }
+
+    const toleranceSec = settings.toleranceSec ?? 300;
+    if (!Number.isInteger(toleranceSec) || toleranceSec < 1) {
+        throw new Error('webhook-signature toleranceSec must be a positive integer');
+    }
+    const maxBodyBytes = settings.maxBodyBytes ?? 1048576;
+
+    const secrets = loadSecrets(settings);
+    const nonces = new TtlCache({
+        prefix: 'webhook:nonce:',
+        getRedisClient: settings.redis ? getRedisClient : () => null
+    });
+    // Timestamped requests cannot be replayed once outside the tolerance on either side
+    const nonceTtlMs = toleranceSec * 2 * 1000;
+    if (!usesTimestamp) {
+        logger.warn('webhook-signature without a signed timestamp cannot prevent replays', {
+            scheme: schemeName,
+            replayWindowSec: toleranceSec * 2
+        });
+    }
+
+    const reject = (res, message, req) => {
+        logger.warn('Webhook signature rejected', {
+            reason: message,
+            method: req.method,
+            originalUrl: req.originalUrl
+        });
+        return res.status(401).json(new UnauthorizedError(message).toJSON());
+    };
+
+    /**
+     * The HMAC of the payload if one of the provided signatures is exactly it
+     * Signatures must be written canonically (lowercase hex, padded base64), so one
+     * HMAC cannot be sent again under another spelling.
+     * @private
+     * @returns {Buffer|null}
+     */
+    const match = (secret, payload, provided) => {
+        const expected = crypto.createHmac(scheme.algorithm, secret).update(payload).digest();
+        const found = provided.some((signature) => {
+            const actual = Buffer.from(signature, scheme.encoding);
+            return (
+                actual.length === expected.length &&
+                actual.toString(scheme.encoding) === signature &&
+                crypto.timingSafeEqual(actual, expected)
+            );
+        });
+        return found ? expected : null;
+    };
+
+    return async (req, res, next) => {
+        delete req.headers[CONSUMER_HEADER];
+
+        const headerValue = req.headers[header];
+        if (typeof headerValue !== 'string' || !headerValue) {
+            return reject(res, 'Missing request signature', req);
+        }
+
+        let timestamp;
+        let provided;
+        if (scheme.format === 'stripe') {
+            ({ timestamp, signatures: provided } = parseStripeHeader(headerValue));
+        } else {
+            timestamp = timestampHeader ? req.headers[timestampHeader] : undefined;
+            provided = headerValue.startsWith(scheme.prefix)
+                ? [headerValue.slice(scheme.prefix.length)]
+                : [];
+        }
+        if (provided.length === 0) {
+            return reject(res, 'Malformed request signature', req);
+        }
+
+        if (usesTimestamp) {
+            const seconds = Number(timestamp);
+            if (!/^\d+$/.test(String(timestamp)) || !Number.isSafeInteger(seconds)) {
+                return reject(res, 'Missing or invalid signature timestamp', req);
+            }
+            if (Math.abs(Date.now() / 1000 - seconds) > toleranceSec) {
+                return reject(res, 'Signature timestamp outside tolerance', req);
+            }
+        }
+
+        const nonce = nonceHeader ? req.headers[nonceHeader] : undefined;
+        if (nonceHeader && (typeof nonce !== 'string' || !nonce)) {
+            return reject(res, 'Missing request nonce', req);
+        }
+
+        let body;
+        try {
+            body = await readRawBody(req, { limit: maxBodyBytes });
+        } catch (error) {
+            return res
+                .status(error.statusCode || 400)
+                .json(
+                    error.toJSON ? error.toJSON() : { error: 'Bad Request', message: error.message }
+                );
+        }
+
+        // Build the signed payload without converting the body to a string
+        const payload = Buffer.concat(
+            signedPayload.split(/(\{body\})/).map((part) =>
+                part === '{body}'
+                    ? body
+                    : Buffer.from(
+                          part
+                              .replace(/\{timestamp\}/g, timestamp ?? '')
+                              .replace(/\{nonce\}/g, nonce ?? '')
+                              .replace(/\{method\}/g, req.method)
+                              .replace(/\{path\}/g, req.originalUrl || req.url),
+                          'utf8'
+                      )
+            )
+        );
+
+        const requested = consumerHeader ? req.headers[consumerHeader] : undefined;
+        const candidates = requested ? secrets.filter((entry) => entry.id === requested) : secrets;
+        let consumer = null;
+        let digest = null;
+        for (const entry of candidates) {
+            digest = match(entry.secret, payload, provided);
+            if (digest) {
+                consumer = entry;
+                break;
+            }
+        }
+        if (!consumer) {
+            return reject(res, 'Invalid request signature', req);
+        }
+
+        // Keyed on the verified HMAC, not on how the client spelled it
+        const replayKey = `${consumer.id || ''}:${nonce || digest.toString('hex')}`;
+        if (!(await nonces.add(replayKey, true, nonceTtlMs))) {
+            return reject(res, 'Replayed request', req);
+        }
+
+        if (consumer.id) {
+            req.headers[CONSUMER_HEADER] = consumer.id;
+        }
+        return next();
+    };
+};
@@ -1,5 +1,21 @@
 const circuitBreakerManager = require('../lib/circuitBreaker');
 const upstreamHealthChecker = require('../lib/upstreamHealth');
+const loadBalancer = require('../lib/loadBalancer');
+const retryBudget = require('../lib/retryBudget');
+const configLoader = require('../lib/configLoader');
+
+/**
+ * Availability of each auth service, from its verify-call circuit breaker
+ * @private
+ * @returns {object} Keyed by verify URL
+ */
+const getAuthServiceStatus = () => {
+    const status = {};
+    for (const [url, stats] of Object.entries(circuitBreakerManager.getStats('auth'))) {
+        status[url] = { available: stats.state !== 'open', state: stats.state };
+    }
+    return status;
+};
 
 /**
  * Enterprise health check route handler
@@ -18,6 +34,10 @@ const healthCheck = (getRouter) => {
         // Get circuit breaker stats
         const circuitBreakerStats = circuitBreakerManager.getStats();
 
+        // Auth service verify calls have their own breakers; an outage is reported but does
+        // not degrade the gateway (routes may be configured to keep serving without auth)
+        const authServices = getAuthServiceStatus();
+
         // Get upstream health status
         const upstreamHealth = upstreamHealthChecker.getAllHealthStatus();
 
@@ -43,6 +63,8 @@ const healthCheck = (getRouter) => {
             timestamp,
             uptime: Math.floor(process.uptime()), // Round to integer seconds
             routes: router ? 'loaded' : 'not loaded',
+            // A failed reload keeps the previous router; surface why it was rejected
+            lastReloadError: configLoader.getLastLoadError(),
             memory: {
                 rss: `${(memoryUsage.rss / 1024 / 1024).toFixed(2)} MB`,
                 heapTotal: `${(memoryUsage.heapTotal / 1024 / 1024).toFixed(2)} MB`,
@@ -50,7 +72,10 @@ const healthCheck = (getRouter) => {
                 external: `${(memoryUsage.external / 1024 / 1024).toFixed(2)} MB`
             },
             circuitBreakers: circuitBreakerStats,
+            authServices,
             upstreams: upstreamHealth,
+            activeRequests: loadBalancer.getAllActiveConnections(),
+            retryBudgets: retryBudget.getStats(),
             node: {
                 version: process.version,
                 pid: process.pid,
@@ -40,19 +40,68 @@ const upstreamRequestTotal = new client.Counter({
     labelNames: ['upstream', 'method', 'status_code']
 });
 
+const upstreamRetries = new client.Counter({
+    name: 'upstream_retries_total',
+    help: 'Proxy retries by route and upstream (reason=status code or error code of the failed attempt)',
+    labelNames: ['route', 'upstream', 'reason']
+});
+
+const upstreamHedges = new client.Counter({
+    name: 'upstream_hedges_total',
+    help: 'Hedged proxy requests by route (outcome=won: the hedge answered first, lost: the original did)',
+    labelNames: ['route', 'outcome']
+});
+
+const retryBudgetExhausted = new client.Counter({
+    name: 'retry_budget_exhausted_total',
+    help: 'Retries skipped because the route or upstream retry budget was spent',
+    labelNames: ['route', 'upstream']
+});
+
+const retryBudgetRemaining = new client.Gauge({
+    name: 'retry_budget_remaining',
+    help: 'Retries left in the current retry budget window (scope=route|upstream)',
+    labelNames: ['scope', 'name']
+});
+
 const circuitBreakerState = new client.Gauge({
     name: 'circuit_breaker_state',
     help: 'Circuit breaker state (0=closed, 1=open, 2=half-open)',
     labelNames: ['upstream']
 });
 
+const upstreamActiveRequests = new client.Gauge({
+    name: 'upstream_active_requests',
+    help: 'In-flight proxied requests per upstream',
+    labelNames: ['upstream']
+});
+
+const authCacheLookups = new client.Counter({
+    name: 'auth_cache_lookups_total',
+    help: 'central-auth verify cache lookups (result=hit|miss)',
+    labelNames: ['result']
+});
+
+const apiKeyRequests = new client.Counter({
+    name: 'api_key_requests_total',
+    help: 'api-key plugin requests by consumer (result=allowed|missing|invalid|expired|forbidden|unavailable)',
+    labelNames: ['consumer', 'result']
+});
+
 // Register custom metrics
 register.registerMetric(httpRequestDuration);
 register.registerMetric(httpRequestTotal);
 register.registerMetric(httpRequestErrors);
 register.registerMetric(upstreamRequestDuration);
 register.registerMetric(upstreamRequestTotal);
+register.registerMetric(upstreamRetries);
+register.registerMetric(upstreamHedges);
+register.registerMetric(retryBudgetExhausted);
+register.registerMetric(retryBudgetRemaining);
 register.registerMetric(circuitBreakerState);
+register.registerMetric(upstreamActiveRequests);
+register.registerMetric(authCacheLookups);
+register.registerMetric(apiKeyRequests);
 
 /**
  * Metrics middleware - records request metrics
@@ -101,6 +150,21 @@ const metricsHandler = async (req, res) => {
             circuitBreakerState.set({ upstream }, stateValue);
         }
 
+        // Update in-flight request counts (used by least_connections)
+        const loadBalancer = require('../lib/loadBalancer');
+        for (const [upstream, active] of Object.entries(loadBalancer.getAllActiveConnections())) {
+            upstreamActiveRequests.set({ upstream }, active);
+        }
+
+        // Update retry budgets
+        const { routes, upstreams } = require('../lib/retryBudget').getStats();
+        for (const [name, budget] of Object.entries(routes)) {
+            retryBudgetRemaining.set({ scope: 'route', name }, budget.remaining);
+        }
+        for (const [name, budget] of Object.entries(upstreams)) {
+            retryBudgetRemaining.set({ scope: 'upstream', name }, budget.remaining);
+        }
+
         // Get metrics first, then set headers and send response
         const metrics = await register.metrics();
 
@@ -129,5 +193,12 @@ module.exports = {
     httpRequestErrors,
     upstreamRequestDuration,
     upstreamRequestTotal,
-    circuitBreakerState
+    upstreamRetries,
+    upstreamHedges,
+    retryBudgetExhausted,
+    retryBudgetRemaining,
+    circuitBreakerState,
+    upstreamActiveRequests,
+    authCacheLookups,
+    apiKeyRequests
 };
@@ -47,16 +47,13 @@ const readinessProbe = (getRouter) => {
             issues.push('Routes not loaded');
         }
 
-        // 2. Check circuit breakers - too many open = not ready
+        // 2. Upstream circuit breakers - reported only; they open on the upstream's failures,
+        // which every instance sees alike, so pulling instances would take healthy routes down too
         const breakerStats = circuitBreakerManager.getStats();
         const openBreakers = Object.entries(breakerStats)
             .filter(([_, stats]) => stats.state === 'open')
             .map(([upstream]) => upstream);
 
-        if (openBreakers.length > 0) {
-            issues.push(`Circuit breakers open: ${openBreakers.join(', ')}`);
-        }
-
         // 3. Check upstream health - all unhealthy = not ready
         const upstreamHealth = upstreamHealthChecker.getAllHealthStatus();
         const upstreamEntries = Object.entries(upstreamHealth);
@@ -69,6 +66,13 @@ const readinessProbe = (getRouter) => {
             issues.push('All upstreams unhealthy');
         }
 
+        // 4. Auth services - reported only; every instance shares them, so pulling instances
+        // out of rotation would not help (and would defeat onAuthUnavailable: allow)
+        const authStats = circuitBreakerManager.getStats('auth');
+        const unavailableAuthServices = Object.entries(authStats)
+            .filter(([_, stats]) => stats.state === 'open')
+            .map(([url]) => url);
+
         const isReady = issues.length === 0;
         const statusCode = isReady ? 200 : 503;
 
@@ -79,8 +83,10 @@ const readinessProbe = (getRouter) => {
             checks: {
                 routesLoaded: !!router,
                 openCircuitBreakers: openBreakers.length,
+                openUpstreamBreakers: openBreakers,
                 unhealthyUpstreams: unhealthyUpstreams.length,
-                totalUpstreams: upstreamEntries.length
+                totalUpstreams: upstreamEntries.length,
+                unavailableAuthServices
             }
         });
     };
@@ -188,6 +188,10 @@ const startServer = async () => {
         });
     });
 
+    // Let routes decide when to ask for the body of `Expect: 100-continue` requests,
+    // so oversized or rejected uploads are answered before the client sends them
+    server.on('checkContinue', app);
+
     server.on('error', (error) => {
         if (error.code === 'EADDRINUSE') {
             logger.error('Port already in use', { port, code: error.code });